@@ -1,56 +1,137 @@
 // Background service worker with state management
+importScripts('engagement.js', 'timestamps.js', 'db.js', 'export-columns.js', 'post-export.js', 'post-import.js', 'xlsx-writer.js', 'html-report.js', 'crawl-sessions.js', 'crawl-queue.js', 'crawl-scheduler.js');
+
 console.log('Social Media Crawler background script initialized');
 
-// State management
-let crawlerState = {
-  isRunning: false,
-  tabId: null,
-  postCount: 0,
-  startTime: null
-};
+const crawlSessions = new CrawlSessions();
+const crawlQueue = new CrawlQueue();
+const crawlScheduler = new CrawlScheduler(crawlQueue);
+crawlQueue.onItemFinished = (item, queueState) => crawlScheduler.handleQueueItemFinished(item, queueState);
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Extension installed successfully');
-  // Initialize storage
-  chrome.storage.local.set({ crawlerState: crawlerState });
+  // Replaced by per-tab crawl sessions
+  chrome.storage.local.remove('crawlerState');
+  crawlScheduler.syncAlarms();
+  syncNetworkCapture();
 });
 
-// Restore state on startup
-chrome.runtime.onStartup.addListener(async () => {
-  const result = await chrome.storage.local.get('crawlerState');
-  if (result.crawlerState) {
-    crawlerState = result.crawlerState;
-    console.log('Restored crawler state:', crawlerState);
-  }
+// Sessions from the previous browser run point at tabs that no longer exist
+chrome.runtime.onStartup.addListener(() => {
+  crawlSessions.reset();
+  crawlScheduler.syncAlarms();
+  syncNetworkCapture();
 });
 
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  console.log('Message received:', request, 'from tab:', sender.tab?.id);
+  if (request.action !== 'postsDB') {
+    console.log('Message received:', request, 'from tab:', sender.tab?.id);
+  }
   
   switch (request.action) {
-    case 'getCrawlerState':
-      sendResponse(crawlerState);
+    case 'postsDB':
+      handlePostsDBRequest(request).then(sendResponse);
+      break;
+      
+
+    case 'getSelectorPack':
+      // Content scripts can't read packaged files directly
+      fetch(chrome.runtime.getURL(`selectors/${request.platform}.json`))
+        .then(response => {
+          if (!response.ok) throw new Error(`No selector pack for ${request.platform}`);
+          return response.json();
+        })
+        .then(pack => sendResponse({ success: true, pack: pack }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      break;
+      
+    case 'getNetworkCapture':
+      chrome.storage.local.get('networkCapture')
+        .then(result => sendResponse({ success: true, enabled: !!result.networkCapture?.enabled }));
+      break;
+      
+    case 'setNetworkCapture':
+      chrome.storage.local.set({ networkCapture: { enabled: !!request.enabled } })
+        .then(syncNetworkCapture)
+        .then(enabled => sendResponse({ success: true, enabled: enabled }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      break;
+      
+    case 'getSessions':
+      crawlSessions.getSessions().then(sessions => sendResponse({ success: true, sessions: sessions }));
+      break;
+      
+    case 'crawlerStarted':
+      crawlSessions.start(sender.tab?.id, { platform: request.platform, url: request.url })
+        .then(session => sendResponse({ success: true, session: session }));
+      break;
+      
+    case 'crawlerProgress':
+      crawlSessions.updateProgress(sender.tab?.id, request.stats || {}).then(() => sendResponse({ success: true }));
+      break;
+      
+    case 'stopSession':
+      crawlSessions.requestStop(request.tabId).then(sessions => sendResponse({ success: true, sessions: sessions }));
+      break;
+      
+    case 'crawlerStopped':
+      // The crawl ended in the content script, by the user or a stop condition
+      console.log('[Background] Crawler stopped on tab', sender.tab?.id, '-', request.reason, request.stats);
+      crawlSessions.stop(sender.tab?.id, request.reason, request.stats);
+      crawlQueue.handleCrawlerStopped(sender.tab?.id, request.reason, request.stats);
+      chrome.runtime.sendMessage(request).catch(() => {});
+      sendResponse({ success: true });
+      break;
+      
+    case 'crawlerUnloaded':
+      // The page was closed or reloaded while crawling
+      crawlSessions.stop(sender.tab?.id, 'page unloaded').then(() => sendResponse({ success: true }));
+      break;
+      
+    case 'getQueue':
+      crawlQueue.getState().then(queue => sendResponse({ success: true, queue: queue }));
+      break;
+      
+    case 'queueAdd':
+      crawlQueue.addItems(request.urls || [], request.stopConditions)
+        .then(queue => sendResponse({ success: true, queue: queue }));
+      break;
+      
+    case 'queueStart':
+      crawlQueue.start().then(queue => sendResponse({ success: true, queue: queue }));
+      break;
+      
+    case 'queuePause':
+      crawlQueue.pause().then(queue => sendResponse({ success: true, queue: queue }));
+      break;
+      
+    case 'queueClear':
+      crawlQueue.clear().then(queue => sendResponse({ success: true, queue: queue }));
       break;
       
-    case 'startCrawling':
-      crawlerState.isRunning = true;
-      crawlerState.tabId = request.tabId || sender.tab?.id;
-      crawlerState.startTime = Date.now();
-      saveCrawlerState();
-      console.log('[Background] Started crawling on tab:', crawlerState.tabId);
-      sendResponse({ success: true, state: crawlerState });
+    case 'getJobs':
+      crawlScheduler.getJobs().then(jobs => sendResponse({ success: true, jobs: jobs }));
       break;
       
-    case 'stopCrawling':
-      crawlerState.isRunning = false;
-      saveCrawlerState();
-      sendResponse({ success: true, state: crawlerState });
+    case 'jobSave':
+      crawlScheduler.saveJob(request.job)
+        .then(jobs => sendResponse({ success: true, jobs: jobs }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      break;
+      
+    case 'jobDelete':
+      crawlScheduler.deleteJob(request.jobId).then(jobs => sendResponse({ success: true, jobs: jobs }));
+      break;
+      
+    case 'jobRunNow':
+      crawlScheduler.runJob(request.jobId, 'manual').then(jobs => sendResponse({ success: true, jobs: jobs }));
       break;
       
     case 'updatePostCount':
-      crawlerState.postCount = request.count;
-      saveCrawlerState();
+      if (sender.tab) {
+        crawlSessions.updateProgress(sender.tab.id, { postCount: request.count });
+      }
       // Forward to popup if open
       chrome.runtime.sendMessage(request).catch(() => {});
       sendResponse({ success: true });
@@ -63,19 +144,80 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return true; // Keep message channel open for async response
 });
 
-// Save state to storage
-function saveCrawlerState() {
-  chrome.storage.local.set({ crawlerState: crawlerState });
+// Run a PostsDB call on behalf of a content script or the popup
+async function handlePostsDBRequest(request) {
+  if (!PostsDB.REMOTE_METHODS.includes(request.method)) {
+    return { success: false, error: `Unknown PostsDB method: ${request.method}` };
+  }
+  
+  try {
+    const result = await postsDB[request.method](...(request.args || []));
+    return { success: true, result: result };
+  } catch (error) {
+    console.error(`[Background] PostsDB.${request.method} failed:`, error);
+    return { success: false, error: error.message || String(error) };
+  }
+}
+
+// Control panel exports stream their file chunk by chunk over a port, and
+// crawling tabs send their checkpoints over one
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === PostExport.PORT_NAME) {
+    PostExport.serve(port, postsDB);
+  } else if (port.name === CrawlSessions.CHECKPOINT_PORT_NAME) {
+    CrawlSessions.serveCheckpoints(port);
+  }
+});
+
+// Network capture reads the sites' own API responses, which needs a script in the
+// page's JavaScript world from document_start. Both halves are registered as
+// content scripts only while the option is on; pages pick the change up on reload.
+async function syncNetworkCapture() {
+  const result = await chrome.storage.local.get('networkCapture');
+  const enabled = !!result.networkCapture?.enabled;
+  
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: NETWORK_CAPTURE_SCRIPTS.map(script => script.id) });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: registered.map(script => script.id) });
+  }
+  if (enabled) {
+    await chrome.scripting.registerContentScripts(NETWORK_CAPTURE_SCRIPTS.map(script => ({
+      ...script,
+      matches: NETWORK_CAPTURE_MATCHES,
+      runAt: 'document_start'
+    })));
+  }
+  console.log(`[Background] Network capture ${enabled ? 'enabled' : 'disabled'}`);
+  return enabled;
 }
 
+const NETWORK_CAPTURE_SCRIPTS = [
+  { id: 'network-hook', js: ['network-hook.js'], world: 'MAIN' },
+  { id: 'network-capture', js: ['network-capture.js'] }
+];
+const NETWORK_CAPTURE_MATCHES = [
+  'https://twitter.com/*',
+  'https://x.com/*',
+  'https://linkedin.com/*',
+  'https://www.linkedin.com/*',
+  'https://www.tiktok.com/*',
+  'https://tiktok.com/*'
+];
+
 // Monitor tab changes and cleanup
 chrome.tabs.onRemoved.addListener((tabId) => {
-  if (crawlerState.tabId === tabId) {
-    console.log('Crawler tab closed, stopping crawler');
-    crawlerState.isRunning = false;
-    crawlerState.tabId = null;
-    saveCrawlerState();
-  }
+  crawlQueue.handleTabRemoved(tabId);
+  crawlSessions.remove(tabId);
+});
+
+// Batch queue: start the crawler once a queued page has loaded
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  crawlQueue.handleTabUpdated(tabId, changeInfo);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  crawlQueue.handleAlarm(alarm);
+  crawlScheduler.handleAlarm(alarm);
 });
 
 // Keep service worker alive
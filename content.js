@@ -30,9 +30,7 @@ function createCrawler(platform) {
     case 'tiktok':
       return new TikTokCrawler();
     case 'instagram':
-      // TODO: Implement InstagramCrawler
-      console.warn('Instagram crawler not yet implemented');
-      return null;
+      return new InstagramCrawler();
     default:
       console.warn('Unsupported platform:', platform);
       return null;
@@ -51,8 +49,13 @@ if (platform !== 'unknown') {
   if (crawler) {
     console.log(`[${platform}] Social Media Crawler loaded successfully`);
     
-    // Create control panel after DOM is ready
-    setTimeout(() => {
+    // Create control panel after DOM is ready; the crawler needs its selector pack first
+    setTimeout(async () => {
+      try {
+        await crawler.loadSelectorPack();
+      } catch (error) {
+        console.error(`[${platform}] Could not load selector pack:`, error);
+      }
       crawler.createControlPanel();
       console.log(`[${platform}] Control panel created`);
     }, 2000);
@@ -77,7 +80,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
     
     console.log('[Content] Starting crawler...');
-    crawler.startCrawling();
+    crawler.startCrawling(request.stopConditions || {});
     sendResponse({status: 'started'});
     return true;
     
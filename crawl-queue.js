@@ -0,0 +1,325 @@
+// Batch crawl queue, run by the background service worker.
+// Each target URL is opened in a dedicated crawl window, the matching crawler is
+// started with the item's stop conditions, and the queue moves on when the
+// crawler reports `crawlerStopped`. The queue is event driven and kept in
+// chrome.storage.local, so it survives the service worker being suspended
+// between events.
+class CrawlQueue {
+  constructor() {
+    this.storageKey = 'crawlQueue';
+    this.state = null;
+    this.loadPromise = null;
+    this.onItemFinished = null; // (item, state) => void, set by the scheduler
+  }
+
+  static emptyState() {
+    return {
+      items: [],
+      running: false,
+      currentItemId: null,
+      tabId: null,
+      windowId: null
+    };
+  }
+
+  // The platform of a URL on one of the manifest's hosts, where the crawler is
+  // injected; null means no crawler for the URL. Hosts match exactly, so
+  // netflix.com is not X and linkedin.com.example.io is not LinkedIn.
+  static detectPlatform(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+    const origins = chrome.runtime.getManifest().host_permissions.map(pattern => new URL(pattern).origin);
+    if (!origins.includes(parsed.origin)) return null;
+
+    const host = parsed.hostname;
+    return Object.keys(CrawlQueue.PLATFORM_DOMAINS).find(platform =>
+      CrawlQueue.PLATFORM_DOMAINS[platform].some(domain => host === domain || host.endsWith(`.${domain}`))
+    ) || null;
+  }
+
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = chrome.storage.local.get(this.storageKey).then(result => {
+        this.state = result[this.storageKey] || CrawlQueue.emptyState();
+        return this.state;
+      });
+    }
+    return this.loadPromise;
+  }
+
+  async save() {
+    await chrome.storage.local.set({ [this.storageKey]: this.state });
+    // Let an open popup refresh its list
+    chrome.runtime.sendMessage({ action: 'queueUpdated', queue: this.state }).catch(() => {});
+  }
+
+  async getState() {
+    await this.load();
+    return this.state;
+  }
+
+  getCurrentItem() {
+    return this.state.items.find(item => item.id === this.state.currentItemId) || null;
+  }
+
+  // Queue target URLs. Every item needs a way to end, so items without any stop
+  // condition get the default time budget. `tags` (e.g. a scheduled job's
+  // jobId/runId) are copied onto each item.
+  async addItems(urls, stopConditions = {}, tags = {}) {
+    await this.load();
+
+    const conditions = {};
+    Object.entries(stopConditions || {}).forEach(([key, value]) => {
+      if (value) conditions[key] = value;
+    });
+    if (Object.keys(conditions).length === 0) {
+      conditions.maxMinutes = CrawlQueue.DEFAULT_MAX_MINUTES;
+    }
+
+    urls.map(url => url.trim()).filter(url => url.length > 0).forEach(url => {
+      const platform = CrawlQueue.detectPlatform(url);
+      this.state.items.push({
+        ...tags,
+        id: `${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`,
+        url: url,
+        platform: platform,
+        stopConditions: conditions,
+        status: platform ? 'pending' : 'skipped',
+        result: platform ? null : { error: 'No crawler for this site' },
+        startedAt: null,
+        finishedAt: null
+      });
+    });
+
+    console.log(`[CrawlQueue] ${this.state.items.length} items in queue`);
+    await this.save();
+    return this.state;
+  }
+
+  async start() {
+    await this.load();
+    if (this.state.running) return this.state;
+
+    this.state.running = true;
+    await this.save();
+    // A paused queue may still have its last item crawling
+    if (!this.getCurrentItem()) {
+      await this.advance();
+    }
+    return this.state;
+  }
+
+  // Nothing running and nothing left over; a paused queue still has pending
+  // items or its last item crawling
+  async isIdle() {
+    await this.load();
+    return !this.state.running && !this.getCurrentItem() &&
+      !this.state.items.some(item => item.status === 'pending');
+  }
+
+  // Stop taking new items; the item being crawled finishes normally
+  async pause() {
+    await this.load();
+    this.state.running = false;
+    await this.save();
+    return this.state;
+  }
+
+  // Remove everything except the item being crawled
+  async clear() {
+    await this.load();
+    this.state.items = this.state.items.filter(item => item.id === this.state.currentItemId);
+    await this.save();
+    return this.state;
+  }
+
+  // Open the next pending item, or finish the queue
+  async advance() {
+    await this.load();
+    if (!this.state.running || this.getCurrentItem()) return;
+
+    const item = this.state.items.find(candidate => candidate.status === 'pending');
+    if (!item) {
+      console.log('[CrawlQueue] Queue finished');
+      this.state.running = false;
+      await this.closeCrawlWindow();
+      await this.save();
+      return;
+    }
+
+    console.log(`[CrawlQueue] Opening ${item.url}`);
+    item.status = 'opening';
+    item.startedAt = new Date().toISOString();
+    this.state.currentItemId = item.id;
+    await this.save();
+
+    try {
+      await this.openInCrawlWindow(item.url);
+    } catch (error) {
+      await this.finishItem(item.id, 'failed', { error: `Could not open tab: ${error.message}` });
+      return;
+    }
+
+    // Watchdog in case the page never loads or the crawler never reports back
+    const budget = item.stopConditions.maxMinutes || CrawlQueue.DEFAULT_MAX_MINUTES * 4;
+    chrome.alarms.create(CrawlQueue.WATCHDOG_ALARM, { delayInMinutes: budget + CrawlQueue.WATCHDOG_GRACE_MINUTES });
+    await this.save();
+  }
+
+  // Crawls run in their own window rather than a background tab: Chrome throttles
+  // timers in hidden tabs, which would stall the crawler's auto-scroll
+  async openInCrawlWindow(url) {
+    if (this.state.tabId !== null) {
+      try {
+        await chrome.tabs.update(this.state.tabId, { url: url });
+        return;
+      } catch (error) {
+        console.log('[CrawlQueue] Crawl tab is gone, opening a new window');
+      }
+    }
+
+    const crawlWindow = await chrome.windows.create({ url: url, focused: false });
+    this.state.windowId = crawlWindow.id;
+    this.state.tabId = crawlWindow.tabs[0].id;
+  }
+
+  async closeCrawlWindow() {
+    if (this.state.windowId !== null) {
+      const windowId = this.state.windowId;
+      this.state.windowId = null;
+      this.state.tabId = null;
+      await chrome.windows.remove(windowId).catch(() => {});
+    }
+  }
+
+  // The crawl tab finished loading: make sure a crawler is there and start it
+  async handleTabUpdated(tabId, changeInfo) {
+    await this.load();
+    const item = this.getCurrentItem();
+    if (tabId !== this.state.tabId || changeInfo.status !== 'complete' || !item || item.status !== 'opening') {
+      return;
+    }
+
+    item.status = 'running';
+    await this.save();
+
+    try {
+      await this.ensureCrawler(tabId);
+      const response = await chrome.tabs.sendMessage(tabId, {
+        action: 'startCrawling',
+        stopConditions: item.stopConditions
+      });
+      if (!response || response.status !== 'started') {
+        throw new Error(response?.message || 'Crawler did not start');
+      }
+      console.log(`[CrawlQueue] Crawling ${item.url}`);
+    } catch (error) {
+      console.error(`[CrawlQueue] Could not start crawler on ${item.url}:`, error);
+      await this.finishItem(item.id, 'failed', { error: error.message });
+    }
+  }
+
+  // Content scripts are declared in the manifest, but hosts it doesn't match (or a
+  // slow page) may not have them yet; inject the same files if nobody answers
+  async ensureCrawler(tabId) {
+    for (let attempt = 0; attempt < CrawlQueue.PING_ATTEMPTS; attempt++) {
+      const status = await chrome.tabs.sendMessage(tabId, { action: 'getCrawlerStatus' }).catch(() => null);
+      if (status && status.crawlerExists) return;
+      if (status) throw new Error(`No crawler for platform "${status.platform}"`);
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    console.log('[CrawlQueue] Content scripts not found, injecting them');
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: chrome.runtime.getManifest().content_scripts[0].js
+    });
+    await new Promise(resolve => setTimeout(resolve, 2000));
+
+    const status = await chrome.tabs.sendMessage(tabId, { action: 'getCrawlerStatus' }).catch(() => null);
+    if (!status || !status.crawlerExists) {
+      throw new Error('Crawler could not be loaded on this page');
+    }
+  }
+
+  async handleCrawlerStopped(tabId, reason, stats) {
+    await this.load();
+    const item = this.getCurrentItem();
+    if (tabId !== this.state.tabId || !item) return;
+
+    await this.finishItem(item.id, 'done', { reason: reason, stats: stats || null });
+  }
+
+  async handleTabRemoved(tabId) {
+    await this.load();
+    if (tabId !== this.state.tabId) return;
+
+    // Closing the crawl window is taken as "stop the queue"
+    this.state.tabId = null;
+    this.state.windowId = null;
+    this.state.running = false;
+    const item = this.getCurrentItem();
+    if (item) {
+      await this.finishItem(item.id, 'failed', { error: 'Crawl window was closed' });
+    } else {
+      await this.save();
+    }
+  }
+
+  async handleAlarm(alarm) {
+    if (alarm.name !== CrawlQueue.WATCHDOG_ALARM) return;
+    await this.load();
+    const item = this.getCurrentItem();
+    if (!item) return;
+
+    console.warn(`[CrawlQueue] ${item.url} did not finish in time`);
+    if (this.state.tabId !== null) {
+      await chrome.tabs.sendMessage(this.state.tabId, { action: 'stopCrawling' }).catch(() => {});
+    }
+    await this.finishItem(item.id, 'failed', { error: 'Timed out' });
+  }
+
+  // Record an item's outcome and continue with the next one after a short pause
+  async finishItem(itemId, status, result) {
+    const item = this.state.items.find(candidate => candidate.id === itemId);
+    if (item) {
+      item.status = status;
+      item.result = result;
+      item.finishedAt = new Date().toISOString();
+      console.log(`[CrawlQueue] ${item.url}: ${status}`, result);
+    }
+
+    if (this.state.currentItemId === itemId) {
+      this.state.currentItemId = null;
+      await chrome.alarms.clear(CrawlQueue.WATCHDOG_ALARM);
+    }
+    await this.save();
+
+    if (item && this.onItemFinished) {
+      await this.onItemFinished(item, this.state);
+    }
+    if (this.state.running) {
+      setTimeout(() => this.advance(), CrawlQueue.DELAY_BETWEEN_ITEMS_MS);
+    }
+  }
+}
+
+CrawlQueue.WATCHDOG_ALARM = 'crawlQueueWatchdog';
+CrawlQueue.DEFAULT_MAX_MINUTES = 15;
+CrawlQueue.WATCHDOG_GRACE_MINUTES = 5;
+CrawlQueue.PING_ATTEMPTS = 5;
+CrawlQueue.DELAY_BETWEEN_ITEMS_MS = 5000;
+
+// Registrable domain(s) of each platform's hosts in manifest.json
+CrawlQueue.PLATFORM_DOMAINS = {
+  twitter: ['twitter.com', 'x.com'],
+  linkedin: ['linkedin.com'],
+  reddit: ['reddit.com'],
+  facebook: ['facebook.com'],
+  instagram: ['instagram.com'],
+  tiktok: ['tiktok.com']
+};
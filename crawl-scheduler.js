@@ -0,0 +1,252 @@
+// Scheduled recurring crawls, run by the background service worker.
+// A job is a list of profile URLs plus a schedule ({ days: [0-6], time: 'HH:MM' },
+// empty days = every day). When its chrome.alarms alarm fires, the URLs are added
+// to the CrawlQueue tagged with the job's id, and the job stays marked running
+// until the queue has finished all of them. Jobs live in chrome.storage.local,
+// and every change to them goes through updateJobs().
+class CrawlScheduler {
+  constructor(crawlQueue) {
+    this.crawlQueue = crawlQueue;
+    this.storageKey = 'crawlJobs';
+    this.updates = Promise.resolve(); // end of the chain of job list changes
+  }
+
+  async getJobs() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    return result[this.storageKey] || [];
+  }
+
+  async saveJobs(jobs) {
+    await chrome.storage.local.set({ [this.storageKey]: jobs });
+    // Let an open popup refresh its list
+    chrome.runtime.sendMessage({ action: 'jobsUpdated', jobs: jobs }).catch(() => {});
+  }
+
+  // Read, change and save the job list one change at a time. Without this an
+  // alarm and "Run now" could both see a job as idle and start it twice, and a
+  // run finishing while a job is edited would lose one of the two writes.
+  // change(jobs) edits the list in place; its result is what updateJobs resolves to.
+  updateJobs(change) {
+    const result = this.updates.then(async () => {
+      const jobs = await this.getJobs();
+      const value = await change(jobs);
+      await this.saveJobs(jobs);
+      return value;
+    });
+    this.updates = result.catch(() => {});
+    return result;
+  }
+
+  // Next time (ms) the schedule fires after `from`
+  static nextRunTime(schedule, from = Date.now()) {
+    const [hours, minutes] = (schedule.time || '09:00').split(':').map(Number);
+    const days = schedule.days && schedule.days.length > 0 ? schedule.days : [0, 1, 2, 3, 4, 5, 6];
+
+    for (let offset = 0; offset <= 7; offset++) {
+      const candidate = new Date(from);
+      candidate.setDate(candidate.getDate() + offset);
+      candidate.setHours(hours, minutes, 0, 0);
+      if (candidate.getTime() > from && days.includes(candidate.getDay())) {
+        return candidate.getTime();
+      }
+    }
+    return null;
+  }
+
+  static alarmName(jobId) {
+    return `${CrawlScheduler.ALARM_PREFIX}${jobId}`;
+  }
+
+  async saveJob(job) {
+    return this.updateJobs(async jobs => {
+      const existing = jobs.find(candidate => candidate.id === job.id);
+
+      const saved = {
+        id: job.id || `job_${Date.now().toString(36)}`,
+        name: job.name || 'Scheduled crawl',
+        urls: (job.urls || []).map(url => url.trim()).filter(url => url.length > 0),
+        schedule: job.schedule || { days: [], time: '09:00' },
+        stopConditions: job.stopConditions || {},
+        enabled: job.enabled !== false,
+        running: existing ? existing.running : false,
+        currentRun: existing ? existing.currentRun : null,
+        lastRun: existing ? existing.lastRun : null,
+        lastSuccessAt: existing ? existing.lastSuccessAt : null,
+        nextRunAt: null
+      };
+      if (saved.urls.length === 0) {
+        throw new Error('A scheduled job needs at least one URL');
+      }
+
+      await this.scheduleJob(saved);
+      if (existing) {
+        jobs[jobs.indexOf(existing)] = saved;
+      } else {
+        jobs.push(saved);
+      }
+      return jobs;
+    });
+  }
+
+  async deleteJob(jobId) {
+    return this.updateJobs(async jobs => {
+      await chrome.alarms.clear(CrawlScheduler.alarmName(jobId));
+      const index = jobs.findIndex(job => job.id === jobId);
+      if (index !== -1) jobs.splice(index, 1);
+      return jobs;
+    });
+  }
+
+  // Create (or clear) the job's alarm and store when it will fire
+  async scheduleJob(job) {
+    const alarmName = CrawlScheduler.alarmName(job.id);
+    if (!job.enabled) {
+      job.nextRunAt = null;
+      await chrome.alarms.clear(alarmName);
+      return;
+    }
+
+    const when = CrawlScheduler.nextRunTime(job.schedule);
+    job.nextRunAt = when ? new Date(when).toISOString() : null;
+    if (when) {
+      chrome.alarms.create(alarmName, { when: when });
+    }
+  }
+
+  // Alarms can be lost when the extension is updated; recreate any that are missing
+  async syncAlarms() {
+    const jobs = await this.updateJobs(async jobs => {
+      for (const job of jobs) {
+        const alarm = await chrome.alarms.get(CrawlScheduler.alarmName(job.id));
+        if (!alarm) {
+          await this.scheduleJob(job);
+        }
+      }
+      return jobs;
+    });
+    console.log(`[CrawlScheduler] ${jobs.length} scheduled jobs`);
+  }
+
+  async handleAlarm(alarm) {
+    if (!alarm.name.startsWith(CrawlScheduler.ALARM_PREFIX)) return;
+    const jobId = alarm.name.substring(CrawlScheduler.ALARM_PREFIX.length);
+    await this.runJob(jobId, 'schedule');
+  }
+
+  async runJob(jobId, trigger = 'manual') {
+    const runId = `run_${jobId}_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+    // Checking that the job is idle and marking it running is one update
+    const job = await this.updateJobs(async jobs => {
+      const job = jobs.find(candidate => candidate.id === jobId);
+      if (!job) return null;
+
+      // Keep the schedule going whatever happens to this run
+      if (trigger === 'schedule') {
+        await this.scheduleJob(job);
+      }
+
+      if (job.running && !this.isStale(job)) {
+        console.warn(`[CrawlScheduler] "${job.name}" is still running, skipping this run`);
+        job.lastRun = {
+          ...job.lastRun,
+          skippedAt: new Date().toISOString(),
+          error: 'Skipped: the previous run was still in progress'
+        };
+        return null;
+      }
+
+      job.running = true;
+      job.currentRun = { id: runId, trigger: trigger, startedAt: new Date().toISOString() };
+      return { ...job };
+    });
+    if (!job) return this.getJobs();
+
+    try {
+      // A queue the user paused stays paused; the run's items wait until it resumes
+      const queueIdle = await this.crawlQueue.isIdle();
+      const queueState = await this.crawlQueue.addItems(job.urls, this.runStopConditions(job), { jobId: job.id, runId: runId });
+      // Completes the run right away if none of the URLs can be crawled
+      await this.handleQueueItemFinished({ jobId: job.id, runId: runId }, queueState);
+      if (queueIdle) {
+        await this.crawlQueue.start();
+        console.log(`[CrawlScheduler] Started "${job.name}" (${job.urls.length} URLs, ${trigger})`);
+      } else {
+        console.log(`[CrawlScheduler] Queued "${job.name}" (${job.urls.length} URLs, ${trigger}) behind the current queue`);
+      }
+    } catch (error) {
+      console.error(`[CrawlScheduler] Could not start "${job.name}":`, error);
+      await this.completeRun(job.id, runId, { status: 'failed', error: error.message });
+    }
+    return this.getJobs();
+  }
+
+  // Only new posts: stop once the crawl reaches posts from before the last
+  // successful run, or a run of posts that are already stored
+  runStopConditions(job) {
+    const conditions = { ...job.stopConditions };
+    if (!conditions.maxConsecutiveKnown) {
+      conditions.maxConsecutiveKnown = CrawlScheduler.CAUGHT_UP_AFTER_KNOWN;
+    }
+    if (!conditions.since && job.lastSuccessAt) {
+      conditions.since = job.lastSuccessAt;
+    }
+    return conditions;
+  }
+
+  // A run whose queue items were cleared (or whose worker died) never reports back
+  isStale(job) {
+    const startedAt = job.currentRun ? Date.parse(job.currentRun.startedAt) : 0;
+    return Date.now() - startedAt > CrawlScheduler.STALE_RUN_HOURS * 3600000;
+  }
+
+  // Called by the queue whenever an item finishes; completes the job's run once
+  // none of its items are left
+  async handleQueueItemFinished(item, queueState) {
+    if (!item.jobId) return;
+
+    const runItems = queueState.items.filter(candidate => candidate.jobId === item.jobId && candidate.runId === item.runId);
+    if (runItems.some(candidate => ['pending', 'opening', 'running'].includes(candidate.status))) {
+      return;
+    }
+
+    const failed = runItems.filter(candidate => candidate.status !== 'done');
+    await this.completeRun(item.jobId, item.runId, {
+      status: failed.length === 0 ? 'success' : (failed.length < runItems.length ? 'partial' : 'failed'),
+      error: failed.length > 0
+        ? failed.map(candidate => `${candidate.url}: ${candidate.result?.error || candidate.status}`).join('; ')
+        : null,
+      results: runItems.map(candidate => ({
+        url: candidate.url,
+        status: candidate.status,
+        reason: candidate.result?.reason || null,
+        newPosts: candidate.result?.stats?.newPosts ?? null
+      }))
+    });
+  }
+
+  async completeRun(jobId, runId, outcome) {
+    await this.updateJobs(jobs => {
+      const job = jobs.find(candidate => candidate.id === jobId);
+      if (!job || !job.currentRun || job.currentRun.id !== runId) return;
+
+      job.lastRun = {
+        ...job.currentRun,
+        finishedAt: new Date().toISOString(),
+        status: outcome.status,
+        error: outcome.error || null,
+        results: outcome.results || []
+      };
+      if (outcome.status === 'success') {
+        job.lastSuccessAt = job.currentRun.startedAt;
+      }
+      job.running = false;
+      job.currentRun = null;
+
+      console.log(`[CrawlScheduler] "${job.name}" finished: ${outcome.status}`);
+    });
+  }
+}
+
+CrawlScheduler.ALARM_PREFIX = 'crawlJob:';
+CrawlScheduler.CAUGHT_UP_AFTER_KNOWN = 5;
+CrawlScheduler.STALE_RUN_HOURS = 6;
@@ -0,0 +1,133 @@
+// Crawl sessions, tracked by the background service worker.
+// Every tab that runs a crawler has its own session keyed by tab id, so crawls in
+// several tabs can run side by side. Content scripts report `crawlerStarted`,
+// `crawlerProgress` and `crawlerStopped`; the popup lists the sessions and can stop
+// each one. Kept in chrome.storage.local, so they survive the service worker being
+// suspended between events.
+class CrawlSessions {
+  constructor() {
+    this.storageKey = 'crawlSessions';
+    this.sessions = null;
+    this.loadPromise = null;
+  }
+
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = chrome.storage.local.get(this.storageKey).then(result => {
+        this.sessions = result[this.storageKey] || {};
+        return this.sessions;
+      });
+    }
+    return this.loadPromise;
+  }
+
+  async save() {
+    await chrome.storage.local.set({ [this.storageKey]: this.sessions });
+    // Let an open popup refresh its list
+    chrome.runtime.sendMessage({ action: 'sessionsUpdated', sessions: this.list() }).catch(() => {});
+  }
+
+  // Running sessions first, then the most recently started
+  list() {
+    return Object.values(this.sessions || {}).sort((a, b) => {
+      if (a.status !== b.status) return a.status === 'running' ? -1 : 1;
+      return b.startTime - a.startTime;
+    });
+  }
+
+  async getSessions() {
+    await this.load();
+    return this.list();
+  }
+
+  // A new crawl in a tab replaces whatever that tab ran before
+  async start(tabId, details) {
+    await this.load();
+    this.sessions[tabId] = {
+      tabId: tabId,
+      platform: details.platform || null,
+      url: details.url || null,
+      status: 'running',
+      startTime: Date.now(),
+      stoppedAt: null,
+      processedPosts: 0,
+      newPosts: 0,
+      postCount: details.postCount ?? null,
+      stopReason: null
+    };
+    console.log(`[CrawlSessions] Tab ${tabId} started crawling ${details.platform}`);
+    await this.save();
+    return this.sessions[tabId];
+  }
+
+  async updateProgress(tabId, stats) {
+    await this.load();
+    const session = this.sessions[tabId];
+    if (!session) return;
+
+    if (stats.processedPosts !== undefined) session.processedPosts = stats.processedPosts;
+    if (stats.newPosts !== undefined) session.newPosts = stats.newPosts;
+    if (stats.postCount !== undefined) session.postCount = stats.postCount;
+    await this.save();
+  }
+
+  async stop(tabId, reason, stats) {
+    await this.load();
+    const session = this.sessions[tabId];
+    if (!session) return;
+
+    session.status = 'stopped';
+    session.stoppedAt = Date.now();
+    session.stopReason = reason || null;
+    if (stats && stats.newPosts !== undefined) session.newPosts = stats.newPosts;
+    console.log(`[CrawlSessions] Tab ${tabId} stopped: ${reason}`);
+    await this.save();
+  }
+
+  // Ask the tab's crawler to stop; it reports back with `crawlerStopped`
+  async requestStop(tabId) {
+    await this.load();
+    try {
+      await chrome.tabs.sendMessage(tabId, { action: 'stopCrawling' });
+    } catch (error) {
+      // The page navigated away or the crawler is gone
+      await this.stop(tabId, 'crawler no longer reachable');
+    }
+    return this.list();
+  }
+
+  async remove(tabId) {
+    await this.load();
+    if (!this.sessions[tabId]) return;
+
+    console.log(`[CrawlSessions] Tab ${tabId} closed, removing its session`);
+    delete this.sessions[tabId];
+    await this.save();
+  }
+
+  // Crawl checkpoints posted by the content scripts (see BaseCrawler.writeCheckpoint),
+  // written in the order they arrive. A null checkpoint removes the key. Only
+  // checkpoint keys are accepted, so a page can't overwrite other settings.
+  static serveCheckpoints(port) {
+    let writes = Promise.resolve();
+    port.onMessage.addListener(message => {
+      const key = message && message.key;
+      if (typeof key !== 'string' || !key.startsWith(CrawlSessions.CHECKPOINT_KEY_PREFIX)) return;
+      writes = writes
+        .then(() => message.checkpoint
+          ? chrome.storage.local.set({ [key]: message.checkpoint })
+          : chrome.storage.local.remove(key))
+        .catch(error => console.warn('[CrawlSessions] Could not write checkpoint:', error.message));
+    });
+  }
+
+  // Tab ids don't survive a browser restart
+  async reset() {
+    await this.load();
+    this.sessions = {};
+    await this.save();
+  }
+}
+
+CrawlSessions.CHECKPOINT_PORT_NAME = 'crawlCheckpoints'; // BaseCrawler.CHECKPOINT_PORT_NAME
+CrawlSessions.CHECKPOINT_KEY_PREFIX = 'crawlCheckpoint:'; // see BaseCrawler.getCheckpointKey
@@ -4,6 +4,16 @@ class BaseCrawler {
     this.platform = platform;
     this.isRunning = false;
     this.crawledPosts = new Set();
+    this.sightedPosts = new Set(); // Posts snapshotted during the current session
+    this.knownPermalinks = new Map(); // permalink -> id of the stored post
+    this.stopConditions = {}; // { maxPosts, since, maxMinutes, maxConsecutiveKnown }
+    this.sessionStats = null;
+    this.stopTimer = null;
+    this.checkpointInterval = null;
+    this.pageHideListener = null;
+    this.checkpointPort = null; // to the background, which stores the checkpoints
+    this.lastProcessedPost = null; // { id, timestamp } saved in checkpoints
+    this.pendingResume = null; // checkpoint whose counters the next session continues
     this.observer = null;
     this.crawlInterval = null;
     this.scrollInterval = null;
@@ -12,11 +22,33 @@ class BaseCrawler {
     this.controlPanel = null;
     this.postCountElement = null;
     this.currentContentElement = null;
+    this.selectorPack = null; // pack in use, see selector-packs.js
+    this.selectors = null; // its selectors, fallback lists joined
+    this.lastDiagnosis = null; // last selector health report
+    this.timestampReference = null; // fixed "now" for relative dates; the fixture check pins it
+    this.countExactness = new WeakMap(); // metrics object -> { name: exact }, see setCount
+    this.companyFollowers = null; // { page, count } for the page being crawled
+    this.exportInProgress = false;
+    this.exportProgressTimer = null;
+    this.exportProgressDone = false;
+    this.columnPresets = null; // name -> column preset, see export-columns.js
+    this.filtersInitialized = false; // filter dropdowns filled and listened to
   }
 
-  // Abstract methods that must be implemented by subclasses
+  // Selectors come from the platform's selector pack (selectors/<platform>.json),
+  // which must be loaded before crawling
   getSelectors() {
-    throw new Error('getSelectors() must be implemented by subclass');
+    if (!this.selectors) {
+      throw new Error(`Selector pack for ${this.platform} is not loaded`);
+    }
+    return this.selectors;
+  }
+
+  async loadSelectorPack() {
+    this.selectorPack = await SelectorPacks.load(this.platform);
+    this.selectors = SelectorPacks.resolve(this.selectorPack.selectors);
+    console.log(`[${this.platform}] Using selector pack ${SelectorPacks.id(this.selectorPack)} (${this.selectorPack.source})`);
+    this.updateSelectorPackInfo();
   }
 
   extractPostData(postElement) {
@@ -29,6 +61,39 @@ class BaseCrawler {
     return this.extractPostData(postElement);
   }
 
+  // Canonical URL of a single post (not the feed/profile page it was seen on).
+  // Subclasses return null when the post has no permalink in the DOM.
+  extractPermalink(postElement) {
+    return null;
+  }
+
+  // Id the site's API uses for the post, for matching network-capture.js records.
+  // Subclasses whose platform has a network parser override this.
+  getNetworkId(postData) {
+    return null;
+  }
+
+  // Merge what the site's own API responses said about the post, when network
+  // capture is enabled; the DOM data is kept for everything they don't cover
+  applyNetworkData(postData) {
+    if (!postData || !window.networkCapture) return postData;
+    const record = window.networkCapture.get(this.platform, this.getNetworkId(postData));
+    return record ? NetworkCapture.mergeInto(postData, record) : postData;
+  }
+
+  // Pick the id a post is stored under: a post whose permalink is already stored
+  // keeps that record's id, a post stored earlier under its content-based id keeps
+  // it, and everything else uses the permalink-based id when there is one
+  resolvePostId(permalink, permalinkId, contentId) {
+    if (permalink && this.knownPermalinks.has(permalink)) {
+      return this.knownPermalinks.get(permalink);
+    }
+    if (!permalinkId || this.crawledPosts.has(contentId)) {
+      return contentId;
+    }
+    return permalinkId;
+  }
+
   // Common methods shared by all crawlers
   createPostId(text, author, timestamp) {
     // For Twitter, try to use more of the text content for uniqueness
@@ -57,21 +122,101 @@ class BaseCrawler {
     return cleanText.length > maxWidth ? cleanText.substring(0, maxWidth - 3) + '...' : cleanText;
   }
 
+  // Reads a displayed count in any of the formats the sites use, e.g. "1,234",
+  // "1.234", "1 234", "3,4 k", "12 mil", "1.5M views", "1.2万", "1.2千万", "3億", "2 lakh".
+  // Returns { value, exact }: exact is false when the site rounded the count
+  // ("1.2K"), so analytics can tell an exact 1,234 from an approximate 1,200.
+  parseCount(text) {
+    if (typeof text === 'number') {
+      return { value: Number.isFinite(text) ? Math.round(text) : 0, exact: Number.isInteger(text) };
+    }
+    if (!text) return { value: 0, exact: true };
+
+    // The first number in the text and the word or character right after it.
+    // A unit must be a whole word, so "bookmark" or "2 more" is never "b" or "m".
+    const match = String(text).match(/(\d[\d\s.,'\u00a0\u202f]*)\s*([千万萬亿億천만억]+|[a-z\u00e0-\u00ff\u0400-\u04ff]+\.?)?/i);
+    if (!match) return { value: 0, exact: true };
+
+    // CJK units stack: "1.2千万" is 1.2 thousand ten-thousands
+    const unit = match[2] ? match[2].toLowerCase().replace(/\.$/, '') : '';
+    const multiplier = /^[千万萬亿億천만억]+$/.test(unit)
+      ? Array.from(unit).reduce((product, character) => product * BaseCrawler.COUNT_UNITS[character], 1)
+      : BaseCrawler.COUNT_UNITS[unit] || 1;
+    const hasUnit = multiplier !== 1;
+
+    // Spaces and apostrophes only ever group thousands
+    let digits = match[1].replace(/[\s'\u00a0\u202f]/g, '').replace(/[.,]+$/, '');
+    const separators = digits.match(/[.,]/g) || [];
+    if (separators.length > 0) {
+      const last = separators[separators.length - 1];
+      const lastGroup = digits.slice(digits.lastIndexOf(last) + 1);
+      let decimal;
+      if (separators.includes('.') && separators.includes(',')) {
+        decimal = last; // "1,234.5" or "1.234,5"
+      } else if (separators.length > 1) {
+        decimal = null; // "1,234,567" or "1.234.567"
+      } else {
+        // A lone separator before three digits groups thousands ("1,234", "1.234"),
+        // unless a unit follows ("1.234K" is a rounded 1,234)
+        decimal = lastGroup.length === 3 && !hasUnit ? null : last;
+      }
+
+      const thousands = decimal === '.' ? ',' : decimal === ',' ? '.' : /[.,]/g;
+      digits = digits.split(thousands).join('');
+      if (decimal) digits = digits.replace(decimal, '.');
+    }
+
+    const number = parseFloat(digits);
+    if (!Number.isFinite(number)) return { value: 0, exact: true };
+    const value = Math.round(number * multiplier);
+    return { value: value, exact: !hasUnit && value === number };
+  }
+
   parseNumber(text) {
-    if (!text) return 0;
-    
-    // Remove non-numeric characters except k, m, b for thousands/millions/billions
-    const cleanText = text.toLowerCase().replace(/[^0-9kmb.]/g, '');
-    
-    if (cleanText.includes('k')) {
-      return Math.floor(parseFloat(cleanText.replace('k', '')) * 1000);
-    } else if (cleanText.includes('m')) {
-      return Math.floor(parseFloat(cleanText.replace('m', '')) * 1000000);
-    } else if (cleanText.includes('b')) {
-      return Math.floor(parseFloat(cleanText.replace('b', '')) * 1000000000);
+    return this.parseCount(text).value;
+  }
+
+  // Sets metrics[name] from displayed text and remembers whether it was exact
+  setCount(metrics, name, text) {
+    const count = this.parseCount(text);
+    metrics[name] = count.value;
+    if (!this.countExactness.has(metrics)) this.countExactness.set(metrics, {});
+    this.countExactness.get(metrics)[name] = count.exact;
+    return count.value;
+  }
+
+  // { likes: true, views: false, ... } for the counts set with setCount
+  getMetricsExactness(metrics) {
+    return { ...(this.countExactness.get(metrics) || {}) };
+  }
+
+  // Follower count of the profile or page being crawled, from the pack's
+  // `page.followers` selector; null when the page doesn't show one. Read once per
+  // page, since every post on it shares the same audience.
+  getCompanyFollowers() {
+    const page = window.location.pathname;
+    if (this.companyFollowers && this.companyFollowers.page === page && this.companyFollowers.count !== null) {
+      return this.companyFollowers.count;
     }
-    
-    return parseInt(cleanText) || 0;
+
+    const selector = this.getSelectors()?.page?.followers;
+    let count = null;
+    if (selector) {
+      // Profile headers list posts, followers and following side by side, so
+      // prefer the element that says "followers" when several match
+      const candidates = Array.from(document.querySelectorAll(selector))
+        .filter(element => /\d/.test(element.textContent));
+      const element = candidates.find(candidate => BaseCrawler.FOLLOWERS_TEXT.test(candidate.textContent))
+        || (candidates.length === 1 ? candidates[0] : null);
+      if (element) {
+        // Instagram keeps the exact count in a title attribute
+        const exact = element.querySelector('[title]')?.getAttribute('title');
+        count = this.parseNumber(exact && /\d/.test(exact) ? exact : element.textContent) || null;
+      }
+    }
+
+    this.companyFollowers = { page: page, count: count };
+    return count;
   }
 
   async savePost(postData) {
@@ -90,17 +235,21 @@ class BaseCrawler {
       }
       
       // Ensure DB is initialized
-      if (!window.postsDB.db) {
-        console.log(`[${this.platform}] Initializing PostsDB...`);
-        await window.postsDB.init();
-      }
+      await window.postsDB.init();
       
-      console.log(`[${this.platform}] Adding post to database...`);
+      console.log(`[${this.platform}] Adding post to shared database...`);
+      // Record which selectors extracted the post, to trace bad data to a pack
+      postData.selectorPack = SelectorPacks.id(this.selectorPack);
+      postData.companyFollowers = this.getCompanyFollowers();
       const result = await window.postsDB.addPost(postData);
       console.log(`[${this.platform}] Post added successfully:`, result);
       
       // ONLY mark as crawled if successfully saved to database
       this.crawledPosts.add(postData.id);
+      this.sightedPosts.add(postData.id);
+      if (postData.permalink) {
+        this.knownPermalinks.set(postData.permalink, result);
+      }
       console.log(`[${this.platform}] Post marked as crawled in memory: ${postData.id}`);
       
       // Get updated count and update control panel
@@ -130,6 +279,16 @@ class BaseCrawler {
     }
   }
 
+  // A post counts as new only once it is stored; one that failed to save stays
+  // uncounted and is tried again when it is next seen
+  async recordNewPost(postData) {
+    const saved = await this.savePost(postData);
+    if (saved) {
+      this.trackStopConditions(postData, true);
+    }
+    return saved;
+  }
+
   createControlPanel() {
     // Remove existing panel if it exists
     if (this.controlPanel) {
@@ -166,6 +325,24 @@ class BaseCrawler {
         </div>
       </div>
       
+      <div class="stop-conditions">
+        <div class="label">Stop after (optional):</div>
+        <div class="stop-grid">
+          <input type="number" id="crawler-stop-max-posts" class="stop-input" min="1" placeholder="New posts" title="Stop after this many new posts">
+          <input type="number" id="crawler-stop-max-minutes" class="stop-input" min="1" placeholder="Minutes" title="Stop after this many minutes">
+          <input type="date" id="crawler-stop-since" class="stop-input" title="Stop once posts are older than this date">
+          <input type="number" id="crawler-stop-max-known" class="stop-input" min="1" placeholder="Known in a row" title="Stop after this many already-crawled posts in a row">
+        </div>
+      </div>
+      
+      <div id="crawler-resume-prompt" class="resume-prompt" style="display: none;">
+        <div id="crawler-resume-text"></div>
+        <div class="button-row-small">
+          <button id="crawler-resume-btn" class="small-btn">Resume</button>
+          <button id="crawler-resume-discard" class="small-btn">Discard</button>
+        </div>
+      </div>
+      
       <div class="button-row">
         <button id="crawler-start-btn">Start</button>
         <button id="crawler-stop-btn">Stop</button>
@@ -180,13 +357,86 @@ class BaseCrawler {
             <option value="all">All Companies</option>
           </select>
         </div>
+        <details class="filter-builder">
+          <summary>More filters <span id="crawler-filter-summary"></span></summary>
+          <div class="filter-grid">
+            <select id="crawler-filter-date-field" class="filter-select wide">
+              <option value="crawled">Crawled between</option>
+              <option value="posted">Posted between</option>
+            </select>
+            <input type="date" id="crawler-filter-from" class="stop-input" title="From (included)">
+            <input type="date" id="crawler-filter-to" class="stop-input" title="To (included)">
+            <input type="text" id="crawler-filter-author" class="stop-input" placeholder="Author handle" title="Author handle, or part of the author's name">
+            <select id="crawler-filter-post-type" class="filter-select">
+              <option value="all">Any post type</option>
+            </select>
+            <input type="text" id="crawler-filter-text" class="stop-input wide" placeholder="Text contains" spellcheck="false">
+            <label class="filter-option wide">
+              <input type="checkbox" id="crawler-filter-regex"> Text is a regular expression
+            </label>
+            <input type="number" id="crawler-filter-min-likes" class="stop-input" min="0" placeholder="Min likes" title="At least this many likes or reactions">
+            <input type="number" id="crawler-filter-min-views" class="stop-input" min="0" placeholder="Min views">
+          </div>
+        </details>
+        <label class="filter-option">
+          <input type="checkbox" id="crawler-include-history"> Include engagement history (JSON, NDJSON)
+        </label>
+        <label class="filter-option" title="Export only posts that are new or changed since the last incremental export with these filters, and save a manifest file with the export's id and range">
+          <input type="checkbox" id="crawler-incremental"> Only new/changed since last export
+          <span id="crawler-last-export" class="last-export"></span>
+        </label>
+        <details class="column-chooser">
+          <summary>CSV/XLSX columns: <span id="crawler-columns-name"></span></summary>
+          <select id="crawler-column-preset" class="filter-select"></select>
+          <textarea id="crawler-columns-text" rows="6" spellcheck="false" title="One column per line: Header = field path, e.g. Hashtags = hashtags|join"></textarea>
+          <div class="button-row-small">
+            <button id="crawler-columns-save" class="small-btn">Save</button>
+            <button id="crawler-columns-delete" class="small-btn">Delete</button>
+            <button id="crawler-columns-import" class="small-btn">Import</button>
+            <button id="crawler-columns-share" class="small-btn">Share</button>
+          </div>
+          <input type="file" id="crawler-columns-file" accept=".json,application/json" style="display: none;">
+        </details>
       </div>
       
       <div class="button-row-small">
         <button id="crawler-export-json" class="small-btn">JSON</button>
         <button id="crawler-export-csv" class="small-btn">CSV</button>
+        <button id="crawler-export-ndjson" class="small-btn">NDJSON</button>
+      </div>
+      <div class="button-row-small">
+        <button id="crawler-export-xlsx" class="small-btn">XLSX</button>
+        <button id="crawler-export-html" class="small-btn">Report</button>
         <button id="crawler-clear-data" class="small-btn">Clear</button>
       </div>
+      <div class="button-row-small">
+        <select id="crawler-import-strategy" class="filter-select" title="When an imported post is already stored">
+          <option value="newest">Keep newest metrics</option>
+          <option value="existing">Keep existing posts</option>
+        </select>
+        <button id="crawler-import-data" class="small-btn">Import</button>
+      </div>
+      <input type="file" id="crawler-import-file" accept=".json,.ndjson,.csv,application/json,application/x-ndjson,text/csv" style="display: none;">
+      <div id="crawler-export-progress" class="export-progress" style="display: none;">
+        <div class="export-progress-bar"><div id="crawler-export-progress-fill"></div></div>
+        <div id="crawler-export-progress-text"></div>
+      </div>
+      
+      <div class="selector-pack">
+        <div class="label">Selectors: <span id="crawler-selector-pack">loading...</span></div>
+        <div class="button-row-small">
+          <button id="crawler-import-pack" class="small-btn">Import</button>
+          <button id="crawler-export-pack" class="small-btn">Save</button>
+          <button id="crawler-reset-pack" class="small-btn">Reset</button>
+          <button id="crawler-diagnose" class="small-btn">Diagnose</button>
+        </div>
+        <input type="file" id="crawler-pack-file" accept=".json,application/json" style="display: none;">
+        <div id="crawler-diagnose-report" class="diagnose-report" style="display: none;">
+          <div id="crawler-diagnose-summary"></div>
+          <ul id="crawler-diagnose-fields"></ul>
+          <button id="crawler-diagnose-export" class="small-btn">Export Report</button>
+        </div>
+      </div>
     `;
 
     document.body.appendChild(this.controlPanel);
@@ -194,38 +444,77 @@ class BaseCrawler {
     // Get references to elements
     this.postCountElement = document.getElementById('crawler-post-count');
     this.currentContentElement = document.getElementById('current-content-text');
-    const statusElement = document.getElementById('crawler-status');
     const startBtn = document.getElementById('crawler-start-btn');
     const stopBtn = document.getElementById('crawler-stop-btn');
     const exportJsonBtn = document.getElementById('crawler-export-json');
     const exportCsvBtn = document.getElementById('crawler-export-csv');
+    const exportNdjsonBtn = document.getElementById('crawler-export-ndjson');
+    const exportXlsxBtn = document.getElementById('crawler-export-xlsx');
+    const exportHtmlBtn = document.getElementById('crawler-export-html');
     const clearBtn = document.getElementById('crawler-clear-data');
 
     // Add event listeners
     startBtn.addEventListener('click', () => {
-      this.startCrawling();
-      startBtn.style.display = 'none';
-      stopBtn.style.display = 'block';
-      statusElement.textContent = 'Running';
+      this.startCrawling(this.readStopConditions());
     });
 
     stopBtn.addEventListener('click', () => {
       this.stopCrawling();
-      stopBtn.style.display = 'none';
-      startBtn.style.display = 'block';
-      statusElement.textContent = 'Stopped';
     });
 
     exportJsonBtn.addEventListener('click', () => this.exportData('json'));
     exportCsvBtn.addEventListener('click', () => this.exportData('csv'));
+    exportNdjsonBtn.addEventListener('click', () => this.exportData('ndjson'));
+    exportXlsxBtn.addEventListener('click', () => this.exportData('xlsx'));
+    exportHtmlBtn.addEventListener('click', () => this.exportData('html'));
     clearBtn.addEventListener('click', () => this.clearData());
 
+    const importFileInput = document.getElementById('crawler-import-file');
+    document.getElementById('crawler-import-data').addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', () => {
+      if (importFileInput.files[0]) {
+        this.importData(importFileInput.files[0]);
+      }
+      importFileInput.value = '';
+    });
+
+    const packFileInput = document.getElementById('crawler-pack-file');
+    document.getElementById('crawler-import-pack').addEventListener('click', () => packFileInput.click());
+    packFileInput.addEventListener('change', () => {
+      if (packFileInput.files[0]) {
+        this.importSelectorPack(packFileInput.files[0]);
+      }
+      packFileInput.value = '';
+    });
+    document.getElementById('crawler-export-pack').addEventListener('click', () => this.exportSelectorPack());
+    document.getElementById('crawler-reset-pack').addEventListener('click', () => this.resetSelectorPack());
+    document.getElementById('crawler-diagnose').addEventListener('click', () => this.showDiagnosis());
+    document.getElementById('crawler-diagnose-export').addEventListener('click', () => this.exportDiagnosis());
+
+    const columnsFileInput = document.getElementById('crawler-columns-file');
+    document.getElementById('crawler-column-preset').addEventListener('change', (event) => this.selectColumnPreset(event.target.value));
+    document.getElementById('crawler-columns-save').addEventListener('click', () => this.saveColumnPreset());
+    document.getElementById('crawler-columns-delete').addEventListener('click', () => this.deleteColumnPreset());
+    document.getElementById('crawler-columns-import').addEventListener('click', () => columnsFileInput.click());
+    columnsFileInput.addEventListener('change', () => {
+      if (columnsFileInput.files[0]) {
+        this.importColumnPresets(columnsFileInput.files[0]);
+      }
+      columnsFileInput.value = '';
+    });
+    document.getElementById('crawler-columns-share').addEventListener('click', () => this.shareColumnPreset());
+    this.loadColumnPresets();
+    this.updateSelectorPackInfo();
+
     // Initialize tooltip functionality
     this.initializeTooltips();
     
     // Initialize filters and post count
     this.initializeFilters();
     this.loadPostCount();
+    
+    // Offer to pick up an interrupted crawl of this page
+    this.offerResume();
   }
 
   injectCSS() {
@@ -321,6 +610,10 @@ class BaseCrawler {
         gap: 8px;
       }
 
+      #social-media-crawler-panel .button-row-small + .button-row-small {
+        margin-top: 6px;
+      }
+
       #social-media-crawler-panel button {
         flex: 1;
         border: none;
@@ -365,6 +658,94 @@ class BaseCrawler {
         background: rgba(255, 255, 255, 0.2);
       }
 
+      .export-progress {
+        margin-top: 8px;
+        font-size: 11px;
+      }
+
+      .export-progress-bar {
+        height: 6px;
+        margin-bottom: 4px;
+        background: rgba(255, 255, 255, 0.15);
+        border-radius: 3px;
+        overflow: hidden;
+      }
+
+      #crawler-export-progress-fill {
+        width: 0;
+        height: 100%;
+        background: #10b981;
+        transition: width 0.2s;
+      }
+
+      .selector-pack {
+        margin-top: 12px;
+        font-size: 11px;
+      }
+
+      .selector-pack .label {
+        margin-bottom: 6px;
+      }
+
+      .diagnose-report {
+        margin-top: 8px;
+        padding: 8px;
+        background: rgba(0, 0, 0, 0.2);
+        border-radius: 6px;
+      }
+
+      .diagnose-report ul {
+        margin: 6px 0;
+        padding-left: 14px;
+        max-height: 140px;
+        overflow-y: auto;
+      }
+
+      .diagnose-report li.failing {
+        color: #fecaca;
+      }
+
+      .column-chooser {
+        margin-top: 8px;
+        font-size: 11px;
+      }
+
+      .column-chooser summary {
+        cursor: pointer;
+        opacity: 0.9;
+      }
+
+      .column-chooser select,
+      .column-chooser textarea {
+        display: block;
+        width: 100%;
+        box-sizing: border-box;
+        margin: 6px 0;
+      }
+
+      .column-chooser textarea {
+        background: rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 6px;
+        padding: 5px 8px;
+        color: white;
+        font: 11px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace;
+        resize: vertical;
+      }
+
+      .resume-prompt {
+        background: rgba(245, 158, 11, 0.2);
+        border: 1px solid rgba(245, 158, 11, 0.4);
+        border-radius: 6px;
+        padding: 8px;
+        margin-bottom: 12px;
+        font-size: 11px;
+      }
+
+      .resume-prompt .button-row-small {
+        margin-top: 6px;
+      }
+
       .already-recorded {
         display: none;
         font-size: 10px;
@@ -387,6 +768,81 @@ class BaseCrawler {
         gap: 8px;
       }
 
+      .stop-conditions {
+        margin-bottom: 12px;
+      }
+
+      .stop-conditions .label {
+        font-size: 11px;
+        opacity: 0.8;
+        margin-bottom: 6px;
+      }
+
+      .stop-grid {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 6px;
+      }
+
+      .stop-input {
+        min-width: 0;
+        background: rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 6px;
+        padding: 5px 8px;
+        color: white;
+        font-size: 11px;
+        color-scheme: dark;
+      }
+
+      .stop-input:focus {
+        outline: none;
+        border-color: rgba(255, 255, 255, 0.4);
+      }
+
+      .filter-builder {
+        margin-top: 8px;
+        font-size: 11px;
+      }
+
+      .filter-builder summary {
+        cursor: pointer;
+        opacity: 0.9;
+      }
+
+      .filter-grid {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 6px;
+        margin-top: 6px;
+      }
+
+      .filter-grid .wide {
+        grid-column: 1 / -1;
+      }
+
+      .filter-grid .filter-option {
+        margin-top: 0;
+      }
+
+      .filter-grid .invalid {
+        border-color: #f87171;
+      }
+
+      .last-export {
+        opacity: 0.7;
+      }
+
+      .filter-option {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-top: 8px;
+        font-size: 11px;
+        opacity: 0.9;
+        cursor: pointer;
+      }
+
       .filter-select {
         flex: 1;
         background: rgba(0, 0, 0, 0.3) !important;
@@ -510,9 +966,7 @@ class BaseCrawler {
   async loadPostCount() {
     try {
       if (window.postsDB) {
-        if (!window.postsDB.db) {
-          await window.postsDB.init();
-        }
+        await window.postsDB.init();
         const count = await window.postsDB.getPostCount();
         this.updatePostCount(count);
       }
@@ -530,9 +984,7 @@ class BaseCrawler {
         return;
       }
       
-      if (!window.postsDB.db) {
-        await window.postsDB.init();
-      }
+      await window.postsDB.init();
       
       // Get all existing posts for this platform
       const existingPosts = await window.postsDB.getPostsByPlatform(this.platform);
@@ -540,8 +992,13 @@ class BaseCrawler {
       
       // Clear current set and repopulate with existing IDs
       this.crawledPosts.clear();
+      this.sightedPosts.clear();
+      this.knownPermalinks.clear();
       existingPosts.forEach(post => {
         this.crawledPosts.add(post.id);
+        if (post.permalink) {
+          this.knownPermalinks.set(post.permalink, post.id);
+        }
       });
       
       console.log(`[${this.platform}] Loaded ${this.crawledPosts.size} post IDs into memory to avoid duplicates`);
@@ -551,6 +1008,36 @@ class BaseCrawler {
     }
   }
 
+  // Reflect running/stopped in the control panel; statusText defaults to Running/Stopped
+  setPanelState(running, statusText) {
+    const statusElement = document.getElementById('crawler-status');
+    const startBtn = document.getElementById('crawler-start-btn');
+    const stopBtn = document.getElementById('crawler-stop-btn');
+    
+    if (statusElement) {
+      statusElement.textContent = statusText || (running ? 'Running' : 'Stopped');
+    }
+    if (startBtn && stopBtn) {
+      startBtn.style.display = running ? 'none' : 'block';
+      stopBtn.style.display = running ? 'block' : 'none';
+    }
+  }
+
+  // Read the optional stop conditions from the control panel
+  readStopConditions() {
+    const numberValue = (id) => {
+      const value = parseInt(document.getElementById(id)?.value, 10);
+      return value > 0 ? value : null;
+    };
+    
+    return {
+      maxPosts: numberValue('crawler-stop-max-posts'),
+      since: document.getElementById('crawler-stop-since')?.value || null,
+      maxMinutes: numberValue('crawler-stop-max-minutes'),
+      maxConsecutiveKnown: numberValue('crawler-stop-max-known')
+    };
+  }
+
   updatePostCount(count) {
     if (this.postCountElement) {
       this.postCountElement.textContent = count;
@@ -648,7 +1135,204 @@ class BaseCrawler {
     this.hideDownloadStatus();
   }
 
+  updateSelectorPackInfo() {
+    const infoElement = document.getElementById('crawler-selector-pack');
+    if (!infoElement || !this.selectorPack) return;
+    
+    const pack = this.selectorPack;
+    infoElement.textContent = `v${pack.version} (${pack.source})`;
+    infoElement.title = pack.source === 'imported'
+      ? `Imported ${new Date(pack.importedAt).toLocaleString()} over bundled v${pack.bundledVersion}. ${pack.description || ''}`
+      : pack.description || '';
+  }
+
+  async importSelectorPack(file) {
+    if (this.isRunning) {
+      alert('Stop the crawler before changing its selectors');
+      return;
+    }
+    
+    try {
+      const pack = JSON.parse(await file.text());
+      await SelectorPacks.importPack(pack, this.platform);
+      await this.loadSelectorPack();
+      alert(`Selector pack ${SelectorPacks.id(this.selectorPack)} imported`);
+    } catch (error) {
+      console.error(`[${this.platform}] Error importing selector pack:`, error);
+      alert(`Could not import selector pack: ${error.message}`);
+    }
+  }
+
+  // Save the pack in use as a file that teammates can import
+  exportSelectorPack() {
+    if (!this.selectorPack) return;
+    
+    const { platform, version, description, selectors } = this.selectorPack;
+    const blob = new Blob([JSON.stringify({ platform, version, description, selectors }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `selectors-${platform}-${version}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async resetSelectorPack() {
+    if (this.isRunning) {
+      alert('Stop the crawler before changing its selectors');
+      return;
+    }
+    
+    try {
+      await SelectorPacks.reset(this.platform);
+      await this.loadSelectorPack();
+    } catch (error) {
+      console.error(`[${this.platform}] Error resetting selector pack:`, error);
+    }
+  }
+
+  // Run every field selector against the visible posts and report, per field, how
+  // many posts it matched, matched an empty element, missed, or threw on
+  async diagnoseSelectors() {
+    const selectors = this.getSelectors();
+    const allPosts = Array.from(document.querySelectorAll(selectors.postContainer));
+    const posts = this.getPostsInViewport(allPosts);
+    
+    // Container selectors pick posts rather than fields inside a post, and the
+    // `page` group reads the profile header
+    const fields = [];
+    const collectFields = (group, prefix) => {
+      Object.entries(group).forEach(([key, value]) => {
+        const name = prefix ? `${prefix}.${key}` : key;
+        if (name === 'page') return;
+        if (value && typeof value === 'object') {
+          collectFields(value, name);
+        } else if (!/postContainer$/i.test(key)) {
+          fields.push({ field: name, selector: value, matched: 0, empty: 0, missing: 0, errors: 0, error: null });
+        }
+      });
+    };
+    collectFields(selectors, '');
+    
+    const postResults = [];
+    for (const [index, post] of posts.entries()) {
+      const missedFields = [];
+      fields.forEach(field => {
+        try {
+          const element = post.querySelector(field.selector);
+          if (!element) {
+            field.missing++;
+            missedFields.push(field.field);
+          } else if (element.textContent.trim() || ['src', 'href', 'datetime', 'aria-label'].some(attribute => element.getAttribute(attribute))) {
+            field.matched++;
+          } else {
+            field.empty++;
+            missedFields.push(field.field);
+          }
+        } catch (error) {
+          field.errors++;
+          field.error = error.message;
+          missedFields.push(field.field);
+        }
+      });
+      
+      let extracted = false;
+      let extractionError = null;
+      try {
+        extracted = !!(await this.extractPostDataForDisplay(post));
+      } catch (error) {
+        extractionError = error.message;
+      }
+      postResults.push({ index, post, missedFields, extracted, extractionError });
+    }
+    
+    // Posts the crawler couldn't extract come first, then those missing the most fields
+    const samples = postResults
+      .filter(result => !result.extracted || result.missedFields.length > 0)
+      .sort((a, b) => (a.extracted - b.extracted) || (b.missedFields.length - a.missedFields.length))
+      .slice(0, BaseCrawler.DIAGNOSE_SAMPLE_POSTS)
+      .map(result => {
+        const html = result.post.outerHTML;
+        return {
+          index: result.index,
+          extracted: result.extracted,
+          extractionError: result.extractionError,
+          missedFields: result.missedFields,
+          html: html.length > BaseCrawler.DIAGNOSE_SAMPLE_HTML_CHARS
+            ? `${html.substring(0, BaseCrawler.DIAGNOSE_SAMPLE_HTML_CHARS)}... [${html.length - BaseCrawler.DIAGNOSE_SAMPLE_HTML_CHARS} more characters]`
+            : html
+        };
+      });
+    
+    return {
+      platform: this.platform,
+      url: window.location.href,
+      generatedAt: new Date().toISOString(),
+      selectorPack: SelectorPacks.id(this.selectorPack),
+      postContainer: selectors.postContainer,
+      postsOnPage: allPosts.length,
+      postsChecked: posts.length,
+      extracted: postResults.filter(result => result.extracted).length,
+      fields: fields,
+      samples: samples
+    };
+  }
+
+  async showDiagnosis() {
+    const reportElement = document.getElementById('crawler-diagnose-report');
+    const summaryElement = document.getElementById('crawler-diagnose-summary');
+    const listElement = document.getElementById('crawler-diagnose-fields');
+    
+    try {
+      this.lastDiagnosis = await this.diagnoseSelectors();
+    } catch (error) {
+      console.error(`[${this.platform}] Error diagnosing selectors:`, error);
+      alert(`Could not diagnose selectors: ${error.message}`);
+      return;
+    }
+    
+    const report = this.lastDiagnosis;
+    const total = report.postsChecked;
+    const failing = report.fields.filter(field => field.matched < total);
+    summaryElement.textContent = total === 0
+      ? `No visible posts match postContainer (${report.postsOnPage} on page)`
+      : `${total} visible posts, ${report.extracted} extracted · ${report.fields.length - failing.length}/${report.fields.length} fields matched every post`;
+    
+    // Worst fields first; fields that matched every post are left out
+    listElement.innerHTML = '';
+    failing
+      .sort((a, b) => a.matched - b.matched)
+      .forEach(field => {
+        const li = document.createElement('li');
+        li.className = field.matched === 0 ? 'failing' : '';
+        const details = [
+          field.empty ? `${field.empty} empty` : '',
+          field.errors ? `threw: ${field.error}` : ''
+        ].filter(Boolean).join(', ');
+        li.textContent = `${field.field}: ${field.matched}/${total} matched${details ? ` (${details})` : ''}`;
+        li.title = field.selector;
+        listElement.appendChild(li);
+      });
+    
+    reportElement.style.display = 'block';
+    console.log(`[${this.platform}] Selector diagnosis:`, report);
+  }
+
+  exportDiagnosis() {
+    if (!this.lastDiagnosis) return;
+    
+    const blob = new Blob([JSON.stringify(this.lastDiagnosis, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `selector-diagnosis-${this.platform}-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
   async exportData(format) {
+    if (this.exportInProgress) return;
+    
     try {
       console.log(`[${this.platform}] Exporting data in ${format} format...`);
       
@@ -658,30 +1342,50 @@ class BaseCrawler {
       }
 
       // Get filter values
-      const platformFilter = document.getElementById('crawler-platform-filter')?.value || 'all';
-      const companyFilter = document.getElementById('crawler-company-filter')?.value || 'all';
+      const filter = this.readExportFilter();
+      if (!filter) {
+        alert('The text filter is not a valid regular expression');
+        return;
+      }
+      const { platform: platformFilter, company: companyFilter } = filter;
+      const includeEngagementHistory = document.getElementById('crawler-include-history')?.checked || false;
+      const incremental = document.getElementById('crawler-incremental')?.checked || false;
+      // The flat formats use the chooser's columns, saved or not
+      let columns;
+      if (format === 'csv' || format === 'xlsx') {
+        columns = this.readColumns();
+        if (!columns) return;
+      }
       
       console.log(`[${this.platform}] Exporting with filters - platform: ${platformFilter}, company: ${companyFilter}`);
 
-      const exportData = await window.postsDB.exportFilteredData(format, platformFilter, companyFilter);
-      if (!exportData) {
+      this.exportInProgress = true;
+      this.setExportButtonsDisabled(true);
+      const result = await PostExport.save(
+        { format, filter, options: { includeEngagementHistory, columns, incremental } },
+        (progress) => this.showExportProgress(progress)
+      );
+      if (!result) {
         alert('No data to export with current filters');
         return;
       }
-
-      const blob = new Blob([exportData.data], {type: exportData.type});
-      const url = URL.createObjectURL(blob);
-      
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = exportData.filename;
-      a.click();
+      if (result.empty) {
+        alert(`Nothing new or changed since the last export (${new Date(result.since).toLocaleString()})`);
+        return;
+      }
+      if (result.cancelled) {
+        console.log(`[${this.platform}] Export cancelled`);
+        return;
+      }
       
-      URL.revokeObjectURL(url);
-      console.log(`[${this.platform}] Export completed successfully`);
+      console.log(`[${this.platform}] Exported ${result.processed} posts to ${result.filename}`);
+      this.showExportProgress(result, true);
+      if (result.manifest) {
+        this.showLastExport(result.manifest);
+      }
       
       // Show helpful message about file matching for video platforms
-      if (format === 'csv' && (platformFilter === 'all' || platformFilter === 'tiktok')) {
+      if ((format === 'csv' || format === 'xlsx') && (platformFilter === 'all' || platformFilter === 'tiktok')) {
         setTimeout(() => {
           this.showFileMatchingInstructions();
         }, 1000);
@@ -689,8 +1393,189 @@ class BaseCrawler {
     } catch (error) {
       console.error(`[${this.platform}] Export error:`, error);
       alert('Export failed: ' + error.message);
+    } finally {
+      this.exportInProgress = false;
+      this.setExportButtonsDisabled(false);
+      if (!this.exportProgressDone) this.hideExportProgress();
     }
   }
+
+  // Import one of our JSON, NDJSON or CSV exports, merging by post id
+  async importData(file) {
+    if (this.exportInProgress) return;
+    
+    const strategy = document.getElementById('crawler-import-strategy')?.value || 'newest';
+    const labels = BaseCrawler.IMPORT_PROGRESS_LABELS;
+    try {
+      console.log(`[${this.platform}] Importing ${file.name} (${strategy})...`);
+      this.exportInProgress = true;
+      this.setExportButtonsDisabled(true);
+      
+      const report = await PostImport.run(file, strategy, (progress) => this.showExportProgress(progress, false, labels));
+      const imported = report.added + report.updated + report.kept;
+      this.showExportProgress({ processed: imported, total: imported }, true, labels);
+      if (report.rejected.length > 0) {
+        console.warn(`[${this.platform}] Rejected ${report.rejected.length} records from ${file.name}:`, report.rejected);
+      }
+      
+      const examples = report.rejected.slice(0, 5)
+        .map(record => `• ${record.line ? `line ${record.line}` : record.id || file.name}: ${record.reason}`);
+      alert([
+        `Imported ${file.name} (${report.format.toUpperCase()}):`,
+        `${report.added} added, ${report.updated} updated, ${report.kept} unchanged or kept, ${report.rejected.length} rejected`,
+        ...examples,
+        report.rejected.length > examples.length ? '(all rejected records are listed in the console)' : ''
+      ].filter(Boolean).join('\n'));
+      
+      // New platforms and companies show up in the filters
+      await this.initializeFilters();
+    } catch (error) {
+      console.error(`[${this.platform}] Import error:`, error);
+      alert('Import failed: ' + error.message);
+    } finally {
+      this.exportInProgress = false;
+      this.setExportButtonsDisabled(false);
+      if (!this.exportProgressDone) this.hideExportProgress();
+    }
+  }
+
+  // Columns typed in the column chooser, or null (after telling the user) if they
+  // can't be exported
+  readColumns() {
+    const textarea = document.getElementById('crawler-columns-text');
+    if (!textarea) return undefined;
+    const columns = ExportColumns.parseText(textarea.value);
+    try {
+      ExportColumns.validate(columns);
+      return columns;
+    } catch (error) {
+      alert(`Check the export columns: ${error.message}`);
+      return null;
+    }
+  }
+
+  async loadColumnPresets(selectedName) {
+    const select = document.getElementById('crawler-column-preset');
+    if (!select) return;
+
+    try {
+      this.columnPresets = await ExportColumns.getPresets();
+      const name = selectedName || await ExportColumns.getSelectedName();
+      select.innerHTML = '';
+      Object.keys(this.columnPresets).forEach(presetName => {
+        const option = document.createElement('option');
+        option.value = presetName;
+        option.textContent = presetName;
+        select.appendChild(option);
+      });
+      this.selectColumnPreset(this.columnPresets[name] ? name : ExportColumns.DEFAULT_PRESET);
+    } catch (error) {
+      console.error(`[${this.platform}] Error loading column presets:`, error);
+    }
+  }
+
+  selectColumnPreset(name) {
+    const preset = this.columnPresets && this.columnPresets[name];
+    if (!preset) return;
+    document.getElementById('crawler-column-preset').value = name;
+    document.getElementById('crawler-columns-text').value = ExportColumns.toText(preset.columns);
+    document.getElementById('crawler-columns-name').textContent = `${name} (${preset.columns.length})`;
+    ExportColumns.setSelectedName(name).catch(() => {});
+  }
+
+  async saveColumnPreset() {
+    const columns = this.readColumns();
+    if (!columns) return;
+
+    const current = this.columnPresets?.[document.getElementById('crawler-column-preset').value];
+    const name = prompt('Save these columns as (e.g. your team\'s name):', current && !current.builtIn ? current.name : '');
+    if (name === null) return;
+    if (ExportColumns.PRESETS[name.trim()]) {
+      alert(`"${name.trim()}" is a built-in preset; choose another name`);
+      return;
+    }
+
+    try {
+      const preset = await ExportColumns.savePreset(name, columns);
+      await this.loadColumnPresets(preset.name);
+    } catch (error) {
+      console.error(`[${this.platform}] Error saving column preset:`, error);
+      alert(`Could not save column preset: ${error.message}`);
+    }
+  }
+
+  async deleteColumnPreset() {
+    const name = document.getElementById('crawler-column-preset').value;
+    if (this.columnPresets?.[name]?.builtIn) {
+      alert('Built-in presets can\'t be deleted');
+      return;
+    }
+    if (!confirm(`Delete the column preset "${name}"?`)) return;
+
+    await ExportColumns.deletePreset(name);
+    await this.loadColumnPresets(ExportColumns.DEFAULT_PRESET);
+  }
+
+  async importColumnPresets(file) {
+    try {
+      const imported = await ExportColumns.importPresets(JSON.parse(await file.text()));
+      await this.loadColumnPresets(imported[0].name);
+      alert(`Imported column preset${imported.length > 1 ? 's' : ''}: ${imported.map(preset => preset.name).join(', ')}`);
+    } catch (error) {
+      console.error(`[${this.platform}] Error importing column presets:`, error);
+      alert(`Could not import column presets: ${error.message}`);
+    }
+  }
+
+  // Save the chooser's columns as a file that teammates can import
+  shareColumnPreset() {
+    const columns = this.readColumns();
+    if (!columns) return;
+
+    const name = document.getElementById('crawler-column-preset').value;
+    const blob = new Blob([JSON.stringify({ name, columns }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `columns-${name.replace(/[^\w-]+/g, '_')}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  setExportButtonsDisabled(disabled) {
+    ['crawler-export-json', 'crawler-export-csv', 'crawler-export-ndjson', 'crawler-export-xlsx',
+      'crawler-export-html', 'crawler-clear-data', 'crawler-import-data'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = disabled;
+    });
+  }
+
+  // Progress bar under the export buttons; stays up a few seconds after it finishes
+  // `labels` name the work in progress and done, e.g. BaseCrawler.IMPORT_PROGRESS_LABELS
+  showExportProgress({ processed, total }, done = false, labels = BaseCrawler.EXPORT_PROGRESS_LABELS) {
+    const container = document.getElementById('crawler-export-progress');
+    if (!container) return;
+    
+    clearTimeout(this.exportProgressTimer);
+    container.style.display = 'block';
+    const percent = total > 0 ? Math.round((processed / total) * 100) : 0;
+    document.getElementById('crawler-export-progress-fill').style.width = `${percent}%`;
+    document.getElementById('crawler-export-progress-text').textContent = done
+      ? `${labels[1]} ${processed.toLocaleString()} posts`
+      : `${labels[0]} ${processed.toLocaleString()} / ${total.toLocaleString()} posts (${percent}%)`;
+    
+    this.exportProgressDone = done;
+    if (done) {
+      this.exportProgressTimer = setTimeout(() => this.hideExportProgress(), BaseCrawler.EXPORT_PROGRESS_LINGER_MS);
+    }
+  }
+
+  hideExportProgress() {
+    clearTimeout(this.exportProgressTimer);
+    this.exportProgressDone = false;
+    const container = document.getElementById('crawler-export-progress');
+    if (container) container.style.display = 'none';
+  }
   
   // Show instructions for matching downloaded files with CSV entries
   showFileMatchingInstructions() {
@@ -729,9 +1614,7 @@ This system allows you to organize and categorize your downloaded videos effecti
         return;
       }
 
-      if (!window.postsDB.db) {
-        await window.postsDB.init();
-      }
+      await window.postsDB.init();
 
       // Get available platforms and companies
       const platforms = await window.postsDB.getAvailablePlatforms();
@@ -739,6 +1622,9 @@ This system allows you to organize and categorize your downloaded videos effecti
 
       console.log(`[${this.platform}] Found platforms: ${platforms.join(', ')}, companies: ${companies.join(', ')}`);
 
+      const selectedPlatform = document.getElementById('crawler-platform-filter')?.value;
+      const selectedCompany = document.getElementById('crawler-company-filter')?.value;
+
       // Update platform dropdown
       const platformSelect = document.getElementById('crawler-platform-filter');
       if (platformSelect) {
@@ -755,8 +1641,8 @@ This system allows you to organize and categorize your downloaded videos effecti
           platformSelect.appendChild(option);
         });
         
-        // Set current platform as selected
-        platformSelect.value = this.platform;
+        // Start on the current platform; a refresh (after an import) keeps the choice
+        platformSelect.value = this.filtersInitialized ? selectedPlatform : this.platform;
       }
 
       // Update company dropdown
@@ -774,11 +1660,43 @@ This system allows you to organize and categorize your downloaded videos effecti
           option.textContent = company;
           companySelect.appendChild(option);
         });
+        if (this.filtersInitialized && companies.includes(selectedCompany)) {
+          companySelect.value = selectedCompany;
+        }
+      }
+
+      // Post types for the filter builder; retweets, replies and sponsored posts are flags
+      const postTypeSelect = document.getElementById('crawler-filter-post-type');
+      if (postTypeSelect) {
+        const selectedPostType = postTypeSelect.value;
+        while (postTypeSelect.children.length > 1) {
+          postTypeSelect.removeChild(postTypeSelect.lastChild);
+        }
+        const postTypes = await window.postsDB.getAvailablePostTypes();
+        [
+          ['flag:isRetweet', 'Retweets'],
+          ['flag:isReply', 'Replies'],
+          ['flag:isSponsored', 'Sponsored'],
+          ...postTypes.map(postType => [`type:${postType}`, postType])
+        ].forEach(([value, label]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = label;
+          postTypeSelect.appendChild(option);
+        });
+        postTypeSelect.value = selectedPostType;
+        if (!postTypeSelect.value) postTypeSelect.value = 'all';
       }
 
       // Add event listeners for filter changes
-      platformSelect?.addEventListener('change', () => this.updateFilteredCount());
-      companySelect?.addEventListener('change', () => this.updateFilteredCount());
+      if (!this.filtersInitialized) {
+        platformSelect?.addEventListener('change', () => this.updateFilteredCount());
+        companySelect?.addEventListener('change', () => this.updateFilteredCount());
+        this.controlPanel.querySelectorAll('.filter-builder input, .filter-builder select').forEach(input => {
+          input.addEventListener('change', () => this.updateFilteredCount());
+        });
+        this.filtersInitialized = true;
+      }
 
       // Initial count update
       this.updateFilteredCount();
@@ -788,30 +1706,65 @@ This system allows you to organize and categorize your downloaded videos effecti
     }
   }
 
+  // The export filter set in the control panel (see PostsDB.exportFilter), or null
+  // when the text filter is not a valid regular expression
+  readExportFilter() {
+    const value = (id) => document.getElementById(id)?.value.trim() || '';
+    const postType = value('crawler-filter-post-type');
+    const filter = {
+      platform: value('crawler-platform-filter') || 'all',
+      company: value('crawler-company-filter') || 'all',
+      dateField: value('crawler-filter-date-field') || 'crawled',
+      from: value('crawler-filter-from'),
+      to: value('crawler-filter-to'),
+      author: value('crawler-filter-author'),
+      text: value('crawler-filter-text'),
+      textRegex: !!document.getElementById('crawler-filter-regex')?.checked,
+      postType: postType.startsWith('type:') ? postType.slice('type:'.length) : '',
+      flag: postType.startsWith('flag:') ? postType.slice('flag:'.length) : '',
+      minLikes: value('crawler-filter-min-likes'),
+      minViews: value('crawler-filter-min-views')
+    };
+
+    const textInput = document.getElementById('crawler-filter-text');
+    let valid = true;
+    if (filter.textRegex && filter.text) {
+      try {
+        new RegExp(filter.text, 'i');
+      } catch (error) {
+        valid = false;
+      }
+    }
+    textInput?.classList.toggle('invalid', !valid);
+
+    const summary = document.getElementById('crawler-filter-summary');
+    if (summary) {
+      const extra = PostsDB.filterCriteria(filter).filter(criterion => criterion !== 'platform' && criterion !== 'company');
+      summary.textContent = extra.length > 0 ? `(${extra.length})` : '';
+    }
+    return valid ? filter : null;
+  }
+
+  // When the last incremental export with the current filters ran
+  showLastExport(lastExport) {
+    const element = document.getElementById('crawler-last-export');
+    if (!element) return;
+    element.textContent = lastExport ? `(last: ${new Date(lastExport.watermark).toLocaleString()})` : '(none yet)';
+    element.title = lastExport ? `${lastExport.id}: ${lastExport.posts} posts in ${lastExport.filename}` : '';
+  }
+
   // Update post count based on current filters
   async updateFilteredCount() {
     try {
       if (!window.postsDB) return;
 
-      const platformFilter = document.getElementById('crawler-platform-filter')?.value || 'all';
-      const companyFilter = document.getElementById('crawler-company-filter')?.value || 'all';
-
-      let count;
-      if (platformFilter === 'all' && companyFilter === 'all') {
-        count = await window.postsDB.getPostCount();
-      } else if (platformFilter !== 'all' && companyFilter !== 'all') {
-        const posts = await window.postsDB.getPostsByPlatformAndCompany(platformFilter, companyFilter);
-        count = posts.length;
-      } else if (platformFilter !== 'all') {
-        const posts = await window.postsDB.getPostsByPlatform(platformFilter);
-        count = posts.length;
-      } else if (companyFilter !== 'all') {
-        const posts = await window.postsDB.getPostsByCompany(companyFilter);
-        count = posts.length;
-      }
+      const filter = this.readExportFilter();
+      if (!filter) return;
 
+      const count = await window.postsDB.countPosts(filter);
       this.updatePostCount(count);
-      console.log(`[${this.platform}] Filtered count updated: ${count} posts (platform: ${platformFilter}, company: ${companyFilter})`);
+      this.showLastExport(await window.postsDB.getLastExport(PostsDB.filterKey(filter)));
+      console.log(`[${this.platform}] Filtered count updated: ${count} posts (${PostsDB.filterCriteria(filter).join(', ') || 'no filters'})`);
 
     } catch (error) {
       console.error(`[${this.platform}] Error updating filtered count:`, error);
@@ -909,6 +1862,322 @@ This system allows you to organize and categorize your downloaded videos effecti
     }
   }
 
+  // Reset per-session counters and arm the time budget. Called by every
+  // startCrawling implementation once isRunning is set.
+  beginSession(stopConditions = {}) {
+    this.stopConditions = stopConditions || {};
+    this.sessionStats = {
+      startedAt: Date.now(),
+      countedPosts: new Set(), // the same post is processed several times while on screen
+      newPosts: 0,
+      consecutiveKnown: 0,
+      consecutiveOld: 0
+    };
+    
+    // A resumed crawl continues the interrupted session's counters and time budget
+    if (this.pendingResume) {
+      const checkpoint = this.pendingResume;
+      this.sessionStats.newPosts = checkpoint.newPosts || 0;
+      this.sessionStats.startedAt = Date.now() - (checkpoint.savedAt - checkpoint.sessionStartedAt);
+      this.pendingResume = null;
+    }
+    
+    const sinceDate = this.stopConditions.since ? new Date(this.stopConditions.since) : null;
+    this.sinceCutoff = sinceDate && !isNaN(sinceDate) ? sinceDate.getTime() : null;
+    
+    if (this.stopConditions.maxMinutes) {
+      this.stopTimer = setTimeout(() => {
+        this.stopCrawling(`time budget of ${this.stopConditions.maxMinutes} min reached`);
+      }, Math.max(this.stopConditions.maxMinutes * 60 * 1000 - (Date.now() - this.sessionStats.startedAt), 0));
+    }
+    
+    const active = Object.entries(this.stopConditions).filter(([, value]) => value);
+    if (active.length > 0) {
+      console.log(`[${this.platform}] Stop conditions:`, Object.fromEntries(active));
+    }
+    
+    // Checkpoint regularly, and once more if the page goes away mid-crawl
+    this.lastProcessedPost = null;
+    this.openCheckpointPort();
+    this.checkpointInterval = setInterval(() => this.saveCheckpoint(), BaseCrawler.CHECKPOINT_INTERVAL_MS);
+    this.pageHideListener = () => {
+      this.saveCheckpoint();
+      this.notifyBackground({ action: 'crawlerUnloaded' });
+    };
+    window.addEventListener('pagehide', this.pageHideListener);
+    const resumePrompt = document.getElementById('crawler-resume-prompt');
+    if (resumePrompt) resumePrompt.style.display = 'none';
+    
+    // The background keeps one session per tab
+    this.notifyBackground({ action: 'crawlerStarted', platform: this.platform, url: window.location.href });
+    this.setPanelState(true);
+  }
+
+  // Count a processed post against the stop conditions. isNew is false for posts
+  // that were already in the database.
+  trackStopConditions(postData, isNew) {
+    if (!this.isRunning || !this.sessionStats || !postData) return;
+    const stats = this.sessionStats;
+    const conditions = this.stopConditions;
+    
+    // The resume point for checkpoints
+    this.lastProcessedPost = { id: postData.id, timestamp: postData.timestamp || null };
+    
+    if (stats.countedPosts.has(postData.id)) return;
+    stats.countedPosts.add(postData.id);
+    
+    if (isNew) {
+      stats.newPosts++;
+      stats.consecutiveKnown = 0;
+    } else {
+      stats.consecutiveKnown++;
+    }
+    
+    // Pinned posts can be old, so a single old post doesn't end the crawl
+    if (this.sinceCutoff) {
+      const postTime = this.parsePostDate(postData.timestamp);
+      if (postTime !== null) {
+        stats.consecutiveOld = postTime < this.sinceCutoff ? stats.consecutiveOld + 1 : 0;
+      }
+    }
+    
+    this.notifyBackground({
+      action: 'crawlerProgress',
+      stats: { processedPosts: stats.countedPosts.size, newPosts: stats.newPosts }
+    });
+    
+    if (conditions.maxPosts && stats.newPosts >= conditions.maxPosts) {
+      this.stopCrawling(`reached ${conditions.maxPosts} new posts`);
+    } else if (this.sinceCutoff && stats.consecutiveOld >= BaseCrawler.OLD_POSTS_BEFORE_STOP) {
+      this.stopCrawling(`posts are older than ${conditions.since}`);
+    } else if (conditions.maxConsecutiveKnown && stats.consecutiveKnown >= conditions.maxConsecutiveKnown) {
+      this.stopCrawling(`${conditions.maxConsecutiveKnown} already-crawled posts in a row`);
+    }
+  }
+
+  // Timestamp of a post in ms, or null if it can't be read
+  parsePostDate(timestamp) {
+    const parsed = Timestamps.parse(timestamp, new Date());
+    return parsed ? parsed.date.getTime() : null;
+  }
+
+  // The timestamp fields for the time a page shows (see Timestamps.normalize).
+  // Relative and partial dates are resolved against `reference`, the post's
+  // crawledAt, unless the fixture check has pinned timestampReference.
+  normalizeTimestamp(raw, reference = new Date()) {
+    return Timestamps.normalize(raw, this.timestampReference || reference);
+  }
+
+  // Checkpoints are per page (a profile or feed URL), not per platform
+  getCheckpointKey() {
+    return `crawlCheckpoint:${this.platform}:${window.location.origin}${window.location.pathname}`;
+  }
+
+  // Crawlers that move between pages while crawling have nothing to resume
+  supportsResume() {
+    return true;
+  }
+
+  // chrome.storage goes away when the extension is reloaded under a running
+  // page; there is no checkpoint then
+  hasExtensionStorage() {
+    try {
+      return !!(chrome.runtime?.id && chrome.storage?.local);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  saveCheckpoint() {
+    if (!this.isRunning || !this.supportsResume()) return;
+    
+    const checkpoint = {
+      platform: this.platform,
+      url: window.location.href,
+      lastPostId: this.lastProcessedPost?.id || null,
+      lastPostTimestamp: this.lastProcessedPost?.timestamp || null,
+      scrollY: Math.round(window.scrollY),
+      stopConditions: this.stopConditions,
+      newPosts: this.sessionStats?.newPosts || 0,
+      sessionStartedAt: this.sessionStats?.startedAt || Date.now(),
+      savedAt: Date.now()
+    };
+    this.writeCheckpoint(checkpoint);
+  }
+
+  // This page's checkpoint, or null
+  async loadCheckpoint() {
+    if (!this.hasExtensionStorage()) return null;
+    const key = this.getCheckpointKey();
+    const result = await chrome.storage.local.get(key).catch(() => ({}));
+    const checkpoint = result[key] || null;
+    if (checkpoint && Date.now() - checkpoint.savedAt > BaseCrawler.CHECKPOINT_MAX_AGE_MS) {
+      this.clearCheckpoint();
+      return null;
+    }
+    return checkpoint;
+  }
+
+  clearCheckpoint() {
+    this.writeCheckpoint(null);
+  }
+
+  // Checkpoints are only kept in chrome.storage.local: the site can read and
+  // change its own storage, and a planted checkpoint would be resumed. A storage
+  // write started from pagehide doesn't finish, so while crawling they are posted
+  // to the background over a port (posting is synchronous) and written there.
+  openCheckpointPort() {
+    this.closeCheckpointPort();
+    if (!this.hasExtensionStorage()) return;
+    try {
+      const port = chrome.runtime.connect({ name: BaseCrawler.CHECKPOINT_PORT_NAME });
+      port.onDisconnect.addListener(() => {
+        if (this.checkpointPort === port) this.checkpointPort = null;
+      });
+      this.checkpointPort = port;
+    } catch (error) {
+      console.warn(`[${this.platform}] Could not connect to the background for checkpoints:`, error.message);
+    }
+  }
+
+  closeCheckpointPort() {
+    if (!this.checkpointPort) return;
+    this.checkpointPort.disconnect();
+    this.checkpointPort = null;
+  }
+
+  // Save, or with null remove, this page's checkpoint. The service worker may
+  // have dropped the port, so a running crawl reconnects first.
+  writeCheckpoint(checkpoint) {
+    const key = this.getCheckpointKey();
+    if (!this.checkpointPort && this.isRunning) this.openCheckpointPort();
+    if (this.checkpointPort) {
+      try {
+        this.checkpointPort.postMessage({ key: key, checkpoint: checkpoint });
+        return;
+      } catch (error) {
+        this.checkpointPort = null;
+      }
+    }
+    if (!this.hasExtensionStorage()) return;
+    const write = checkpoint ? chrome.storage.local.set({ [key]: checkpoint }) : chrome.storage.local.remove(key);
+    write.catch(() => {});
+  }
+
+  async offerResume() {
+    if (!this.supportsResume() || this.isRunning) return;
+    
+    const checkpoint = await this.loadCheckpoint();
+    const prompt = document.getElementById('crawler-resume-prompt');
+    if (!checkpoint || !prompt || this.isRunning) return;
+    
+    const minutesAgo = Math.max(1, Math.round((Date.now() - checkpoint.savedAt) / 60000));
+    document.getElementById('crawler-resume-text').textContent =
+      `Interrupted crawl found (${checkpoint.newPosts} new posts, ${minutesAgo} min ago). Resume where it left off?`;
+    prompt.style.display = 'block';
+    
+    document.getElementById('crawler-resume-btn').onclick = () => {
+      prompt.style.display = 'none';
+      this.resumeFromCheckpoint(checkpoint);
+    };
+    document.getElementById('crawler-resume-discard').onclick = () => {
+      prompt.style.display = 'none';
+      this.clearCheckpoint();
+    };
+  }
+
+  async resumeFromCheckpoint(checkpoint) {
+    if (this.isRunning) return;
+    console.log(`[${this.platform}] Resuming crawl from checkpoint:`, checkpoint);
+    this.setPanelState(true, 'Resuming...');
+    
+    await this.loadExistingPostIds();
+    await this.fastForward(checkpoint);
+    
+    this.pendingResume = checkpoint;
+    await this.startCrawling(checkpoint.stopConditions || {});
+  }
+
+  // Jump down without extracting anything until the page is back at the
+  // checkpoint and the visible posts are no longer all in crawledPosts
+  async fastForward(checkpoint) {
+    const selectors = this.getSelectors();
+    let stalledSteps = 0;
+    let lastHeight = document.documentElement.scrollHeight;
+    
+    while (stalledSteps < BaseCrawler.FAST_FORWARD_MAX_STALLS) {
+      const visiblePosts = this.getPostsInViewport(document.querySelectorAll(selectors.postContainer));
+      const visibleIds = visiblePosts
+        .map(post => this.extractPostDataForDisplay(post))
+        .filter(postData => postData && postData.id)
+        .map(postData => postData.id);
+      const reachedCheckpoint = visibleIds.includes(checkpoint.lastPostId) || window.scrollY >= checkpoint.scrollY;
+      const allKnown = visibleIds.length > 0 && visibleIds.every(id => this.crawledPosts.has(id));
+      if (reachedCheckpoint && !allKnown) break;
+      
+      this.updateCurrentContent(`Fast-forwarding past known posts (${Math.round(window.scrollY)}px)...`);
+      window.scrollBy({ top: window.innerHeight * 0.9, behavior: 'auto' });
+      await new Promise(resolve => setTimeout(resolve, BaseCrawler.FAST_FORWARD_STEP_MS));
+      
+      // Steps where the page is at the bottom and no more posts load
+      const height = document.documentElement.scrollHeight;
+      const atBottom = window.scrollY + window.innerHeight >= height - 10;
+      stalledSteps = atBottom && height === lastHeight ? stalledSteps + 1 : 0;
+      lastHeight = height;
+    }
+    
+    console.log(`[${this.platform}] Fast-forward finished at ${Math.round(window.scrollY)}px`);
+  }
+
+  // Send a status message to the background (which forwards it to the popup)
+  notifyBackground(message) {
+    try {
+      chrome.runtime.sendMessage(message).catch(() => {});
+    } catch (error) {
+      console.warn(`[${this.platform}] Could not notify background:`, error.message);
+    }
+  }
+
+  // Store a metrics snapshot for a post that is already in the database.
+  // Only the first sighting per session counts, so re-renders don't flood the history.
+  async recordSighting(postData) {
+    if (!postData || !postData.id || !postData.metrics || this.sightedPosts.has(postData.id)) {
+      return false;
+    }
+    this.sightedPosts.add(postData.id);
+
+    try {
+      if (!window.postsDB) return false;
+      await window.postsDB.init();
+      // Posts stored before permalinks were tracked pick theirs up here, and
+      // posts stored with the page's time text pick up the normalized timestamp
+      const fields = postData.permalink ? { permalink: postData.permalink, sourceUrl: postData.sourceUrl } : {};
+      if (postData.timestampRaw !== undefined) {
+        fields.timestamp = postData.timestamp;
+        fields.timestampRaw = postData.timestampRaw;
+        fields.timestampPrecision = postData.timestampPrecision;
+      }
+      if (postData.metricsExact) {
+        fields.metricsExact = postData.metricsExact;
+      }
+      const companyFollowers = this.getCompanyFollowers();
+      if (companyFollowers !== null) {
+        fields.companyFollowers = companyFollowers;
+      }
+      const recorded = await window.postsDB.recordSighting(postData.id, postData.metrics, new Date().toISOString(), fields);
+      if (recorded && postData.permalink) {
+        this.knownPermalinks.set(postData.permalink, postData.id);
+      }
+      if (recorded) {
+        console.log(`[${this.platform}] Recorded engagement snapshot for known post: ${postData.id}`);
+      }
+      return recorded;
+    } catch (error) {
+      console.error(`[${this.platform}] Error recording engagement snapshot:`, error);
+      return false;
+    }
+  }
+
   // Process the post currently at the top of viewport
   processTopPost() {
     const selectors = this.getSelectors();
@@ -972,17 +2241,19 @@ This system allows you to organize and categorize your downloaded videos effecti
     }
     
     // Try to extract and save the post if not already crawled
-    const postData = this.extractPostData(topPost);
+    const postData = this.applyNetworkData(this.extractPostData(topPost));
     if (postData) {
       // Check if post is already crawled (either by flag or in memory)
       if (postData.alreadyCrawled || this.crawledPosts.has(postData.id)) {
         console.log(`[${this.platform}] Post already recorded, should scroll to next post`);
         this.showAlreadyRecordedIndicator(); // Show indicator for already recorded posts
+        this.recordSighting(postData);
+        this.trackStopConditions(postData, false);
         return false; // Already processed, should move to next
       } else if (postData.text) {
         console.log(`[${this.platform}] Recording new post: ${this.formatLogText(postData.text, 50)}`);
         this.hideAlreadyRecordedIndicator(); // Hide indicator for new posts
-        this.savePost(postData);
+        this.recordNewPost(postData);
         return true; // Successfully processed new post
       }
     } else {
@@ -1229,7 +2500,7 @@ This system allows you to organize and categorize your downloaded videos effecti
     throw new Error('findNextPostToScrollTo() must be implemented by subclass');
   }
 
-  async startCrawling() {
+  async startCrawling(stopConditions = {}) {
     if (this.isRunning) {
       console.warn(`[${this.platform}] startCrawling called but already running`);
       return;
@@ -1238,7 +2509,12 @@ This system allows you to organize and categorize your downloaded videos effecti
     // Clear any existing intervals/observers first to prevent duplicates
     this.stopCrawling();
     
+    if (!this.selectors) {
+      await this.loadSelectorPack();
+    }
+    
     this.isRunning = true;
+    this.beginSession(stopConditions);
     console.log(`[${this.platform}] Starting to crawl posts...`);
     
     // Load existing post IDs from database to avoid duplicates
@@ -1299,11 +2575,34 @@ This system allows you to organize and categorize your downloaded videos effecti
     console.log(`[${this.platform}] Started crawler with intervals: scroll=${!!this.scrollInterval}, periodic=${!!this.crawlInterval}, observer=${!!this.observer}`);
   }
 
-  stopCrawling() {
+  // reason is set when a stop condition ended the crawl rather than the user
+  stopCrawling(reason = null) {
     if (!this.isRunning) return;
     
     this.isRunning = false;
-    console.log(`[${this.platform}] Stopped crawling posts`);
+    console.log(`[${this.platform}] Stopped crawling posts${reason ? `: ${reason}` : ''}`);
+    
+    if (this.stopTimer) {
+      clearTimeout(this.stopTimer);
+      this.stopTimer = null;
+    }
+    
+    // A crawl that was stopped (rather than interrupted) has nothing to resume
+    if (this.checkpointInterval) {
+      clearInterval(this.checkpointInterval);
+      this.checkpointInterval = null;
+    }
+    if (this.pageHideListener) {
+      window.removeEventListener('pagehide', this.pageHideListener);
+      this.pageHideListener = null;
+    }
+    this.clearCheckpoint();
+    this.closeCheckpointPort();
+    
+    this.setPanelState(false, reason ? `Stopped (${reason})` : 'Stopped');
+    // The batch queue waits for this to move on to its next target
+    const { countedPosts, ...stats } = this.sessionStats || {};
+    this.notifyBackground({ action: 'crawlerStopped', reason: reason || 'stopped manually', stats: stats });
     
     // Hide current content card when stopping
     this.hideCurrentContent();
@@ -1335,4 +2634,40 @@ This system allows you to organize and categorize your downloaded videos effecti
       this.scrollTimeout = null;
     }
   }
-}
\ No newline at end of file
+}
+
+// Posts older than the date cutoff needed in a row before stopping (pinned posts are often old)
+BaseCrawler.OLD_POSTS_BEFORE_STOP = 3;
+
+// Checkpoints: how often they are saved while crawling, and how long an
+// interrupted crawl can still be resumed
+BaseCrawler.CHECKPOINT_INTERVAL_MS = 10000;
+BaseCrawler.CHECKPOINT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+BaseCrawler.CHECKPOINT_PORT_NAME = 'crawlCheckpoints'; // CrawlSessions.CHECKPOINT_PORT_NAME
+
+// Fast-forward on resume: delay between jumps, and jumps at the bottom of the
+// page without new posts before giving up
+BaseCrawler.FAST_FORWARD_STEP_MS = 700;
+BaseCrawler.FAST_FORWARD_MAX_STALLS = 5;
+
+// Selector diagnosis: failing posts attached to the report, and their HTML length limit
+BaseCrawler.DIAGNOSE_SAMPLE_POSTS = 5;
+BaseCrawler.DIAGNOSE_SAMPLE_HTML_CHARS = 4000;
+
+// How long the finished export's progress bar stays up
+BaseCrawler.EXPORT_PROGRESS_LINGER_MS = 4000;
+BaseCrawler.EXPORT_PROGRESS_LABELS = ['Exporting', 'Exported'];
+BaseCrawler.IMPORT_PROGRESS_LABELS = ['Importing', 'Imported'];
+
+// Count suffixes by language: English, French, German, Spanish, Portuguese, Italian,
+// Dutch, Polish, Russian, Indonesian, Indian, Chinese, Japanese, Korean
+BaseCrawler.COUNT_UNITS = {
+  k: 1e3, tsd: 1e3, mil: 1e3, mila: 1e3, tys: 1e3, rb: 1e3, 'тыс': 1e3, '千': 1e3, '천': 1e3,
+  '万': 1e4, '萬': 1e4, '만': 1e4,
+  lakh: 1e5, lakhs: 1e5, crore: 1e7, crores: 1e7,
+  m: 1e6, mn: 1e6, mi: 1e6, mio: 1e6, mln: 1e6, mill: 1e6, million: 1e6, millions: 1e6,
+  'millón': 1e6, millones: 1e6, 'milhão': 1e6, 'milhões': 1e6, milioni: 1e6, jt: 1e6, 'млн': 1e6,
+  '亿': 1e8, '億': 1e8, '억': 1e8,
+  b: 1e9, bn: 1e9, bi: 1e9, md: 1e9, mrd: 1e9, mld: 1e9, billion: 1e9, billions: 1e9, 'млрд': 1e9
+};
+BaseCrawler.FOLLOWERS_TEXT = /follower|abonnent|abonné|seguidor|iscritt|подписчик|粉丝|关注者|粉絲|フォロワー|팔로워/i;
@@ -4,45 +4,6 @@ class FacebookCrawler extends BaseCrawler {
     super('facebook');
   }
 
-  getSelectors() {
-    return {
-      // Facebook posts - updated based on actual HTML structure
-      postContainer: '[data-pagelet*="TimelineFeedUnit"], [role="article"]',
-      textContent: '.native-text, div[dir="auto"], span[dir="auto"]',
-      author: {
-        name: '.native-text',
-        avatar: 'img[src*="scontent"], img[src*="fbcdn.net"]',
-        profile: 'a[href*="facebook.com"]'
-      },
-      timestamp: 'a[aria-label*="年"], a[aria-label*="月"], a[aria-label*="日"], time, [data-mcomponent="TextArea"]',
-      engagement: '[role="button"][aria-label*="like"], [role="button"][aria-label*="comment"], [role="button"][aria-label*="share"]',
-      metrics: {
-        likes: '[aria-label*="like"], [aria-label*="个like"], .native-text',
-        comments: '[aria-label*="comment"], [aria-label*="comments"], .native-text',
-        shares: '[aria-label*="分享"], [aria-label*="share"], .native-text'
-      },
-      reactions: {
-        container: '[aria-label*="查看留下心情的用户"], [aria-label*="个like"]',
-        types: '.native-text span'
-      },
-      comments: {
-        container: '[data-mcomponent="MContainer"]',
-        item: '[data-mcomponent="MContainer"]',
-        author: '.native-text',
-        text: '.native-text',
-        timestamp: '[data-mcomponent="TextArea"]'
-      },
-      media: {
-        images: 'img[src*="scontent"], img[src*="fbcdn.net"]',
-        videos: 'video, [data-mcomponent="MVideo"]',
-        links: 'a[href*="facebook.com/photo"], a[href*="facebook.com/video"]'
-      },
-      links: 'a[href^="http"]:not([href*="facebook.com"])',
-      hashtags: 'a[href*="/hashtag/"]',
-      mentions: 'a[href*="facebook.com/"]:not([href*="/photo"]):not([href*="/video"])'
-    };
-  }
-
   extractPostData(postElement) {
     try {
       const selectors = this.getSelectors();
@@ -67,16 +28,22 @@ class FacebookCrawler extends BaseCrawler {
         console.log('[Facebook] No text content but found author, will save post');
       }
       
-      // Create unique ID with additional video-specific data for better uniqueness
-      const uniqueId = this.createFacebookPostId(postElement, text, authorName, timestamp);
+      // Create unique ID - prefer the post/reel id from the permalink, otherwise content-based
+      const permalink = this.extractPermalink(postElement);
+      const permalinkMatch = permalink ? permalink.match(/\/(?:posts|reel|videos)\/([^\/?]+)|story_fbid=([^&]+)/) : null;
+      const uniqueId = this.resolvePostId(
+        permalink,
+        permalinkMatch ? `fb_${permalinkMatch[1] || permalinkMatch[2]}` : null,
+        this.createFacebookPostId(postElement, text, authorName, timestamp)
+      );
       
+      // Known posts are still extracted so the crawler can snapshot their current metrics
       if (this.crawledPosts.has(uniqueId)) {
-        console.log(`[Facebook] Post already crawled (ID: ${uniqueId}), skipping`);
-        return null;
+        console.log(`[Facebook] Post already crawled (ID: ${uniqueId}), re-extracting for engagement snapshot`);
+      } else {
+        console.log(`[Facebook] Creating post data for new post (ID: ${uniqueId})`);
       }
       
-      console.log(`[Facebook] Creating post data for new post (ID: ${uniqueId})`);
-      
       // Extract company name from current page
       const companyName = this.extractCompanyName();
       console.log(`[Facebook] Company name extracted: ${companyName}`);
@@ -120,6 +87,8 @@ class FacebookCrawler extends BaseCrawler {
         comments = [];
       }
       
+      const crawledAt = new Date().toISOString();
+      
       // Create post data
       const postData = {
         id: uniqueId,
@@ -131,9 +100,11 @@ class FacebookCrawler extends BaseCrawler {
           profileUrl: profileUrl
         },
         text: text,
-        timestamp: timestamp,
-        url: window.location.href,
-        crawledAt: new Date().toISOString(),
+        ...this.normalizeTimestamp(timestamp, crawledAt),
+        url: permalink || window.location.href,
+        permalink: permalink,
+        sourceUrl: window.location.href,
+        crawledAt: crawledAt,
         
         // Facebook-specific fields
         postType: postType,
@@ -141,6 +112,7 @@ class FacebookCrawler extends BaseCrawler {
         
         // Engagement metrics
         metrics: metrics,
+        metricsExact: this.getMetricsExactness(metrics),
         
         // Reaction details
         reactions: reactions,
@@ -438,25 +410,22 @@ class FacebookCrawler extends BaseCrawler {
         
         // Like button - look for "个like" pattern
         if (label.includes('like') || label.includes('个like')) {
-          const likeMatch = label.match(/(\d+)/);
-          if (likeMatch) {
-            metrics.likes = parseInt(likeMatch[1]) || 0;
+          if (/\d/.test(label)) {
+            this.setCount(metrics, 'likes', label);
           }
         }
         
         // Comment button - look for "comments" pattern  
         if (label.includes('comment') || label.includes('comments')) {
-          const commentMatch = label.match(/(\d+)/);
-          if (commentMatch) {
-            metrics.comments = parseInt(commentMatch[1]) || 0;
+          if (/\d/.test(label)) {
+            this.setCount(metrics, 'comments', label);
           }
         }
         
         // Share button
         if (label.includes('share') || label.includes('分享')) {
-          const shareMatch = label.match(/(\d+)/);
-          if (shareMatch) {
-            metrics.shares = parseInt(shareMatch[1]) || 0;
+          if (/\d/.test(label)) {
+            this.setCount(metrics, 'shares', label);
           }
         }
       }
@@ -468,18 +437,15 @@ class FacebookCrawler extends BaseCrawler {
         
         // Look for "󰍹 1" pattern for comments
         if (text.includes('󰍹')) {
-          const commentMatch = text.match(/󰍹\s*(\d+)/);
+          const commentMatch = text.match(/󰍹\s*(\d.*)/);
           if (commentMatch) {
-            metrics.comments = parseInt(commentMatch[1]) || 0;
+            this.setCount(metrics, 'comments', commentMatch[1]);
           }
         }
         
-        // Look for pure numbers that might be like counts
-        if (text.match(/^\d+$/)) {
-          const num = parseInt(text);
-          if (num > 0 && metrics.likes === 0) {
-            metrics.likes = num;
-          }
+        // Look for bare counts ("12", "1,234", "1.2K") that might be like counts
+        if (/^\d[\d\s.,]*\s*[kKmM万萬]?$/.test(text) && metrics.likes === 0) {
+          this.setCount(metrics, 'likes', text);
         }
       }
       
@@ -624,6 +590,35 @@ class FacebookCrawler extends BaseCrawler {
     return comments;
   }
 
+  // Facebook links a post from its timestamp/reel anchors in several URL shapes;
+  // reduce them to one canonical form without tracking parameters
+  extractPermalink(postElement) {
+    try {
+      const anchors = postElement.querySelectorAll('a[href*="/posts/"], a[href*="story_fbid="], a[href*="/reel/"], a[href*="/videos/"]');
+      for (const anchor of anchors) {
+        const url = new URL(anchor.href, window.location.origin);
+        
+        const storyId = url.searchParams.get('story_fbid');
+        if (storyId) {
+          return `https://www.facebook.com/permalink.php?story_fbid=${storyId}&id=${url.searchParams.get('id') || ''}`;
+        }
+        
+        const reelMatch = url.pathname.match(/\/reel\/(\d+)/);
+        if (reelMatch) {
+          return `https://www.facebook.com/reel/${reelMatch[1]}`;
+        }
+        
+        const pathMatch = url.pathname.match(/^\/([^\/]+)\/(posts|videos)\/([^\/?]+)/);
+        if (pathMatch) {
+          return `https://www.facebook.com/${pathMatch[1]}/${pathMatch[2]}/${pathMatch[3]}`;
+        }
+      }
+      return null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   // Create unique IDs for Facebook posts based primarily on text content
   createFacebookPostId(postElement, text, author, timestamp) {
     try {
@@ -829,7 +824,7 @@ class FacebookCrawler extends BaseCrawler {
   }
   
   // Override startCrawling to use slower intervals for Facebook
-  async startCrawling() {
+  async startCrawling(stopConditions = {}) {
     if (this.isRunning) {
       console.warn(`[${this.platform}] startCrawling called but already running`);
       return;
@@ -838,7 +833,12 @@ class FacebookCrawler extends BaseCrawler {
     // Clear any existing intervals/observers first
     this.stopCrawling();
     
+    if (!this.selectors) {
+      await this.loadSelectorPack();
+    }
+    
     this.isRunning = true;
+    this.beginSession(stopConditions);
     console.log(`[${this.platform}] Starting to crawl posts...`);
     
     // Load existing post IDs from database to avoid duplicates
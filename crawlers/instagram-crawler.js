@@ -0,0 +1,557 @@
+// Instagram specific crawler
+// Handles three layouts: the home feed and single post/reel pages render full
+// <article> posts, while profile and explore pages only show a grid of tiles.
+// Tiles carry no date, so with a date cutoff a grid is crawled through the post
+// dialog instead (see stepPostDialog).
+class InstagramCrawler extends BaseCrawler {
+  constructor() {
+    super('instagram');
+    this.dialogWalk = null; // { lastPostId, waits } while stepping through the post dialog
+  }
+
+  // Grid tiles are links to the post; everywhere else posts are articles
+  getSelectors() {
+    const selectors = super.getSelectors();
+    return {
+      ...selectors,
+      postContainer: this.isGridPage() ? selectors.gridPostContainer : selectors.postContainer
+    };
+  }
+
+  // Profile pages (/<user>/, /<user>/reels/, /<user>/tagged/) and explore show tiles
+  isGridPage() {
+    const path = window.location.pathname;
+    if (path === '/' || /^\/(p|reel|reels|stories|direct|accounts)\//.test(path)) {
+      return false;
+    }
+    return /^\/explore\//.test(path) || /^\/[^\/]+\/?(reels\/|tagged\/)?$/.test(path);
+  }
+
+  extractPostData(postElement) {
+    try {
+      if (postElement.tagName === 'A') {
+        return this.extractGridTileData(postElement);
+      }
+
+      const text = this.extractInstagramCaption(postElement);
+      const authorName = this.extractInstagramAuthor(postElement);
+      const timestamp = this.extractInstagramTimestamp(postElement);
+      const permalink = this.extractPermalink(postElement);
+      const shortcode = this.extractShortcode(permalink);
+
+      console.log(`[Instagram] Basic extraction - caption: "${this.formatLogText(text, 30)}", author: "${authorName}", shortcode: ${shortcode}`);
+
+      // Skip if no meaningful content
+      if (!shortcode && !text && !authorName) {
+        console.log('[Instagram] No meaningful content found, skipping post');
+        return null;
+      }
+
+      const uniqueId = this.resolvePostId(
+        permalink,
+        shortcode ? `instagram_${shortcode}` : null,
+        this.createPostId(text, authorName, timestamp)
+      );
+
+      // Known posts are still extracted so the crawler can snapshot their current metrics
+      if (this.crawledPosts.has(uniqueId)) {
+        console.log(`[Instagram] Post already crawled (ID: ${uniqueId}), re-extracting for engagement snapshot`);
+      } else {
+        console.log(`[Instagram] Creating post data for new post (ID: ${uniqueId})`);
+      }
+
+      // Extract Instagram-specific data with individual error handling
+      let metrics, media, hashtags, mentions, location;
+
+      try {
+        metrics = this.extractInstagramMetrics(postElement);
+        console.log(`[Instagram] Metrics extracted - likes: ${metrics.likes}, comments: ${metrics.comments}`);
+      } catch (e) {
+        console.warn('[Instagram] Failed to extract metrics:', e.message);
+        metrics = { likes: null, comments: null, views: null };
+      }
+
+      try {
+        media = this.extractInstagramMedia(postElement);
+        hashtags = this.extractHashtags(postElement, text);
+        mentions = this.extractMentions(postElement, authorName);
+        location = postElement.querySelector(this.getSelectors().location)?.textContent.trim() || '';
+        console.log(`[Instagram] Additional data extracted - media: ${media.images.length} images, ${media.videos.length} videos, carousel: ${media.isCarousel}`);
+      } catch (e) {
+        console.warn('[Instagram] Failed to extract additional data:', e.message);
+        media = { images: [], videos: [], isCarousel: false, carouselCount: 0 };
+        hashtags = [];
+        mentions = [];
+        location = '';
+      }
+
+      const companyName = this.extractCompanyName() || authorName;
+
+      const crawledAt = new Date().toISOString();
+      const postData = {
+        id: uniqueId,
+        platform: this.platform,
+        company: companyName || 'unknown',
+        author: {
+          name: authorName,
+          handle: authorName ? `@${authorName}` : '',
+          avatar: this.extractInstagramAvatar(postElement),
+          profileUrl: authorName ? `https://www.instagram.com/${authorName}/` : ''
+        },
+        text: text,
+        ...this.normalizeTimestamp(timestamp, crawledAt),
+        url: permalink || window.location.href,
+        permalink: permalink,
+        sourceUrl: window.location.href,
+        crawledAt: crawledAt,
+
+        // Instagram-specific fields
+        shortcode: shortcode,
+        postType: this.getInstagramPostType(permalink, media),
+        location: location,
+
+        // Engagement metrics
+        metrics: metrics,
+        metricsExact: this.getMetricsExactness(metrics),
+
+        // Media content (carousel slides are collected as they render)
+        media: media,
+
+        // Links and references
+        hashtags: hashtags,
+        mentions: mentions
+      };
+
+      console.log(`[Instagram] Post data created successfully for: "${this.formatLogText(text, 40)}"`);
+      return postData;
+    } catch (error) {
+      console.error('[Instagram] Error extracting post data:', error);
+      return null;
+    }
+  }
+
+  // A grid row holds several tiles, so on grid pages every visible tile is
+  // processed instead of only the top one
+  processTopPost() {
+    if (this.walksPostDialog()) {
+      return false; // autoScroll() steps through the dialog
+    }
+    if (!this.isGridPage()) {
+      return super.processTopPost();
+    }
+
+    const tiles = this.getPostsInViewport(document.querySelectorAll(this.getSelectors().postContainer));
+    let recordedNewPost = false;
+
+    tiles.forEach(tile => {
+      const postData = this.extractGridTileData(tile);
+      if (!postData) return;
+
+      if (this.crawledPosts.has(postData.id)) {
+        this.recordSighting(postData);
+        this.trackStopConditions(postData, false);
+      } else {
+        console.log(`[Instagram] Recording new grid post: ${postData.shortcode}`);
+        this.updateCurrentContent(postData.text);
+        this.recordNewPost(postData);
+        recordedNewPost = true;
+      }
+    });
+
+    if (!recordedNewPost && tiles.length > 0) {
+      this.showAlreadyRecordedIndicator();
+    }
+    return recordedNewPost;
+  }
+
+  // Grid tiles have no date, so a date cutoff could never end a grid crawl. With
+  // one set, the crawl walks the grid in the post dialog, which shows each post
+  // in full. Opening a post changes the URL to its permalink, so the walk is
+  // tracked in dialogWalk rather than by the page.
+  walksPostDialog() {
+    return this.isRunning && !!this.sinceCutoff && (!!this.dialogWalk || this.isGridPage());
+  }
+
+  autoScroll() {
+    if (this.walksPostDialog()) {
+      this.stepPostDialog();
+      return;
+    }
+    super.autoScroll();
+  }
+
+  // One step a second: open the first tile, then record the post the dialog
+  // shows and move on to the next. The walk ends with the stop conditions, or
+  // when the dialog stops showing a new post (the last post, or it was closed).
+  stepPostDialog() {
+    const selectors = this.getSelectors();
+    if (!this.dialogWalk) {
+      const firstTile = document.querySelector(selectors.gridPostContainer);
+      if (!firstTile) return;
+      console.log('[Instagram] Date cutoff set, crawling the grid through the post dialog');
+      this.dialogWalk = { lastPostId: null, waits: 0 };
+      firstTile.click();
+      return;
+    }
+
+    const dialogPost = document.querySelector(selectors.dialogPostContainer);
+    const postData = dialogPost ? this.applyNetworkData(this.extractPostData(dialogPost)) : null;
+    if (!postData || postData.id === this.dialogWalk.lastPostId) {
+      this.dialogWalk.waits++;
+      if (this.dialogWalk.waits >= InstagramCrawler.DIALOG_MAX_WAITS) {
+        this.stopCrawling(dialogPost ? 'no more posts in the post dialog' : 'the post dialog was closed');
+      } else if (dialogPost && this.dialogWalk.waits % InstagramCrawler.DIALOG_RETRY_WAITS === 0) {
+        this.showNextDialogPost();
+      }
+      return;
+    }
+
+    this.dialogWalk = { lastPostId: postData.id, waits: 0 };
+    this.updateCurrentContent(postData.text);
+    if (this.crawledPosts.has(postData.id)) {
+      this.recordSighting(postData);
+      this.trackStopConditions(postData, false);
+    } else {
+      console.log(`[Instagram] Recording post from the dialog: ${postData.shortcode}`);
+      this.recordNewPost(postData);
+    }
+    if (this.isRunning) {
+      this.showNextDialogPost();
+    }
+  }
+
+  // The dialog moves to the next post on the right arrow key, whatever the UI language
+  showNextDialogPost() {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', code: 'ArrowRight', keyCode: 39, bubbles: true }));
+  }
+
+  stopCrawling(reason = null) {
+    this.dialogWalk = null;
+    super.stopCrawling(reason);
+  }
+
+  // Grid tiles only carry the link, a thumbnail whose alt text is usually the
+  // caption, and a type icon. Counts appear only in the hover overlay, so metrics
+  // stay null (no snapshot) unless the overlay is showing. Opening the post later
+  // merges the full data into the same record.
+  extractGridTileData(tileElement) {
+    try {
+      const permalink = this.extractPermalink(tileElement);
+      const shortcode = this.extractShortcode(permalink);
+      if (!shortcode) return null;
+
+      const uniqueId = this.resolvePostId(permalink, `instagram_${shortcode}`, `instagram_${shortcode}`);
+      const thumbnail = tileElement.querySelector('img');
+      const text = thumbnail?.alt?.trim() || '';
+      const typeLabel = tileElement.querySelector('svg[aria-label]')?.getAttribute('aria-label') || '';
+      const overlayCounts = Array.from(tileElement.querySelectorAll('ul li span'))
+        .map(span => span.textContent.trim())
+        .filter(value => /\d/.test(value));
+      const profileName = this.extractCompanyName();
+
+      // Tiles show likes and comments only on hover, when the layout has them at all
+      let metrics = null;
+      if (overlayCounts.length >= 2) {
+        metrics = { likes: null, comments: null, views: null };
+        this.setCount(metrics, 'likes', overlayCounts[0]);
+        this.setCount(metrics, 'comments', overlayCounts[1]);
+      }
+
+      const crawledAt = new Date().toISOString();
+      return {
+        id: uniqueId,
+        platform: this.platform,
+        company: profileName || 'unknown',
+        author: {
+          name: profileName || '',
+          handle: profileName ? `@${profileName}` : '',
+          profileUrl: profileName ? `https://www.instagram.com/${profileName}/` : ''
+        },
+        text: text || `Instagram post ${shortcode}`,
+        timestamp: null,
+        timestampRaw: '',
+        timestampPrecision: null,
+        url: permalink,
+        permalink: permalink,
+        sourceUrl: window.location.href,
+        crawledAt: crawledAt,
+
+        shortcode: shortcode,
+        postType: /carousel/i.test(typeLabel) ? 'carousel' : (/clip|reel|video/i.test(typeLabel) || permalink.includes('/reel/') ? 'reel' : 'image'),
+        isGridTile: true,
+        metrics: metrics,
+        metricsExact: metrics ? this.getMetricsExactness(metrics) : null,
+        media: {
+          images: thumbnail ? [{ url: thumbnail.src, alt: thumbnail.alt || '' }] : [],
+          videos: [],
+          isCarousel: /carousel/i.test(typeLabel),
+          carouselCount: 0
+        },
+        hashtags: this.extractHashtags(tileElement, text),
+        mentions: []
+      };
+    } catch (error) {
+      console.error('[Instagram] Error extracting grid tile:', error);
+      return null;
+    }
+  }
+
+  // Posts link to themselves from the timestamp; on a post/reel page the URL is the permalink
+  extractPermalink(postElement) {
+    try {
+      const sources = [
+        postElement.tagName === 'A' ? postElement.href : '',
+        postElement.querySelector('time')?.closest('a')?.href,
+        postElement.querySelector(this.getSelectors().postLink)?.href,
+        window.location.href
+      ];
+      for (const source of sources) {
+        const match = source && source.match(/\/(p|reel)\/([A-Za-z0-9_-]+)/);
+        if (match) {
+          return `https://www.instagram.com/${match[1]}/${match[2]}/`;
+        }
+      }
+      return null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  extractShortcode(permalink) {
+    const match = permalink ? permalink.match(/\/(?:p|reel)\/([A-Za-z0-9_-]+)/) : null;
+    return match ? match[1] : null;
+  }
+
+  extractInstagramCaption(postElement) {
+    try {
+      // The caption is the first text block written by the post's author
+      const selectors = this.getSelectors();
+      const candidates = Array.from(postElement.querySelectorAll(selectors.caption))
+        .map(element => element.textContent.trim())
+        .filter(text => text.length > 0 && !/^\d+\s*(w|d|h|m|s)$/.test(text));
+
+      if (candidates.length === 0) return '';
+
+      // Prefer the longest of the first few candidates; the rest are usually comments
+      return candidates.slice(0, 3).reduce((longest, text) => text.length > longest.length ? text : longest, '');
+    } catch (error) {
+      return '';
+    }
+  }
+
+  extractInstagramAuthor(postElement) {
+    try {
+      const links = postElement.querySelectorAll(this.getSelectors().author.name);
+      for (const link of links) {
+        const match = link.getAttribute('href').match(/^\/([A-Za-z0-9._]+)\/?$/);
+        if (match) return match[1];
+      }
+      return '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  extractInstagramAvatar(postElement) {
+    try {
+      const element = postElement.querySelector(this.getSelectors().author.avatar);
+      return element ? element.src : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  extractInstagramTimestamp(postElement) {
+    try {
+      const element = postElement.querySelector(this.getSelectors().timestamp);
+      return element ? element.getAttribute('datetime') : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  // Counts are read from the elements Instagram renders them in, not from their
+  // wording, which follows the UI language: the liked_by link ("1,532 likes", or
+  // "N others" after a named account), the comments link ("View all 78
+  // comments") and, on reels, a button in the likes line ("12.3K views").
+  extractInstagramMetrics(postElement) {
+    const selectors = this.getSelectors().metrics;
+
+    // A count the post doesn't show (hidden likes, no views on photos) stays null
+    const metrics = {
+      likes: null,
+      comments: null,
+      views: null
+    };
+
+    try {
+      const likedBy = postElement.querySelector(selectors.likedBy);
+      if (likedBy && /\d/.test(likedBy.textContent)) {
+        this.setCount(metrics, 'likes', likedBy.textContent);
+        // "Liked by <account> and N others" leaves out the named account
+        const profileLinks = likedBy.parentElement ? likedBy.parentElement.querySelectorAll('a[href^="/"]') : [];
+        if (Array.from(profileLinks).some(link => link !== likedBy && /^\/[^\/]+\/$/.test(link.getAttribute('href')))) {
+          metrics.likes += 1;
+        }
+      }
+
+      const commentsLink = postElement.querySelector(selectors.comments);
+      if (commentsLink && /\d/.test(commentsLink.textContent)) {
+        this.setCount(metrics, 'comments', commentsLink.textContent);
+      }
+
+      const viewsElement = Array.from(postElement.querySelectorAll(selectors.views))
+        .find(element => /\d/.test(element.textContent) && !element.querySelector(selectors.likedBy));
+      if (viewsElement) {
+        this.setCount(metrics, 'views', viewsElement.textContent);
+      }
+    } catch (error) {
+      console.error('[Instagram] Error extracting metrics:', error);
+    }
+
+    return metrics;
+  }
+
+  // Carousels only keep the current slide and its neighbours in the DOM, so
+  // carouselCount comes from the slide indicator dots when they are present
+  extractInstagramMedia(postElement) {
+    const selectors = this.getSelectors().media;
+    const media = {
+      images: [],
+      videos: [],
+      isCarousel: false,
+      carouselCount: 0
+    };
+
+    try {
+      const seen = new Set();
+      postElement.querySelectorAll(selectors.images).forEach(img => {
+        // Skip avatars in the header and comments
+        if (img.closest('header') || /profile picture/i.test(img.alt || '')) return;
+        if (!img.src || seen.has(img.src)) return;
+        seen.add(img.src);
+        media.images.push({
+          url: img.src,
+          alt: img.alt || ''
+        });
+      });
+
+      media.videos = Array.from(postElement.querySelectorAll(selectors.videos)).map(video => ({
+        url: video.src || video.currentSrc || '',
+        poster: video.poster || ''
+      }));
+
+      const dots = postElement.querySelectorAll(selectors.carouselDots);
+      media.isCarousel = !!postElement.querySelector(selectors.carouselNext) || dots.length > 1;
+      media.carouselCount = media.isCarousel
+        ? Math.max(dots.length, media.images.length + media.videos.length)
+        : 0;
+    } catch (error) {
+      console.error('[Instagram] Error extracting media:', error);
+    }
+
+    return media;
+  }
+
+  getInstagramPostType(permalink, media) {
+    if (permalink && permalink.includes('/reel/')) return 'reel';
+    if (media.isCarousel) return 'carousel';
+    if (media.videos.length > 0) return 'video';
+    return 'image';
+  }
+
+  // Linked tags plus any #tags in the caption text (grid alt text has no links)
+  extractHashtags(postElement, text) {
+    const selectors = this.getSelectors();
+    try {
+      const tags = new Set();
+      postElement.querySelectorAll(selectors.hashtags).forEach(link => {
+        tags.add(link.textContent.trim());
+      });
+      (text.match(/#[\p{L}\p{N}_]+/gu) || []).forEach(tag => tags.add(tag));
+      return Array.from(tags);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  extractMentions(postElement, authorName) {
+    const selectors = this.getSelectors();
+    try {
+      return Array.from(postElement.querySelectorAll(selectors.mentions))
+        .filter(link => link.textContent.trim().startsWith('@') && link.textContent.trim() !== `@${authorName}`)
+        .map(link => ({
+          name: link.textContent.trim(),
+          url: link.href
+        }));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Extract the profile name from the current page URL (e.g., /natgeo/ -> natgeo)
+  extractCompanyName() {
+    try {
+      const reserved = ['p', 'reel', 'reels', 'explore', 'stories', 'direct', 'accounts'];
+      const profileMatch = window.location.pathname.match(/^\/([A-Za-z0-9._]+)\/?/);
+      if (profileMatch && !reserved.includes(profileMatch[1])) {
+        return profileMatch[1];
+      }
+      return null;
+    } catch (error) {
+      console.warn('[Instagram] Error extracting company name:', error);
+      return null;
+    }
+  }
+
+  // Instagram-specific implementation for finding next post (feed articles or grid tiles)
+  findNextPostToScrollTo() {
+    const selectors = this.getSelectors();
+    const posts = Array.from(document.querySelectorAll(selectors.postContainer));
+
+    console.log(`[Instagram] Found ${posts.length} posts in DOM`);
+
+    const currentTopPost = this.getTopPostInViewport(posts);
+
+    if (!currentTopPost) {
+      console.log(`[Instagram] No current top post found, returning first post`);
+      return posts.length > 0 ? posts[0] : null;
+    }
+
+    const currentRect = currentTopPost.getBoundingClientRect();
+    const currentPostTop = currentRect.top + window.scrollY;
+
+    // Grid rows hold three tiles; move to the next row, not the tile beside this one
+    const isGrid = currentTopPost.tagName === 'A';
+    const minOffset = isGrid ? currentRect.height / 2 : 100;
+
+    let nextPost = null;
+    let minDistance = Infinity;
+
+    posts.forEach((post, index) => {
+      const postTop = post.getBoundingClientRect().top + window.scrollY;
+
+      if (postTop > currentPostTop + minOffset) {
+        const distance = postTop - currentPostTop;
+        if (distance < minDistance) {
+          minDistance = distance;
+          nextPost = post;
+          console.log(`[Instagram] Found potential next post at index ${index}, position ${postTop}px, distance ${distance}px`);
+        }
+      }
+    });
+
+    if (nextPost) {
+      console.log(`[Instagram] Selected next post at distance ${minDistance}px`);
+      return nextPost;
+    }
+
+    console.log(`[Instagram] No next post found, will trigger content loading`);
+    return null;
+  }
+}
+
+// Steps (a second each) without a new post in the dialog before the walk ends,
+// and between retries of the arrow key meanwhile
+InstagramCrawler.DIALOG_MAX_WAITS = 10;
+InstagramCrawler.DIALOG_RETRY_WAITS = 3;
@@ -4,46 +4,6 @@ class LinkedInCrawler extends BaseCrawler {
     super('linkedin');
   }
 
-  getSelectors() {
-    return {
-      postContainer: '.feed-shared-update-v2, .occludable-update',
-      textContent: '.update-components-text, .feed-shared-text, .feed-shared-inline-show-more-text',
-      author: {
-        name: '.update-components-actor__title span span span, .update-components-actor__title',
-        title: '.update-components-actor__description, .feed-shared-actor__description', 
-        avatar: '.update-components-actor__avatar img, .feed-shared-actor__avatar img, .update-components-actor__avatar-image',
-        profile: '.update-components-actor__meta-link, .feed-shared-actor__name a'
-      },
-      timestamp: '.update-components-actor__sub-description, .feed-shared-actor__sub-description time, .feed-shared-actor__sub-description',
-      engagement: '.feed-shared-social-action-bar, .social-actions-bar',
-      metrics: {
-        reactions: '.social-details-social-counts__reactions-count, .social-counts-reactions__count',
-        comments: '.social-counts-comments span',
-        reposts: '.social-details-social-counts__item--truncate-text span, .social-counts-shares span'
-      },
-      reactions: {
-        container: '.reactions-menu',
-        types: '.reactions-menu button'
-      },
-      comments: {
-        container: '.comments-comments-list, .feed-shared-update-v2__comments-container',
-        item: '.comments-comment-item',
-        author: '.comments-comment-item__commenter-name',
-        text: '.comments-comment-item__main-content',
-        timestamp: '.comments-comment-item__timestamp'
-      },
-      media: {
-        images: '.update-components-image img, .feed-shared-image img, .update-components-image__image',
-        videos: '.feed-shared-video video',
-        documents: '.feed-shared-document',
-        articles: '.feed-shared-article'
-      },
-      links: '.update-components-text a[href], .feed-shared-text a[href]',
-      hashtags: '.update-components-text a[href*="/hashtag/"], .feed-shared-text a[href*="/hashtag/"]',
-      mentions: '.update-components-text a[href*="/in/"], .feed-shared-text a[href*="/in/"]'
-    };
-  }
-
   extractPostData(postElement) {
     try {
       const selectors = this.getSelectors();
@@ -64,16 +24,22 @@ class LinkedInCrawler extends BaseCrawler {
         return null;
       }
       
-      // Create unique ID
-      const uniqueId = this.createPostId(text, authorName, timestamp);
+      // Create unique ID - prefer the activity URN, otherwise use content-based approach
+      const permalink = this.extractPermalink(postElement);
+      const activityId = permalink ? permalink.match(/urn:li:activity:(\d+)/)[1] : null;
+      const uniqueId = this.resolvePostId(
+        permalink,
+        activityId ? `linkedin_${activityId}` : null,
+        this.createPostId(text, authorName, timestamp)
+      );
       
+      // Known posts are still extracted so the crawler can snapshot their current metrics
       if (this.crawledPosts.has(uniqueId)) {
-        console.log(`[LinkedIn] Post already crawled (ID: ${uniqueId}), skipping`);
-        return null; // Already crawled
+        console.log(`[LinkedIn] Post already crawled (ID: ${uniqueId}), re-extracting for engagement snapshot`);
+      } else {
+        console.log(`[LinkedIn] Creating post data for new post (ID: ${uniqueId})`);
       }
       
-      console.log(`[LinkedIn] Creating post data for new post (ID: ${uniqueId})`);
-      
       // Extract company name from current page
       const companyName = this.extractCompanyName();
       console.log(`[LinkedIn] Company name extracted: ${companyName}`);
@@ -117,6 +83,8 @@ class LinkedInCrawler extends BaseCrawler {
         comments = [];
       }
       
+      const crawledAt = new Date().toISOString();
+      
       // Extract LinkedIn-specific data
       const postData = {
         id: uniqueId,
@@ -129,9 +97,11 @@ class LinkedInCrawler extends BaseCrawler {
           profileUrl: profileUrl
         },
         text: text,
-        timestamp: timestamp,
-        url: window.location.href,
-        crawledAt: new Date().toISOString(),
+        ...this.normalizeTimestamp(timestamp, crawledAt),
+        url: permalink || window.location.href,
+        permalink: permalink,
+        sourceUrl: window.location.href,
+        crawledAt: crawledAt,
         
         // LinkedIn-specific fields
         postType: postType,
@@ -139,6 +109,7 @@ class LinkedInCrawler extends BaseCrawler {
         
         // Engagement metrics
         metrics: metrics,
+        metricsExact: this.getMetricsExactness(metrics),
         
         // Reaction details
         reactions: reactions,
@@ -290,6 +261,22 @@ class LinkedInCrawler extends BaseCrawler {
     }
   }
 
+  // Feed cards carry their activity URN in data-urn (on the card or a wrapper);
+  // otherwise look for a link to the post's own /feed/update/ page
+  extractPermalink(postElement) {
+    try {
+      const urnHolder = postElement.closest('[data-urn*="urn:li:activity:"]') ||
+                        postElement.querySelector('[data-urn*="urn:li:activity:"]');
+      const source = urnHolder?.getAttribute('data-urn') ||
+                     postElement.querySelector('a[href*="urn:li:activity:"]')?.href ||
+                     '';
+      const match = decodeURIComponent(source).match(/urn:li:activity:(\d+)/);
+      return match ? `https://www.linkedin.com/feed/update/urn:li:activity:${match[1]}/` : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   getLinkedInPostType(postElement) {
     try {
       if (postElement.querySelector('.feed-shared-video, .update-components-video')) return 'video';
@@ -303,6 +290,11 @@ class LinkedInCrawler extends BaseCrawler {
     }
   }
 
+  getNetworkId(postData) {
+    const match = (postData.permalink || '').match(/urn:li:activity:(\d+)/);
+    return match ? match[1] : null;
+  }
+
   isSponsored(postElement) {
     try {
       return postElement.querySelector('.feed-shared-actor__sub-description')?.textContent.includes('Promoted') || false;
@@ -326,9 +318,9 @@ class LinkedInCrawler extends BaseCrawler {
       const commentsElement = postElement.querySelector(selectors.comments);
       const repostsElement = postElement.querySelector(selectors.reposts);
       
-      metrics.reactions = this.parseNumber(reactionsElement?.textContent);
-      metrics.comments = this.parseNumber(commentsElement?.textContent);
-      metrics.reposts = this.parseNumber(repostsElement?.textContent);
+      this.setCount(metrics, 'reactions', reactionsElement?.textContent);
+      this.setCount(metrics, 'comments', commentsElement?.textContent);
+      this.setCount(metrics, 'reposts', repostsElement?.textContent);
       metrics.shares = metrics.reposts; // LinkedIn combines these
     } catch (error) {
       console.error('[LinkedIn] Error extracting metrics:', error);
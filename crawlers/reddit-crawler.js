@@ -4,47 +4,6 @@ class RedditCrawler extends BaseCrawler {
     super('reddit');
   }
 
-  getSelectors() {
-    return {
-      // Reddit has different layouts (old.reddit.com vs new reddit)
-      postContainer: '[data-testid="post-container"], .Post, .thing',
-      textContent: '[data-testid="post-content"] p, .md p, .usertext-body p',
-      title: '[data-testid="post-content"] h3, .title a, h3',
-      author: {
-        name: '[data-testid="comment_author_link"], .author, [data-author]',
-        avatar: '.AuthorInfo__avatar img, .author-avatar img',
-        profile: '[data-testid="comment_author_link"], .author'
-      },
-      subreddit: '[data-testid="subreddit-name"], .subreddit, [data-subreddit]',
-      timestamp: '[data-testid="post-timestamp"], .live-timestamp, time',
-      engagement: '[data-testid="post-vote-buttons"], .buttons, .flat-list',
-      metrics: {
-        upvotes: '[data-testid="vote-arrows"] button:first-child, .score, .unvoted',
-        downvotes: '[data-testid="vote-arrows"] button:last-child',
-        comments: '[data-testid="comment-count"], .comments, a[href*="comments"]',
-        awards: '[data-testid="awards-container"], .awardings-bar'
-      },
-      comments: {
-        container: '[data-testid="comment"], .comment, .commentarea',
-        item: '[data-testid="comment"], .comment',
-        author: '[data-testid="comment_author_link"], .author',
-        text: '[data-testid="comment"] p, .usertext-body p',
-        score: '[data-testid="comment-vote-arrows"], .score',
-        timestamp: '.live-timestamp, time'
-      },
-      media: {
-        images: '[data-testid="post-content"] img, .media-preview img, img[src*="i.redd.it"]',
-        videos: '[data-testid="post-content"] video, video',
-        gifs: '[data-testid="post-content"] img[src*=".gif"], img[src*="giphy"]',
-        embeds: '[data-testid="post-content"] iframe, .media-element iframe'
-      },
-      links: '[data-testid="post-content"] a[href], .usertext-body a[href]',
-      flair: '[data-testid="post-flair"], .linkflairlabel, .flair',
-      spoiler: '[data-testid="spoiler"], .spoiler-text',
-      nsfw: '[data-testid="nsfw-badge"], .nsfw-stamp'
-    };
-  }
-
   extractPostData(postElement) {
     try {
       const selectors = this.getSelectors();
@@ -64,12 +23,18 @@ class RedditCrawler extends BaseCrawler {
       const timestamp = timestampElement ? (timestampElement.getAttribute('datetime') || timestampElement.textContent.trim()) : '';
       const avatar = avatarElement ? avatarElement.src : '';
       
-      // Create unique ID
-      const uniqueId = this.createPostId(title + text, author, timestamp);
+      // Create unique ID - prefer the post id from the permalink, otherwise content-based
+      // (known posts are still extracted so their metrics can be snapshotted)
+      const permalink = this.extractPermalink(postElement);
+      const redditId = permalink ? permalink.match(/\/comments\/([a-z0-9]+)/i)[1] : null;
+      const uniqueId = this.resolvePostId(
+        permalink,
+        redditId ? `reddit_${redditId}` : null,
+        this.createPostId(title + text, author, timestamp)
+      );
       
-      if (this.crawledPosts.has(uniqueId)) {
-        return null; // Already crawled
-      }
+      const metrics = this.extractRedditMetrics(postElement);
+      const crawledAt = new Date().toISOString();
       
       // Extract Reddit-specific data
       const postData = {
@@ -83,9 +48,11 @@ class RedditCrawler extends BaseCrawler {
         title: title,
         text: text,
         subreddit: subreddit,
-        timestamp: timestamp,
-        url: window.location.href,
-        crawledAt: new Date().toISOString(),
+        ...this.normalizeTimestamp(timestamp, crawledAt),
+        url: permalink || window.location.href,
+        permalink: permalink,
+        sourceUrl: window.location.href,
+        crawledAt: crawledAt,
         
         // Reddit-specific fields
         postId: this.extractRedditPostId(postElement),
@@ -97,7 +64,8 @@ class RedditCrawler extends BaseCrawler {
         isNSFW: this.isNSFW(postElement),
         
         // Engagement metrics
-        metrics: this.extractRedditMetrics(postElement),
+        metrics: metrics,
+        metricsExact: this.getMetricsExactness(metrics),
         
         // Awards
         awards: this.extractRedditAwards(postElement),
@@ -112,7 +80,6 @@ class RedditCrawler extends BaseCrawler {
         comments: this.extractRedditComments(postElement)
       };
       
-      this.crawledPosts.add(uniqueId);
       return postData;
     } catch (error) {
       console.error('[Reddit] Error extracting post data:', error);
@@ -132,6 +99,23 @@ class RedditCrawler extends BaseCrawler {
     }
   }
 
+  // new Reddit exposes the permalink as an attribute, old Reddit as data-permalink
+  // and both link the title/comments to /r/<sub>/comments/<id>/<slug>/. The slug is
+  // dropped since it changes when a title is edited.
+  extractPermalink(postElement) {
+    try {
+      const source = postElement.getAttribute('permalink') ||
+                     postElement.getAttribute('data-permalink') ||
+                     postElement.querySelector('[data-permalink]')?.getAttribute('data-permalink') ||
+                     postElement.querySelector('a[href*="/comments/"]')?.getAttribute('href') ||
+                     '';
+      const match = source.match(/\/r\/([^\/]+)\/comments\/([a-z0-9]+)/i);
+      return match ? `https://www.reddit.com/r/${match[1]}/comments/${match[2]}/` : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   getRedditPostType(postElement) {
     try {
       if (postElement.querySelector('[data-testid="post-content"] img, img[src*="i.redd.it"]')) return 'image';
@@ -208,11 +192,11 @@ class RedditCrawler extends BaseCrawler {
       
       // Reddit often shows combined score rather than separate up/down votes
       const scoreText = scoreElement?.textContent.trim() || '0';
-      metrics.score = this.parseNumber(scoreText);
+      this.setCount(metrics, 'score', scoreText);
       metrics.upvotes = metrics.score; // Reddit usually shows net score
       
       const commentsText = commentsElement?.textContent.trim() || '0';
-      metrics.comments = this.parseNumber(commentsText.replace(/[^\d]/g, ''));
+      this.setCount(metrics, 'comments', commentsText);
       
       // Count awards if present
       if (awardsElement) {
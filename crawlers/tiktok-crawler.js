@@ -8,49 +8,13 @@ class TikTokCrawler extends BaseCrawler {
     this.downloadInProgress = false; // Flag to prevent concurrent downloads
     this.isProcessingVideo = false; // Flag to prevent concurrent video processing
     this.videoProcessingTimeout = null; // Track timeout for cleanup
+    this.embeddedItems = null; // video id -> item from the page's embedded state
+    this.embeddedStateSignature = null;
   }
 
-  getSelectors() {
-    return {
-      // TikTok single video page structure - main video container
-      postContainer: 'div[data-e2e="video-player-container"], div[data-e2e="video-detail"], .video-player-container, #app > div > div > div > div:first-child',
-      
-      // Video elements and captions
-      videoElement: 'video',
-      captionContainer: '[data-e2e="video-desc"], [data-e2e="browse-video"], .video-meta-caption',
-      subtitleTrack: 'track[kind="subtitles"], track[kind="captions"]',
-      
-      // Author information - for single video pages
-      author: {
-        name: '[data-e2e="video-author-uniqueid"], [data-e2e="video-author"], .author-uniqueid, .video-meta-author',
-        avatar: '[data-e2e="avatar"], .avatar img, .author-avatar img',
-        profile: '[data-e2e="video-author-uniqueid"] a, a[href*="/@"], .author-link'
-      },
-      
-      // Video metadata for single video pages
-      timestamp: '[data-e2e="video-create-time"], .video-meta-time, time',
-      description: '[data-e2e="video-desc"], [data-e2e="video-title"], .video-meta-caption, .video-description',
-      
-      // Engagement metrics on single video pages
-      metrics: {
-        likes: '[data-e2e="browse-like-count"], [data-e2e="like-count"], [data-e2e="video-like-count"], .like-count',
-        comments: '[data-e2e="browse-comment-count"], [data-e2e="comment-count"], [data-e2e="video-comment-count"], .comment-count', 
-        shares: '[data-e2e="browse-share-count"], [data-e2e="share-count"], [data-e2e="video-share-count"], .share-count',
-        views: '[data-e2e="video-views"], [data-e2e="browse-view-count"], .view-count',
-        collects: '[data-e2e="undefined-count"], [data-e2e="collect-count"], .collect-count'
-      },
-      
-      // Hashtags and mentions
-      hashtags: 'a[href*="/tag/"], .hashtag-link',
-      mentions: 'a[href*="/@"]:not([data-e2e="video-author-uniqueid"]), .mention-link',
-      
-      // Music and sounds
-      music: '[data-e2e="video-music"], .music-info',
-      
-      // TikTok specific elements
-      effects: '[data-e2e="video-effect"], .effect-info',
-      location: '[data-e2e="video-location"], .location-info'
-    };
+  // The crawl moves from video URL to video URL, so there is no page to come back to
+  supportsResume() {
+    return false;
   }
 
   // 步骤1: 纯提取信息，不做下载
@@ -58,21 +22,26 @@ class TikTokCrawler extends BaseCrawler {
     try {
       const selectors = this.getSelectors();
       
+      // Get current video URL to track changes
+      const currentVideoUrl = window.location.href;
+      const permalink = this.extractPermalink(postElement);
+      
+      // Exact data from the page's embedded state when it has this video; the DOM
+      // heuristics below only run for what it doesn't cover
+      const embedded = this.extractEmbeddedVideoData(this.getNetworkId({ permalink: permalink }));
+      
       // Extract basic video information
       const videoElement = postElement.querySelector(selectors.videoElement);
-      const authorName = this.extractTikTokAuthor(postElement);
-      const description = this.extractTikTokDescription(postElement);
-      const timestamp = this.extractTikTokTimestamp(postElement);
-      
-      console.log(`[TikTok] Extracting video - author: "${authorName}", desc: "${this.formatLogText(description, 30)}"`);
+      const authorName = embedded?.author.name || this.extractTikTokAuthor(postElement);
+      const description = embedded?.text || this.extractTikTokDescription(postElement);
+      const timestamp = embedded?.timestamp || this.extractTikTokTimestamp(postElement);
       
-      // Get current video URL to track changes
-      const currentVideoUrl = window.location.href;
+      console.log(`[TikTok] Extracting video - author: "${authorName}", desc: "${this.formatLogText(description, 30)}", embedded state: ${embedded ? 'yes' : 'no'}`);
       
       // Extract captions/transcript if available
       let transcript = '';
       try {
-        transcript = await this.extractTikTokCaptions(postElement, videoElement);
+        transcript = await this.extractTikTokCaptions(postElement, videoElement, embedded ? embedded.subtitles : []);
         console.log(`[TikTok] Extracted transcript: "${this.formatLogText(transcript, 50)}"`);
       } catch (error) {
         console.warn('[TikTok] Failed to extract captions:', error.message);
@@ -84,17 +53,17 @@ class TikTokCrawler extends BaseCrawler {
       // Check both in-memory cache and database for duplicates
       if (this.crawledPosts.has(uniqueId)) {
         console.log(`[TikTok] Video already crawled in memory (ID: ${uniqueId}), skipping`);
-        return { id: uniqueId, text: description, author: { name: authorName }, alreadyCrawled: true };
+        return { id: uniqueId, text: description, author: { name: authorName }, ...this.normalizeTimestamp(timestamp), metrics: this.resolveTikTokMetrics(postElement, embedded), permalink: permalink, sourceUrl: currentVideoUrl, alreadyCrawled: true };
       }
       
       // Also check database in case post was crawled in a previous session
-      if (window.postsDB && window.postsDB.db) {
+      if (window.postsDB) {
         try {
           const existingPost = await window.postsDB.getPost(uniqueId);
           if (existingPost) {
             console.log(`[TikTok] Video already exists in database (ID: ${uniqueId}), adding to memory cache and skipping`);
             this.crawledPosts.add(uniqueId);
-            return { id: uniqueId, text: description, author: { name: authorName }, alreadyCrawled: true };
+            return { id: uniqueId, text: description, author: { name: authorName }, ...this.normalizeTimestamp(timestamp), metrics: this.resolveTikTokMetrics(postElement, embedded), permalink: permalink, sourceUrl: currentVideoUrl, alreadyCrawled: true };
           }
         } catch (error) {
           console.warn(`[TikTok] Error checking database for existing post: ${error.message}`);
@@ -104,18 +73,20 @@ class TikTokCrawler extends BaseCrawler {
       console.log(`[TikTok] New video detected (ID: ${uniqueId}), extracting full data...`);
       
       // Extract additional data
-      const avatar = this.extractTikTokAvatar(postElement);
-      const profileUrl = this.extractTikTokProfileUrl(postElement);
-      const metrics = this.extractTikTokMetrics(postElement);
-      const music = this.extractTikTokMusic(postElement);
-      const hashtags = this.extractHashtags(postElement);
-      const mentions = this.extractMentions(postElement);
-      const effects = this.extractTikTokEffects(postElement);
-      const location = this.extractTikTokLocation(postElement);
+      const avatar = embedded?.author.avatar || this.extractTikTokAvatar(postElement);
+      const profileUrl = embedded?.author.profileUrl || this.extractTikTokProfileUrl(postElement);
+      const metrics = this.resolveTikTokMetrics(postElement, embedded);
+      const music = embedded?.music ? { ...this.extractTikTokMusic(postElement), ...embedded.music } : this.extractTikTokMusic(postElement);
+      const hashtags = embedded?.hashtags.length ? embedded.hashtags : this.extractHashtags(postElement);
+      const mentions = embedded?.mentions.length ? embedded.mentions : this.extractMentions(postElement);
+      const effects = embedded?.effects.length ? embedded.effects : this.extractTikTokEffects(postElement);
+      const location = embedded?.location || this.extractTikTokLocation(postElement);
       
       // Get video URL and metadata
       const videoUrl = videoElement ? videoElement.src || videoElement.currentSrc : '';
-      const videoDuration = videoElement ? videoElement.duration : 0;
+      const videoDuration = embedded?.videoDuration || (videoElement ? videoElement.duration : 0);
+      
+      const crawledAt = new Date().toISOString();
       
       // Create post data (NO download here)
       const postData = {
@@ -124,14 +95,19 @@ class TikTokCrawler extends BaseCrawler {
         company: 'NA',
         author: {
           name: authorName,
+          nickname: embedded?.author.nickname || '',
           avatar: avatar,
-          profileUrl: profileUrl
+          profileUrl: profileUrl,
+          followers: embedded ? embedded.author.followers : null
         },
         text: description,
         transcript: transcript,
-        timestamp: timestamp,
-        url: currentVideoUrl,
-        crawledAt: new Date().toISOString(),
+        subtitles: embedded ? embedded.subtitles : [],
+        ...this.normalizeTimestamp(timestamp, crawledAt),
+        url: permalink || currentVideoUrl,
+        permalink: permalink,
+        sourceUrl: currentVideoUrl,
+        crawledAt: crawledAt,
         
         // TikTok-specific fields
         videoUrl: videoUrl,
@@ -142,6 +118,7 @@ class TikTokCrawler extends BaseCrawler {
         
         // Engagement metrics
         metrics: metrics,
+        metricsExact: this.getMetricsExactness(metrics),
         
         // Social elements
         hashtags: hashtags,
@@ -153,6 +130,9 @@ class TikTokCrawler extends BaseCrawler {
         actualFilename: null,
         downloadMethod: null
       };
+      if (embedded) {
+        postData.dataSources = ['embedded', 'dom'];
+      }
       
       console.log(`[TikTok] Video data extracted for: "${this.formatLogText(description, 40)}"`);
       return postData;
@@ -163,8 +143,143 @@ class TikTokCrawler extends BaseCrawler {
     }
   }
   
+  // TikTok's server-rendered pages embed the app state as JSON:
+  // __UNIVERSAL_DATA_FOR_REHYDRATION__ (the video page's itemStruct) on current
+  // pages, SIGI_STATE (ItemModule, keyed by video id) on older ones. The scripts
+  // don't change on in-app navigation, so they are parsed once and re-read only
+  // when their content differs.
+  readEmbeddedItems() {
+    const scripts = TikTokCrawler.EMBEDDED_STATE_SCRIPTS
+      .map(id => document.getElementById(id))
+      .filter(Boolean);
+    const signature = scripts.map(script => `${script.id}:${script.textContent.length}`).join('|');
+    if (this.embeddedItems && this.embeddedStateSignature === signature) {
+      return this.embeddedItems;
+    }
+    
+    const items = new Map();
+    scripts.forEach(script => {
+      let state;
+      try {
+        state = JSON.parse(script.textContent);
+      } catch (error) {
+        console.warn(`[TikTok] Could not parse ${script.id}:`, error.message);
+        return;
+      }
+      
+      const detail = state.__DEFAULT_SCOPE__?.['webapp.video-detail']?.itemInfo?.itemStruct;
+      if (detail && detail.id) {
+        items.set(String(detail.id), detail);
+      }
+      Object.values(state.ItemModule || {}).forEach(item => {
+        if (item && item.id) items.set(String(item.id), item);
+      });
+    });
+    
+    this.embeddedItems = items;
+    this.embeddedStateSignature = signature;
+    if (items.size > 0) {
+      console.log(`[TikTok] ${items.size} videos in embedded page state`);
+    }
+    return items;
+  }
+  
+  // The embedded item for a video in postData's shape, or null when the page has none
+  extractEmbeddedVideoData(videoId) {
+    if (!videoId) return null;
+    const item = this.readEmbeddedItems().get(videoId);
+    if (!item) return null;
+    
+    try {
+      const toNumber = (value) => {
+        const number = Number(value);
+        return value === undefined || value === null || value === '' || !Number.isFinite(number) ? undefined : number;
+      };
+      // statsV2 holds the same counts as strings, exact past 2^31
+      const stats = { ...item.stats, ...item.statsV2 };
+      const metrics = {};
+      Object.entries({ likes: 'diggCount', comments: 'commentCount', shares: 'shareCount', views: 'playCount', collects: 'collectCount' })
+        .forEach(([metric, key]) => {
+          const value = toNumber(stats[key]);
+          if (value !== undefined) metrics[metric] = value;
+        });
+      
+      // SIGI_STATE items carry the author's uniqueId as a string
+      const author = typeof item.author === 'string'
+        ? { uniqueId: item.author, nickname: item.nickname, avatarThumb: item.avatarThumb }
+        : item.author || {};
+      const textExtra = item.textExtra || [];
+      const hashtags = textExtra.filter(extra => extra.hashtagName).map(extra => `#${extra.hashtagName}`);
+      
+      return {
+        text: item.desc || '',
+        timestamp: item.createTime ? new Date(Number(item.createTime) * 1000).toISOString() : '',
+        author: {
+          name: author.uniqueId || '',
+          nickname: author.nickname || '',
+          avatar: author.avatarThumb || '',
+          profileUrl: author.uniqueId ? `https://www.tiktok.com/@${author.uniqueId}` : '',
+          followers: toNumber(item.authorStats?.followerCount) ?? null
+        },
+        metrics: metrics,
+        music: item.music ? {
+          id: item.music.id || null,
+          name: item.music.title || '',
+          author: item.music.authorName || '',
+          original: !!item.music.original
+        } : null,
+        hashtags: hashtags.length > 0 ? hashtags : (item.challenges || []).map(challenge => `#${challenge.title}`),
+        mentions: textExtra.filter(extra => extra.userUniqueId).map(extra => ({
+          name: `@${extra.userUniqueId}`,
+          url: `https://www.tiktok.com/@${extra.userUniqueId}`
+        })),
+        effects: (item.effectStickers || []).map(effect => effect.name).filter(Boolean),
+        location: item.poi?.name || '',
+        videoDuration: toNumber(item.video?.duration) || 0,
+        subtitles: (item.video?.subtitleInfos || []).map(info => ({
+          language: info.LanguageCodeName || info.LanguageID || '',
+          url: info.Url || '',
+          format: info.Format || '',
+          source: info.Source || ''
+        })).filter(subtitle => subtitle.url)
+      };
+    } catch (error) {
+      console.warn('[TikTok] Could not read embedded video data:', error.message);
+      return null;
+    }
+  }
+  
+  // Embedded counts are exact; the rendered ones are only read for counts the state lacks
+  resolveTikTokMetrics(postElement, embedded) {
+    const embeddedMetrics = embedded ? embedded.metrics : {};
+    const embeddedExact = {};
+    Object.keys(embeddedMetrics).forEach(metric => { embeddedExact[metric] = true; });
+    if (['likes', 'comments', 'shares', 'views', 'collects'].every(metric => embeddedMetrics[metric] !== undefined)) {
+      const metrics = { ...embeddedMetrics };
+      this.countExactness.set(metrics, embeddedExact);
+      return metrics;
+    }
+
+    const domMetrics = this.extractTikTokMetrics(postElement);
+    const metrics = { ...domMetrics, ...embeddedMetrics };
+    this.countExactness.set(metrics, { ...this.getMetricsExactness(domMetrics), ...embeddedExact });
+    return metrics;
+  }
+  
   // Extract TikTok captions/subtitles - this is the core feature
-  async extractTikTokCaptions(postElement, videoElement) {
+  async extractTikTokCaptions(postElement, videoElement, subtitles = []) {
+    // Method 0: Subtitle files listed in the embedded page state, English first
+    const webvttSubtitles = subtitles
+      .filter(subtitle => !subtitle.format || subtitle.format.toLowerCase() === 'webvtt')
+      .sort((a, b) => Number(b.language.startsWith('en')) - Number(a.language.startsWith('en')));
+    for (const subtitle of webvttSubtitles) {
+      const vttText = await this.fetchVTTContent(subtitle.url);
+      if (vttText) {
+        console.log(`[TikTok] Extracted captions from embedded subtitle (${subtitle.language})`);
+        return this.parseVTTToText(vttText);
+      }
+    }
+    
     // If no video element passed in, try to find one
     if (!videoElement) {
       console.log('[TikTok] No video element provided, searching for video in postElement...');
@@ -566,12 +681,13 @@ class TikTokCrawler extends BaseCrawler {
 
   extractTikTokMetrics(postElement) {
     const selectors = this.getSelectors();
+    // A count the page doesn't show stays null
     const metrics = {
-      likes: 0,
-      comments: 0,
-      shares: 'NA', // TikTok doesn't have retweets/shares concept
-      views: 'NA',
-      collects: 0
+      likes: null,
+      comments: null,
+      shares: null,
+      views: null,
+      collects: null
     };
 
     try {
@@ -582,13 +698,12 @@ class TikTokCrawler extends BaseCrawler {
         likesElement = document.querySelector(selectors.metrics.likes);
       }
       if (likesElement) {
-        metrics.likes = this.parseNumber(likesElement.textContent);
+        this.setCount(metrics, 'likes', likesElement.textContent);
         console.log(`[TikTok] Found likes: ${metrics.likes}`);
       }
 
       // Extract comments - improved with more specific targeting
       let commentsElement = null;
-      let commentsCount = 0;
       
       // Try multiple strategies to find the comments count
       const commentSelectors = [
@@ -620,7 +735,7 @@ class TikTokCrawler extends BaseCrawler {
       
       if (commentsElement) {
         const rawText = commentsElement.textContent.trim();
-        commentsCount = this.parseNumber(rawText);
+        const commentsCount = this.setCount(metrics, 'comments', rawText);
         console.log(`[TikTok] Successfully extracted comments: ${commentsCount} from text: "${rawText}"`);
         console.log(`[TikTok] Comments element: ${commentsElement.tagName}[${commentsElement.getAttribute('data-e2e')}]`);
       } else {
@@ -635,25 +750,15 @@ class TikTokCrawler extends BaseCrawler {
           }
         });
       }
-      
-      metrics.comments = commentsCount;
 
-      // Extract collects (save/bookmark count)
-      let collectsElement = postElement.querySelector(selectors.metrics.collects);
-      if (!collectsElement) {
-        // Fallback: search entire document
-        collectsElement = document.querySelector(selectors.metrics.collects);
-      }
-      if (collectsElement) {
-        metrics.collects = this.parseNumber(collectsElement.textContent);
-        console.log(`[TikTok] Found collects: ${metrics.collects}`);
+      // Collects (saves), shares and views; the video page usually has no view count
+      for (const metric of ['collects', 'shares', 'views']) {
+        const element = postElement.querySelector(selectors.metrics[metric]) || document.querySelector(selectors.metrics[metric]);
+        if (element && /\d/.test(element.textContent)) {
+          this.setCount(metrics, metric, element.textContent);
+          console.log(`[TikTok] Found ${metric}: ${metrics[metric]}`);
+        }
       }
-
-      // TikTok doesn't have shares/retweets concept, keeping as 'NA'
-      console.log(`[TikTok] Shares not supported on TikTok, keeping as 'NA'`);
-
-      // TikTok doesn't show view counts on individual videos, always keep as 'NA'
-      console.log(`[TikTok] Views not supported on TikTok, keeping as 'NA'`);
     } catch (error) {
       console.error('[TikTok] Error extracting metrics:', error);
     }
@@ -717,11 +822,29 @@ class TikTokCrawler extends BaseCrawler {
     }
   }
 
+  // On a video page the URL is the permalink; in a feed use the card's own video link
+  extractPermalink(postElement) {
+    try {
+      const source = window.location.pathname.match(/\/video\/\d+/)
+        ? window.location.href
+        : postElement.querySelector('a[href*="/video/"]')?.href || '';
+      const match = source.match(/\/(@[^\/?#]+)\/video\/(\d+)/);
+      return match ? `https://www.tiktok.com/${match[1]}/video/${match[2]}` : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getNetworkId(postData) {
+    const match = (postData.permalink || postData.id || '').match(/(?:\/video\/|^tiktok_)(\d+)/);
+    return match ? match[1] : null;
+  }
+
   // Create unique IDs for TikTok videos
   createTikTokPostId(postElement, description, transcript, author) {
     try {
-      // Primary strategy: use video ID from URL as it's most reliable
-      const videoIdFromUrl = window.location.pathname.match(/\/video\/(\d+)/);
+      // Primary strategy: use video ID from the permalink as it's most reliable
+      const videoIdFromUrl = (this.extractPermalink(postElement) || window.location.pathname).match(/\/video\/(\d+)/);
       
       if (videoIdFromUrl && videoIdFromUrl[1]) {
         const finalId = `tiktok_${videoIdFromUrl[1]}`;
@@ -864,7 +987,7 @@ class TikTokCrawler extends BaseCrawler {
       
       // Step 1: Extract信息
       console.log('[TikTok] Step 1: 提取视频信息...');
-      const postData = await this.extractPostData(videoContainer);
+      const postData = this.applyNetworkData(await this.extractPostData(videoContainer));
       
       if (!postData) {
         console.log('[TikTok] ❌ 提取失败');
@@ -879,6 +1002,8 @@ class TikTokCrawler extends BaseCrawler {
       if (postData.alreadyCrawled) {
         console.log('[TikTok] ⏭️ 视频已处理过，跳过');
         this.showDownloadStatus('recorded', 'Already recorded');
+        await this.recordSighting(postData);
+        this.trackStopConditions(postData, false);
         await this.waitAndMoveToNext();
         return false;
       }
@@ -899,6 +1024,7 @@ class TikTokCrawler extends BaseCrawler {
       // Step 3: 下载视频
       console.log('[TikTok] Step 3: 下载视频...');
       await this.downloadVideo(postData);
+      this.trackStopConditions(postData, true);
       
       // Step 4: 随机等待到下一个
       console.log('[TikTok] Step 4: 等待后移动到下一个视频...');
@@ -1709,8 +1835,9 @@ class TikTokCrawler extends BaseCrawler {
   // Extract post data for display purposes (simpler version for UI)
   extractPostDataForDisplay(postElement) {
     try {
-      const description = this.extractTikTokDescription(postElement);
-      const author = this.extractTikTokAuthor(postElement);
+      const embedded = this.extractEmbeddedVideoData(this.getNetworkId({ permalink: this.extractPermalink(postElement) }));
+      const description = embedded?.text || this.extractTikTokDescription(postElement);
+      const author = embedded?.author.name || this.extractTikTokAuthor(postElement);
       
       return {
         text: description || `@${author}的视频`,
@@ -1767,6 +1894,9 @@ class TikTokCrawler extends BaseCrawler {
   }
 }
 
+// Script elements holding the page's embedded app state, newest format first
+TikTokCrawler.EMBEDDED_STATE_SCRIPTS = ['__UNIVERSAL_DATA_FOR_REHYDRATION__', 'SIGI_STATE'];
+
 // TikTok Caption Extractor utility class
 class TikTokCaptionExtractor {
   constructor() {
@@ -1817,4 +1947,4 @@ class TikTokCaptionExtractor {
       this.stopObserving(videoElement);
     }
   }
-}
\ No newline at end of file
+}
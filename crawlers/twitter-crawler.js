@@ -4,42 +4,6 @@ class TwitterCrawler extends BaseCrawler {
     super('twitter');
   }
 
-  getSelectors() {
-    return {
-      // Use multiple fallback selectors for better compatibility
-      postContainer: 'article[data-testid="tweet"], div[data-testid="tweet"], [data-testid="tweet"]',
-      textContent: '[data-testid="tweetText"], [lang]:not([data-testid="tweetPhoto"]):not([data-testid="videoPlayer"]):not([data-testid="gifPlayer"]) span',
-      author: {
-        name: '[data-testid="User-Name"] > div > div > span, [data-testid="User-Name"] span:first-child, [data-testid="User-Name"] > div span:first-child',
-        handle: '[data-testid="User-Name"] > div > div:last-child span, [data-testid="User-Name"] span:last-child, [data-testid="User-Name"] a span',
-        avatar: '[data-testid="Tweet-User-Avatar"] img, [data-testid="UserAvatar-Container-"] img, img[alt*="avatar"]'
-      },
-      timestamp: 'time, a[href*="/status/"] time, [data-testid="Time"]',
-      engagement: '[role="group"], [data-testid="reply"], [data-testid="retweet"], [data-testid="like"]',
-      metrics: {
-        reply: '[data-testid="reply"] span[data-testid="app-text-transition-container"] span, [data-testid="reply"] span span, [aria-label*="repl"] span',
-        retweet: '[data-testid="retweet"] span[data-testid="app-text-transition-container"] span, [data-testid="retweet"] span span, [aria-label*="repost"] span',
-        like: '[data-testid="like"] span[data-testid="app-text-transition-container"] span, [data-testid="like"] span span, [aria-label*="like"] span',
-        bookmark: '[data-testid="bookmark"], [aria-label*="bookmark"]',
-        view: 'a[href*="/analytics"] span[data-testid="app-text-transition-container"] span, a[aria-label*="views"] span[data-testid="app-text-transition-container"] span, a[aria-label*="view"] span[data-testid="app-text-transition-container"] span, [data-testid="analytics"] span, [role="group"] a[href*="analytics"] span, a[href*="/analytics"] span span'
-      },
-      replies: {
-        container: '[data-testid="tweet"] + div [data-testid="tweet"], article + article',
-        author: '[data-testid="User-Name"] span:first-child',
-        text: '[data-testid="tweetText"]',
-        timestamp: 'time'
-      },
-      media: {
-        images: '[data-testid="tweetPhoto"] img, [data-testid="card.layoutLarge.media"] img, img[src*="media"]',
-        videos: '[data-testid="videoPlayer"] video, video',
-        gifs: '[data-testid="gifPlayer"] video, [data-testid="gif"] video'
-      },
-      links: 'a[href^="https://t.co/"], a[href*="t.co"]',
-      hashtags: 'a[href*="/hashtag/"], a[href*="#"]',
-      mentions: 'a[href^="/"], a[href*="twitter.com/"], a[href*="x.com/"]'
-    };
-  }
-
   extractPostData(postElement) {
     try {
       if (!postElement || !postElement.querySelector) {
@@ -64,24 +28,23 @@ class TwitterCrawler extends BaseCrawler {
       
       // Try to extract tweet ID first for more reliable unique identification
       const tweetId = this.extractTweetId(postElement);
+      const permalink = this.extractPermalink(postElement);
       
       // Create unique ID - prefer tweet ID if available, otherwise use content-based approach
-      let uniqueId;
-      if (tweetId) {
-        uniqueId = `tweet_${tweetId}`;
-        console.log(`[Twitter] Using tweet ID for uniqueness: ${uniqueId}`);
-      } else {
-        uniqueId = this.createPostId(text, authorHandle || authorName, timestamp);
-        console.log(`[Twitter] Using content-based ID: ${uniqueId}`);
-      }
-      
+      const uniqueId = this.resolvePostId(
+        permalink,
+        tweetId ? `tweet_${tweetId}` : null,
+        this.createPostId(text, authorHandle || authorName, timestamp)
+      );
+      console.log(`[Twitter] Using ID: ${uniqueId} (permalink: ${permalink || 'none'})`);
+      
+      // Known posts are still extracted so the crawler can snapshot their current metrics
       if (this.crawledPosts.has(uniqueId)) {
-        console.log(`[Twitter] Post already crawled (ID: ${uniqueId}), skipping`);
-        return null; // Already crawled
+        console.log(`[Twitter] Post already crawled (ID: ${uniqueId}), re-extracting for engagement snapshot`);
+      } else {
+        console.log(`[Twitter] Creating post data for new post (ID: ${uniqueId})`);
       }
       
-      console.log(`[Twitter] Creating post data for new post (ID: ${uniqueId})`);
-      
       // Extract Twitter-specific data with individual error handling
       let finalTweetId, isRetweet, isReply, metrics, media, links, hashtags, mentions, replies;
       
@@ -108,7 +71,7 @@ class TwitterCrawler extends BaseCrawler {
         console.log(`[Twitter] Metrics extracted - views: ${metrics.views}, likes: ${metrics.likes}`);
       } catch (e) {
         console.warn('[Twitter] Failed to extract metrics:', e.message);
-        metrics = { replies: 0, retweets: 0, likes: 0, bookmarks: 0, views: 0 };
+        metrics = { replies: null, retweets: null, likes: null, bookmarks: null, views: null };
       }
       
       try {
@@ -142,6 +105,8 @@ class TwitterCrawler extends BaseCrawler {
       // Extract company name from current page
       const companyName = this.extractCompanyName();
       
+      const crawledAt = new Date().toISOString();
+      
       // Extract Twitter-specific data
       const postData = {
         id: uniqueId,
@@ -153,9 +118,11 @@ class TwitterCrawler extends BaseCrawler {
           avatar: avatar
         },
         text: text,
-        timestamp: timestamp,
-        url: window.location.href,
-        crawledAt: new Date().toISOString(),
+        ...this.normalizeTimestamp(timestamp, crawledAt),
+        url: permalink || window.location.href,
+        permalink: permalink,
+        sourceUrl: window.location.href,
+        crawledAt: crawledAt,
         
         // Twitter-specific fields
         tweetId: finalTweetId,
@@ -164,6 +131,7 @@ class TwitterCrawler extends BaseCrawler {
         
         // Engagement metrics
         metrics: metrics,
+        metricsExact: this.getMetricsExactness(metrics),
         
         // Media content
         media: media,
@@ -467,6 +435,22 @@ class TwitterCrawler extends BaseCrawler {
     }
   }
 
+  // The tweet's timestamp links to /<handle>/status/<id>; normalized to x.com so
+  // posts crawled on twitter.com and x.com share one permalink
+  extractPermalink(postElement) {
+    try {
+      const link = postElement.querySelector('time')?.closest('a')?.href;
+      const match = link && link.match(/\/([^\/?#]+)\/status\/(\d+)/);
+      return match ? `https://x.com/${match[1]}/status/${match[2]}` : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getNetworkId(postData) {
+    return postData.tweetId || null;
+  }
+
   isRetweet(postElement) {
     return postElement.querySelector('[data-testid="socialContext"]')?.textContent.includes('retweeted') || false;
   }
@@ -478,27 +462,30 @@ class TwitterCrawler extends BaseCrawler {
   extractTwitterMetrics(postElement) {
     const selectors = this.getSelectors().metrics;
     
+    // A count the tweet doesn't show stays null
     const metrics = {
-      replies: 0,
-      retweets: 0,
-      likes: 0,
-      bookmarks: 0,
-      views: 0
+      replies: null,
+      retweets: null,
+      likes: null,
+      bookmarks: null,
+      views: null
     };
 
     try {
-      const replyElement = postElement.querySelector(selectors.reply);
-      const retweetElement = postElement.querySelector(selectors.retweet);
-      const likeElement = postElement.querySelector(selectors.like);
-      
-      metrics.replies = this.parseNumber(replyElement?.textContent);
-      metrics.retweets = this.parseNumber(retweetElement?.textContent);
-      metrics.likes = this.parseNumber(likeElement?.textContent);
+      // X leaves a button's count blank at zero, so a button without a number is 0
+      for (const [name, button] of [['replies', 'reply'], ['retweets', 'retweet'], ['likes', 'like']]) {
+        const countElement = postElement.querySelector(selectors[button]);
+        if (countElement && /\d/.test(countElement.textContent)) {
+          this.setCount(metrics, name, countElement.textContent);
+        } else if (postElement.querySelector(`[data-testid="${button}"], [data-testid="un${button}"]`)) {
+          this.setCount(metrics, name, '0');
+        }
+      }
       
       // Extract view counts - try multiple approaches
       let viewElement = postElement.querySelector(selectors.view);
       if (viewElement) {
-        metrics.views = this.parseNumber(viewElement.textContent);
+        this.setCount(metrics, 'views', viewElement.textContent);
         console.log(`[Twitter] Found views via selector: ${metrics.views}`);
       } else {
         // Fallback 1: Look for analytics link with aria-label containing "views" (most reliable)
@@ -507,7 +494,7 @@ class TwitterCrawler extends BaseCrawler {
           const ariaLabel = analyticsLink.getAttribute('aria-label');
           const viewMatch = ariaLabel.match(/(\d+(?:[.,]\d+)*)\s*views?/i);
           if (viewMatch) {
-            metrics.views = this.parseNumber(viewMatch[1]);
+            this.setCount(metrics, 'views', viewMatch[1]);
             console.log(`[Twitter] Found views via aria-label: ${metrics.views} from "${ariaLabel}"`);
           }
         } else {
@@ -518,7 +505,7 @@ class TwitterCrawler extends BaseCrawler {
             if (numberSpan && numberSpan.textContent.trim()) {
               const viewText = numberSpan.textContent.trim();
               if (/^\d/.test(viewText)) {
-                metrics.views = this.parseNumber(viewText);
+                this.setCount(metrics, 'views', viewText);
                 console.log(`[Twitter] Found views via analytics link span: ${metrics.views} from "${viewText}"`);
                 break;
               }
@@ -529,7 +516,7 @@ class TwitterCrawler extends BaseCrawler {
             if (directSpan && directSpan.textContent.trim()) {
               const viewText = directSpan.textContent.trim();
               if (/^\d/.test(viewText)) {
-                metrics.views = this.parseNumber(viewText);
+                this.setCount(metrics, 'views', viewText);
                 console.log(`[Twitter] Found views via direct span: ${metrics.views} from "${viewText}"`);
                 break;
               }
@@ -537,7 +524,7 @@ class TwitterCrawler extends BaseCrawler {
           }
           
           // Fallback 3: Look in engagement area (usually last metric after reply, retweet, like)
-          if (metrics.views === 0) {
+          if (metrics.views === null) {
             const engagementArea = postElement.querySelector('[role="group"]');
             if (engagementArea) {
               // Find all clickable elements with numbers
@@ -554,7 +541,7 @@ class TwitterCrawler extends BaseCrawler {
                   if (numberSpan) {
                     const viewText = numberSpan.textContent.trim();
                     if (viewText && /^\d/.test(viewText)) {
-                      metrics.views = this.parseNumber(viewText);
+                      this.setCount(metrics, 'views', viewText);
                       console.log(`[Twitter] Found views via engagement area: ${metrics.views} from "${viewText}"`);
                       break;
                     }
@@ -566,8 +553,11 @@ class TwitterCrawler extends BaseCrawler {
         }
       }
       
-      // Bookmark button doesn't usually show count
-      metrics.bookmarks = postElement.querySelector(selectors.bookmark) ? 1 : 0;
+      // Timelines show the bookmark button without a count; only a shown number counts
+      const bookmarkElement = postElement.querySelector(selectors.bookmark);
+      if (bookmarkElement && /\d/.test(bookmarkElement.textContent)) {
+        this.setCount(metrics, 'bookmarks', bookmarkElement.textContent);
+      }
       
       // Log metrics for debugging (only if views > 0 to avoid spam)
       if (metrics.views > 0) {
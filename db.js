@@ -2,84 +2,365 @@
 class PostsDB {
   constructor() {
     this.dbName = 'SocialMediaCrawler';
-    this.version = 3; // Increment version to add company index
+    this.version = 10; // Add a step to PostsDB.MIGRATIONS before bumping this
     this.storeName = 'posts';
+    this.snapshotStoreName = 'metricSnapshots';
+    this.exportStoreName = 'exports';
     this.db = null;
+    this.initPromise = null;
     console.log('[PostsDB] Constructor called');
   }
 
   async init() {
+    if (this.db) return this.db;
+    
+    // Concurrent callers share one open (and one migration run)
+    if (!this.initPromise) {
+      this.initPromise = this.openDatabase().finally(() => {
+        this.initPromise = null;
+      });
+    }
+    return this.initPromise;
+  }
+
+  async openDatabase() {
     console.log(`[PostsDB] Initializing database ${this.dbName} version ${this.version}`);
+    
+    // Save a copy of everything before any migration that could lose data
+    await this.backupBeforeLossyMigrations();
+    
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(this.dbName, this.version);
+      let migrationError = null;
       
       request.onerror = () => {
-        console.error('[PostsDB] Database open error:', request.error);
-        reject(request.error);
+        console.error('[PostsDB] Database open error:', migrationError || request.error);
+        reject(migrationError || request.error);
       };
       
       request.onsuccess = () => {
         this.db = request.result;
+        // Let a newer version of the extension upgrade the schema
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
         console.log('[PostsDB] Database opened successfully');
         resolve(this.db);
       };
       
       request.onupgradeneeded = (event) => {
-        console.log('[PostsDB] Database upgrade needed');
-        const db = event.target.result;
+        console.log(`[PostsDB] Database upgrade needed: ${event.oldVersion} -> ${event.newVersion}`);
+        const transaction = event.target.transaction;
+        
+        this.runMigrations(event.target.result, transaction, event.oldVersion).catch(error => {
+          // Aborting rolls the whole upgrade back; the stored data stays at the old version
+          console.error('[PostsDB] Migration failed, aborting upgrade:', error);
+          migrationError = error;
+          transaction.abort();
+        });
+      };
+    });
+  }
+
+  // Apply every migration newer than the stored version, one after another,
+  // inside the upgrade transaction
+  async runMigrations(db, transaction, oldVersion) {
+    const pending = this.getPendingMigrations(oldVersion);
+    
+    for (const migration of pending) {
+      console.log(`[PostsDB] Migrating to version ${migration.version}: ${migration.description}`);
+      await migration.migrate(db, transaction, this);
+    }
+    
+    console.log(`[PostsDB] Applied ${pending.length} migration(s)`);
+  }
+
+  getPendingMigrations(fromVersion) {
+    return PostsDB.MIGRATIONS
+      .filter(migration => migration.version > fromVersion && migration.version <= this.version)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  async backupBeforeLossyMigrations() {
+    if (!indexedDB.databases) return;
+    
+    const existing = (await indexedDB.databases()).find(info => info.name === this.dbName);
+    if (!existing || existing.version >= this.version) return;
+    
+    const lossy = this.getPendingMigrations(existing.version).filter(migration => migration.lossy);
+    if (lossy.length === 0) return;
+    
+    console.log(`[PostsDB] ${lossy.length} pending migration(s) may lose data, backing up version ${existing.version} first`);
+    const backup = await this.dumpDatabase(existing.version);
+    const dateStr = new Date().toISOString().replace(/[:.]/g, '-');
+    await this.saveBackupFile(`${this.dbName}_v${existing.version}_backup_${dateStr}.json`, PostsDB.backupParts(backup));
+  }
+
+  // Read every store at the given (current) version without upgrading it
+  async dumpDatabase(version) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, version);
+      
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const db = request.result;
+        const storeNames = Array.from(db.objectStoreNames);
+        const backup = {
+          dbName: this.dbName,
+          version: version,
+          backedUpAt: new Date().toISOString(),
+          stores: {}
+        };
+        
+        if (storeNames.length === 0) {
+          db.close();
+          resolve(backup);
+          return;
+        }
         
-        // Delete existing store if it exists
-        if (db.objectStoreNames.contains(this.storeName)) {
-          console.log('[PostsDB] Deleting existing store');
-          db.deleteObjectStore(this.storeName);
+        const transaction = db.transaction(storeNames, 'readonly');
+        storeNames.forEach(storeName => {
+          const getAll = transaction.objectStore(storeName).getAll();
+          getAll.onsuccess = () => {
+            backup.stores[storeName] = getAll.result;
+          };
+        });
+        transaction.oncomplete = () => {
+          db.close();
+          resolve(backup);
+        };
+        transaction.onerror = () => {
+          db.close();
+          reject(transaction.error);
+        };
+      };
+    });
+  }
+
+  // `parts` are pieces of the file, which is downloaded as one Blob
+  async saveBackupFile(filename, parts) {
+    if (typeof document !== 'undefined') {
+      const url = URL.createObjectURL(new Blob(parts, { type: 'application/json' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      a.click();
+      URL.revokeObjectURL(url);
+    } else {
+      await this.downloadFromOffscreenDocument(filename, parts, 'application/json');
+    }
+    console.log(`[PostsDB] Backup saved as ${filename}`);
+  }
+
+  // Service worker: there is no URL.createObjectURL, so offscreen.js collects the
+  // parts into a Blob and hands back its blob: URL for the downloads API. The URL
+  // lives until the document is closed, after the download has finished.
+  async downloadFromOffscreenDocument(filename, parts, type) {
+    await chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['BLOBS'],
+      justification: 'Save a backup of the database before a migration'
+    });
+    try {
+      const port = chrome.runtime.connect({ name: PostsDB.BLOB_PORT_NAME });
+      const url = await new Promise((resolve, reject) => {
+        port.onMessage.addListener(message => resolve(message.url));
+        port.onDisconnect.addListener(() => reject(new Error('Offscreen document closed before the file was built')));
+        parts.forEach(part => port.postMessage({ part: part }));
+        port.postMessage({ done: true, type: type });
+      });
+      const downloadId = await chrome.downloads.download({ url: url, filename: filename, saveAs: false });
+      await PostsDB.downloadFinished(downloadId);
+      port.disconnect();
+    } finally {
+      await chrome.offscreen.closeDocument();
+    }
+  }
+
+  // Migration helpers
+
+  ensureIndex(transaction, storeName, indexName, keyPath, options = { unique: false }) {
+    const store = transaction.objectStore(storeName);
+    if (!store.indexNames.contains(indexName)) {
+      store.createIndex(indexName, keyPath, options);
+    }
+  }
+
+  // Walk every record of a store; `update` returns the changed record or null to leave it alone
+  backfill(transaction, storeName, update) {
+    return new Promise((resolve, reject) => {
+      const request = transaction.objectStore(storeName).openCursor();
+      let updated = 0;
+      
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          console.log(`[PostsDB] Backfilled ${updated} record(s) in ${storeName}`);
+          resolve(updated);
+          return;
         }
         
-        // Create posts store
-        console.log('[PostsDB] Creating new posts store');
-        const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
-        store.createIndex('platform', 'platform', { unique: false });
-        store.createIndex('company', 'company', { unique: false });
-        store.createIndex('author', 'author', { unique: false });
-        store.createIndex('crawledAt', 'crawledAt', { unique: false });
-        store.createIndex('timestamp', 'timestamp', { unique: false });
-        console.log('[PostsDB] Store created with indexes');
+        const record = update(cursor.value);
+        if (record) {
+          cursor.update(record);
+          updated++;
+        }
+        cursor.continue();
       };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Move a (dotted) field to a new path. Lossy when the target already holds a value.
+  renameField(transaction, storeName, fromPath, toPath) {
+    return this.backfill(transaction, storeName, record => {
+      const value = PostsDB.getPath(record, fromPath);
+      if (value === undefined) return null;
+      
+      PostsDB.setPath(record, toPath, value);
+      PostsDB.deletePath(record, fromPath);
+      return record;
     });
   }
 
   async addPost(post) {
     if (!this.db) await this.init();
     
+    // The same post crawled from another page (or stored under an older
+    // content-based id) is matched by permalink and merged into that record
+    if (post.permalink) {
+      const existing = await this.getPostByPermalink(post.permalink);
+      if (existing && existing.id !== post.id) {
+        console.log(`[PostsDB] Permalink already stored as ${existing.id}, merging ${post.id} into it`);
+        return this.mergePost({ ...post, id: existing.id });
+      }
+    }
+    
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const transaction = this.db.transaction([this.storeName, this.snapshotStoreName], 'readwrite');
       const store = transaction.objectStore(this.storeName);
-      const request = store.add(post);
+      const request = store.add(PostsDB.touch(Engagement.attach(post), null));
       
-      request.onsuccess = () => resolve(request.result);
+      request.onsuccess = () => {
+        // First sighting starts the engagement curve
+        this.addSnapshot(transaction, post.id, post.platform, post.metrics, post.crawledAt);
+      };
       request.onerror = () => {
-        // If post already exists, update it
+        // If post already exists, merge the new sighting into it
         if (request.error.name === 'ConstraintError') {
-          this.updatePost(post).then(resolve).catch(reject);
+          this.mergePost(post).then(resolve).catch(reject);
         } else {
           reject(request.error);
         }
       };
+      transaction.oncomplete = () => resolve(request.result);
     });
   }
 
-  async updatePost(post) {
+  // Re-seen post: keep the latest data on the post, remember when it was first
+  // crawled and add a metrics snapshot instead of losing the earlier numbers
+  async mergePost(post) {
     if (!this.db) await this.init();
     
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const transaction = this.db.transaction([this.storeName, this.snapshotStoreName], 'readwrite');
       const store = transaction.objectStore(this.storeName);
-      const request = store.put(post);
+      const getRequest = store.get(post.id);
+      
+      getRequest.onsuccess = () => {
+        const existing = getRequest.result;
+        const seenAt = post.crawledAt || new Date().toISOString();
+        const merged = existing ? {
+          ...existing,
+          ...post,
+          crawledAt: existing.crawledAt,
+          lastSeenAt: seenAt
+        } : post;
+        
+        store.put(PostsDB.touch(Engagement.attach(merged), existing));
+        this.addSnapshot(transaction, merged.id, merged.platform, post.metrics, seenAt);
+      };
+      transaction.oncomplete = () => resolve(post.id);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Known post seen again during a crawl: update its metrics and snapshot them.
+  // `fields` (e.g. a newly found permalink) are copied onto the stored post.
+  // Resolves false when the post is not stored.
+  async recordSighting(postId, metrics, seenAt = new Date().toISOString(), fields = {}) {
+    if (!this.db) await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName, this.snapshotStoreName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const getRequest = store.get(postId);
+      let recorded = false;
+      
+      getRequest.onsuccess = () => {
+        const existing = getRequest.result;
+        if (!existing || !metrics) return;
+        
+        // A stored normalized timestamp is kept: the first sighting's "5h" is
+        // closer than a later one's "2w"
+        const update = { ...fields };
+        if (existing.timestampPrecision !== undefined) {
+          delete update.timestamp;
+          delete update.timestampRaw;
+          delete update.timestampPrecision;
+        }
+        store.put(PostsDB.touch(Engagement.attach({ ...existing, ...update, metrics: metrics, lastSeenAt: seenAt }), existing));
+        this.addSnapshot(transaction, postId, existing.platform, metrics, seenAt);
+        recorded = true;
+      };
+      transaction.oncomplete = () => resolve(recorded);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  addSnapshot(transaction, postId, platform, metrics, capturedAt) {
+    if (!metrics) return;
+    
+    transaction.objectStore(this.snapshotStoreName).put({
+      postId: postId,
+      platform: platform,
+      capturedAt: capturedAt || new Date().toISOString(),
+      metrics: metrics
+    });
+  }
+
+  // Snapshots of one post, oldest first
+  async getMetricSnapshots(postId) {
+    if (!this.db) await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.snapshotStoreName], 'readonly');
+      const store = transaction.objectStore(this.snapshotStoreName);
+      const request = store.getAll(PostsDB.snapshotRange(postId));
       
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
   }
 
+  async updatePost(post) {
+    if (!this.db) await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const getRequest = store.get(post.id);
+      let request;
+      
+      getRequest.onsuccess = () => {
+        request = store.put(PostsDB.touch(Engagement.attach(post), getRequest.result || null));
+      };
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   async getPost(id) {
     if (!this.db) await this.init();
     
@@ -93,6 +374,20 @@ class PostsDB {
     });
   }
 
+  async getPostByPermalink(permalink) {
+    if (!this.db) await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readonly');
+      const store = transaction.objectStore(this.storeName);
+      const index = store.index('permalink');
+      const request = index.get(permalink);
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   async getAllPosts() {
     if (!this.db) await this.init();
     
@@ -147,15 +442,10 @@ class PostsDB {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([this.storeName], 'readonly');
       const store = transaction.objectStore(this.storeName);
-      const request = store.getAll();
+      const index = store.index('platformCompany');
+      const request = index.getAll([platform, company]);
       
-      request.onsuccess = () => {
-        // Filter posts by both platform and company
-        const filteredPosts = request.result.filter(post => 
-          post.platform === platform && post.company === company
-        );
-        resolve(filteredPosts);
-      };
+      request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
   }
@@ -183,243 +473,815 @@ class PostsDB {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([this.storeName], 'readonly');
       const store = transaction.objectStore(this.storeName);
-      const request = store.getAll();
+      // Unique keys of the platform index, without loading any posts
+      const request = store.index('platform').openKeyCursor(null, 'nextunique');
+      const platforms = [];
       
       request.onsuccess = () => {
-        // Extract unique platforms
-        const platforms = [...new Set(request.result.map(post => post.platform).filter(Boolean))];
-        resolve(platforms.sort());
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(platforms.filter(Boolean).sort());
+          return;
+        }
+        platforms.push(cursor.key);
+        cursor.continue();
       };
       request.onerror = () => reject(request.error);
     });
   }
 
-  async getPostCount() {
+  // Distinct `postType` values, for the post type filter
+  async getAvailablePostTypes() {
     if (!this.db) await this.init();
     
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([this.storeName], 'readonly');
       const store = transaction.objectStore(this.storeName);
-      const request = store.count();
+      const request = store.index('postType').openKeyCursor(null, 'nextunique');
+      const postTypes = [];
       
-      request.onsuccess = () => resolve(request.result);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(postTypes.filter(Boolean).sort());
+          return;
+        }
+        postTypes.push(cursor.key);
+        cursor.continue();
+      };
       request.onerror = () => reject(request.error);
     });
   }
 
-  async deletePost(id) {
+  async getPostCount() {
     if (!this.db) await this.init();
     
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const transaction = this.db.transaction([this.storeName], 'readonly');
       const store = transaction.objectStore(this.storeName);
-      const request = store.delete(id);
+      const request = store.count();
       
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
   }
 
-  async clearAllPosts() {
+  // The index to walk for a filter: of the indexes that narrow it down, the one
+  // with the fewest posts in range. `covered` is true when the index range alone
+  // decides the filter, so counting needs no cursor.
+  async planQuery(filter) {
     if (!this.db) await this.init();
+    const candidates = PostsDB.indexCandidates(filter);
+    const criteria = PostsDB.filterCriteria(filter);
+    const plan = { index: null, range: null, covered: criteria.length === 0 };
+    if (candidates.length === 0) return plan;
     
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
-      const store = transaction.objectStore(this.storeName);
-      const request = store.clear();
-      
+    const store = this.db.transaction([this.storeName], 'readonly').objectStore(this.storeName);
+    const counts = await Promise.all(candidates.map(candidate => new Promise((resolve, reject) => {
+      const request = store.index(candidate.index).count(candidate.range);
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
-    });
+    })));
+    const best = candidates[counts.indexOf(Math.min(...counts))];
+    return {
+      index: best.index,
+      range: best.range,
+      covered: criteria.every(criterion => best.criteria.includes(criterion))
+    };
   }
 
-  async exportData(format = 'json') {
-    const posts = await this.getAllPosts();
-    console.log(`[PostsDB] Exporting ${posts.length} posts in ${format} format`);
-    
-    if (!posts || posts.length === 0) {
-      console.log('[PostsDB] No posts to export');
-      return null;
-    }
-    
-    // Generate intelligent filename based on current page and posts
-    const dateStr = new Date().toISOString().split('T')[0];
-    let filename = `social_media_posts_${dateStr}`;
+  // Number of posts matching an export filter (see PostsDB.exportFilter)
+  async countPosts(filter = {}) {
+    const plan = await this.planQuery(filter);
+    const matches = PostsDB.exportFilter(filter);
     
-    // Try to extract company/profile name from current page
-    const companyName = this.extractCompanyName();
-    if (companyName) {
-      filename = `${dateStr}_${companyName}`;
-    }
+    return new Promise((resolve, reject) => {
+      const store = this.db.transaction([this.storeName], 'readonly').objectStore(this.storeName);
+      const source = plan.index ? store.index(plan.index) : store;
+      let request;
+      if (plan.covered) {
+        request = source.count(plan.range);
+        request.onsuccess = () => resolve(request.result);
+      } else {
+        // Walk the planned index range and test the rest of the filter on each post
+        let count = 0;
+        request = source.openCursor(plan.range);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(count);
+            return;
+          }
+          if (matches(cursor.value)) count++;
+          cursor.continue();
+        };
+      }
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Up to `limit` posts matching `filter`, starting after `position` (null for
+  // the first page). Each call is one short transaction, so an export can page
+  // through the store between writes instead of loading every post at once.
+  // Returns the `position` to pass for the next page, and `done` once the cursor
+  // ran past the last post. With `includeHistory` each post gets its
+  // `engagementHistory` of metric snapshots.
+  async readPostsAfter(position, limit, filter = {}, includeHistory = false) {
+    // The first page picks the index; later pages keep walking the same one
+    const plan = position ? position : await this.planQuery(filter);
+    const matches = PostsDB.exportFilter(filter);
     
-    // Add platform info if posts are from single platform
-    const platforms = [...new Set(posts.map(post => post.platform))];
-    if (platforms.length === 1) {
-      const platform = platforms[0];
-      if (companyName) {
-        filename = `${dateStr}_${companyName}_${platform}`;
+    return new Promise((resolve, reject) => {
+      const storeNames = includeHistory ? [this.storeName, this.snapshotStoreName] : [this.storeName];
+      const transaction = this.db.transaction(storeNames, 'readonly');
+      const store = transaction.objectStore(this.storeName);
+      let request;
+      if (plan.index) {
+        request = store.index(plan.index).openCursor(plan.range);
       } else {
-        filename = `${dateStr}_${platform}_posts`;
+        const range = position && position.primaryKey !== undefined ? IDBKeyRange.lowerBound(position.primaryKey, true) : null;
+        request = store.openCursor(range);
       }
+      const posts = [];
+      let next = position || { index: plan.index, range: plan.range };
+      let resumeFrom = plan.index && position && position.primaryKey !== undefined ? position : null;
+      let done = false;
+      
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          done = true;
+          return;
+        }
+        
+        // Index cursors restart at the top of the range; skip to just past the last page
+        if (resumeFrom) {
+          const order = indexedDB.cmp(cursor.key, resumeFrom.key) || indexedDB.cmp(cursor.primaryKey, resumeFrom.primaryKey);
+          if (order < 0) {
+            cursor.continuePrimaryKey(resumeFrom.key, resumeFrom.primaryKey);
+            return;
+          }
+          if (order === 0) {
+            cursor.continue();
+            return;
+          }
+          resumeFrom = null;
+        }
+        
+        next = { index: plan.index, range: plan.range, key: cursor.key, primaryKey: cursor.primaryKey };
+        const post = cursor.value;
+        if (matches(post)) {
+          posts.push(post);
+          if (includeHistory) {
+            const history = transaction.objectStore(this.snapshotStoreName).getAll(PostsDB.snapshotRange(post.id));
+            history.onsuccess = () => {
+              post.engagementHistory = history.result.map(snapshot => ({
+                capturedAt: snapshot.capturedAt,
+                metrics: snapshot.metrics
+              }));
+            };
+          }
+        }
+        if (posts.length < limit) cursor.continue();
+      };
+      transaction.oncomplete = () => resolve({ posts: posts, position: next, done: done });
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Merge imported posts (see post-import.js) by id in one transaction. With the
+  // 'newest' strategy the copy seen last wins, the other fills in fields it lacks,
+  // and imported engagement history is added to the snapshots; with 'existing'
+  // stored posts are left as they are. Resolves { added, updated, kept, rejected }.
+  async importPosts(posts, strategy = 'newest') {
+    if (!this.db) await this.init();
+    if (!PostImport.STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown import strategy "${strategy}"`);
     }
+    const result = { added: 0, updated: 0, kept: 0, rejected: [] };
     
-    // Add post count
-    filename += `_${posts.length}posts`;
-    
-    switch (format.toLowerCase()) {
-      case 'json':
-        return {
-          data: JSON.stringify(posts, null, 2),
-          filename: `${filename}.json`,
-          type: 'application/json'
-        };
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName, this.snapshotStoreName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
       
-      case 'csv':
-        const csvHeader = 'ID,Platform,Author Name,Author Handle,Text,Timestamp,URL,Crawled At,Likes,Retweets,Replies,Views\n';
-        const csvRows = posts.map(post => {
-          const text = (post.text || '').replace(/"/g, '""').replace(/\n/g, ' ');
-          const authorName = (post.author?.name || '').replace(/"/g, '""');
-          const authorHandle = (post.author?.handle || '').replace(/"/g, '""');
-          const likes = post.metrics?.likes || 0;
-          const retweets = post.metrics?.retweets || post.metrics?.shares || 0; // Use shares for TikTok
-          const replies = post.metrics?.replies || post.metrics?.comments || 0; // Use comments for TikTok
-          const views = post.metrics?.views || 0;
-          return `"${post.id}","${post.platform}","${authorName}","${authorHandle}","${text}","${post.timestamp}","${post.url}","${post.crawledAt}","${likes}","${retweets}","${replies}","${views}"`;
-        }).join('\n');
+      posts.forEach(incoming => {
+        const reason = PostImport.validate(incoming);
+        if (reason) {
+          result.rejected.push({ id: incoming && typeof incoming.id === 'string' ? incoming.id : null, reason: reason });
+          return;
+        }
         
-        return {
-          data: csvHeader + csvRows,
-          filename: `${filename}.csv`,
-          type: 'text/csv'
+        const { engagementHistory, updatedAt, ...post } = PostImport.normalize(incoming);
+        const getRequest = store.get(post.id);
+        getRequest.onsuccess = () => {
+          const existing = getRequest.result;
+          if (existing && strategy === 'existing') {
+            result.kept++;
+            return;
+          }
+          
+          let merged = post;
+          if (existing) {
+            const seen = record => record.lastSeenAt || record.crawledAt;
+            const newer = seen(post) > seen(existing);
+            merged = newer ? { ...existing, ...post } : { ...post, ...existing };
+            merged.crawledAt = post.crawledAt < existing.crawledAt ? post.crawledAt : existing.crawledAt;
+            if (newer) merged.lastSeenAt = seen(post);
+          }
+          const stored = PostsDB.touch(Engagement.attach(merged), existing || null);
+          store.put(stored);
+          if (!existing) {
+            result.added++;
+          } else if (stored.updatedAt !== existing.updatedAt) {
+            result.updated++;
+          } else {
+            result.kept++;
+          }
+          
+          (engagementHistory || []).forEach(snapshot => {
+            if (snapshot && snapshot.capturedAt && snapshot.metrics) {
+              this.addSnapshot(transaction, post.id, post.platform, snapshot.metrics, snapshot.capturedAt);
+            }
+          });
+          this.addSnapshot(transaction, post.id, post.platform, post.metrics, post.lastSeenAt || post.crawledAt);
         };
+      });
+      transaction.oncomplete = () => {
+        console.log(`[PostsDB] Imported ${posts.length} posts (${strategy}): ${result.added} added, ${result.updated} updated, ${result.kept} kept, ${result.rejected.length} rejected`);
+        resolve(result);
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Remember a finished export; its `watermark` is where the next incremental
+  // export of the same filter (`scope`, see PostsDB.filterKey) starts
+  async recordExport(record) {
+    if (!this.db) await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.exportStoreName], 'readwrite');
+      const request = transaction.objectStore(this.exportStoreName).put(record);
       
-      default:
-        throw new Error('Unsupported export format');
-    }
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
   }
 
-  async exportFilteredData(format = 'json', platformFilter = 'all', companyFilter = 'all') {
-    console.log(`[PostsDB] Exporting filtered data - format: ${format}, platform: ${platformFilter}, company: ${companyFilter}`);
+  // Latest recorded export of a filter scope, or null
+  async getLastExport(scope) {
+    if (!this.db) await this.init();
     
-    let posts = [];
-    
-    // Apply filters to get the right posts
-    if (platformFilter === 'all' && companyFilter === 'all') {
-      posts = await this.getAllPosts();
-    } else if (platformFilter !== 'all' && companyFilter === 'all') {
-      posts = await this.getPostsByPlatform(platformFilter);
-    } else if (platformFilter === 'all' && companyFilter !== 'all') {
-      posts = await this.getPostsByCompany(companyFilter);
-    } else if (platformFilter !== 'all' && companyFilter !== 'all') {
-      posts = await this.getPostsByPlatformAndCompany(platformFilter, companyFilter);
-    }
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.exportStoreName], 'readonly');
+      const index = transaction.objectStore(this.exportStoreName).index('scope');
+      const request = index.getAll(scope);
+      
+      request.onsuccess = () => {
+        const latest = request.result.reduce((last, record) => !last || record.watermark > last.watermark ? record : last, null);
+        resolve(latest);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deletePost(id) {
+    if (!this.db) await this.init();
     
-    console.log(`[PostsDB] Found ${posts.length} posts matching filters`);
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName, this.snapshotStoreName], 'readwrite');
+      transaction.objectStore(this.storeName).delete(id);
+      transaction.objectStore(this.snapshotStoreName).delete(PostsDB.snapshotRange(id));
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async clearAllPosts() {
+    if (!this.db) await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName, this.snapshotStoreName], 'readwrite');
+      transaction.objectStore(this.storeName).clear();
+      transaction.objectStore(this.snapshotStoreName).clear();
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async exportData(format = 'json') {
+    // The database lives in the background, where there is no page to name the
+    // file after, so this is the unfiltered export
+    return this.exportFilteredData(format);
+  }
+
+  // The whole export as one string, for small exports and scripts. The control
+  // panel streams its exports chunk by chunk instead (see post-export.js).
+  async exportFilteredData(format = 'json', platformFilter = 'all', companyFilter = 'all', options = {}) {
+    console.log(`[PostsDB] Exporting filtered data - format: ${format}, platform: ${platformFilter}, company: ${companyFilter}`);
     
-    if (!posts || posts.length === 0) {
+    // options.filter takes the criteria beyond platform and company (see PostsDB.exportFilter)
+    const postExport = new PostExport(this, { format, platformFilter, companyFilter, filter: options.filter, options });
+    const { total, filename, type } = await postExport.start();
+    if (total === 0) {
       console.log('[PostsDB] No posts to export with current filters');
       return null;
     }
     
-    // Generate intelligent filename based on filters and current page
-    const dateStr = new Date().toISOString().split('T')[0];
-    let filename = `social_media_posts_${dateStr}`;
-    
-    // Add platform info if filtering by platform
-    if (platformFilter !== 'all') {
-      filename = `${dateStr}_${platformFilter}`;
+    const parts = [];
+    let part;
+    while ((part = await postExport.next()) !== null) {
+      parts.push(part);
     }
-    
-    // Add company info if filtering by company
-    if (companyFilter !== 'all') {
-      if (platformFilter !== 'all') {
-        filename = `${dateStr}_${companyFilter}_${platformFilter}`;
-      } else {
-        filename = `${dateStr}_${companyFilter}`;
+    // With options.incremental the export is recorded once the data is complete
+    const manifest = await postExport.finish(filename);
+    // Binary formats (XLSX) come back base64-encoded, so they survive messaging
+    if (postExport.format.binary) {
+      return { data: PostExport.toBase64(ZipStream.concat(parts)), encoding: 'base64', filename: filename, type: type, manifest: manifest };
+    }
+    return { data: parts.join(''), filename: filename, type: type, manifest: manifest };
+  }
+}
+
+// Dotted-path helpers shared by migrations
+PostsDB.getPath = function(record, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+};
+
+PostsDB.setPath = function(record, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => {
+    if (node[key] == null || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, record);
+  target[last] = value;
+};
+
+PostsDB.deletePath = function(record, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => (node == null ? undefined : node[key]), record);
+  if (target != null) delete target[last];
+};
+
+// A backup as pieces of JSON, a slice of records each, so the file never has to
+// be built as one string
+PostsDB.backupParts = function(backup) {
+  const { stores, ...header } = backup;
+  const parts = [`${JSON.stringify(header).slice(0, -1)},"stores":{`];
+  Object.entries(stores).forEach(([storeName, records], storeIndex) => {
+    parts.push(`${storeIndex > 0 ? ',' : ''}${JSON.stringify(storeName)}:[`);
+    for (let start = 0; start < records.length; start += PostsDB.BACKUP_SLICE_SIZE) {
+      const slice = records.slice(start, start + PostsDB.BACKUP_SLICE_SIZE).map(record => JSON.stringify(record));
+      parts.push(`${start > 0 ? ',' : ''}${slice.join(',\n')}`);
+    }
+    parts.push(']');
+  });
+  parts.push('}}\n');
+  return parts;
+};
+PostsDB.BACKUP_SLICE_SIZE = 500;
+
+// Resolves once a download has completed, failed or been cancelled
+PostsDB.downloadFinished = function(downloadId) {
+  return new Promise(resolve => {
+    const finish = () => {
+      chrome.downloads.onChanged.removeListener(listener);
+      resolve();
+    };
+    const listener = delta => {
+      if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') finish();
+    };
+    chrome.downloads.onChanged.addListener(listener);
+    // It may already be over before the listener was added
+    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+      if (!item || item.state !== 'in_progress') finish();
+    });
+  });
+};
+PostsDB.BLOB_PORT_NAME = 'offscreenBlob';
+
+// Schema migrations, applied in version order by init(). Each step upgrades
+// existing records in place; mark a step `lossy: true` when it can overwrite or
+// drop data (e.g. renaming onto an existing field) so init() saves a backup file first.
+// Helpers available on `postsDB`: ensureIndex, backfill, renameField.
+PostsDB.MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create posts store',
+    migrate(db, transaction, postsDB) {
+      if (!db.objectStoreNames.contains('posts')) {
+        db.createObjectStore('posts', { keyPath: 'id' });
       }
+      postsDB.ensureIndex(transaction, 'posts', 'platform', 'platform');
+      postsDB.ensureIndex(transaction, 'posts', 'author', 'author');
+      postsDB.ensureIndex(transaction, 'posts', 'crawledAt', 'crawledAt');
+      postsDB.ensureIndex(transaction, 'posts', 'timestamp', 'timestamp');
     }
-    
-    // Add post count
-    filename += `_${posts.length}posts`;
-    
-    switch (format.toLowerCase()) {
-      case 'json':
-        return {
-          data: JSON.stringify(posts, null, 2),
-          filename: `${filename}.json`,
-          type: 'application/json'
-        };
-      
-      case 'csv':
-        const csvHeader = 'ID,Platform,Company,Author Name,Author Handle,Text,Timestamp,URL,Crawled At,Likes,Retweets,Replies,Views,Suggested Filename,Actual Filename,Download Method\n';
-        const csvRows = posts.map(post => {
-          const text = (post.text || '').replace(/"/g, '""').replace(/\n/g, ' ');
-          const authorName = (post.author?.name || '').replace(/"/g, '""');
-          const authorHandle = (post.author?.handle || '').replace(/"/g, '""');
-          const company = (post.company || '').replace(/"/g, '""');
-          const likes = post.metrics?.likes || 0;
-          const retweets = post.metrics?.retweets || post.metrics?.shares || 0; // Use shares for TikTok
-          const replies = post.metrics?.replies || post.metrics?.comments || 0; // Use comments for TikTok
-          const views = post.metrics?.views || 0;
-          const suggestedFilename = (post.suggestedFilename || '').replace(/"/g, '""');
-          const actualFilename = (post.actualFilename || '').replace(/"/g, '""');
-          const downloadMethod = (post.downloadMethod || '').replace(/"/g, '""');
-          return `"${post.id}","${post.platform}","${company}","${authorName}","${authorHandle}","${text}","${post.timestamp}","${post.url}","${post.crawledAt}","${likes}","${retweets}","${replies}","${views}","${suggestedFilename}","${actualFilename}","${downloadMethod}"`;
-        }).join('\n');
-        
-        return {
-          data: csvHeader + csvRows,
-          filename: `${filename}.csv`,
-          type: 'text/csv'
-        };
-      
-      default:
-        throw new Error('Unsupported export format');
+  },
+  {
+    version: 3,
+    description: 'Add company index',
+    migrate(db, transaction, postsDB) {
+      postsDB.ensureIndex(transaction, 'posts', 'company', 'company');
+    }
+  },
+  {
+    version: 4,
+    description: 'Add metric snapshots store seeded with current metrics',
+    migrate(db, transaction, postsDB) {
+      if (!db.objectStoreNames.contains('metricSnapshots')) {
+        db.createObjectStore('metricSnapshots', { keyPath: ['postId', 'capturedAt'] });
+      }
+      return postsDB.backfill(transaction, 'posts', post => {
+        postsDB.addSnapshot(transaction, post.id, post.platform, post.metrics, post.crawledAt);
+        return null;
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Add permalink index and keep the crawled page URL as sourceUrl',
+    migrate(db, transaction, postsDB) {
+      postsDB.ensureIndex(transaction, 'posts', 'permalink', 'permalink');
+      // Older posts only have the page URL; they get a permalink when next crawled
+      return postsDB.backfill(transaction, 'posts', post => {
+        if (post.sourceUrl || !post.url) return null;
+        post.sourceUrl = post.url;
+        return post;
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Add the cross-platform engagement object to every post',
+    migrate(db, transaction, postsDB) {
+      return postsDB.backfill(transaction, 'posts', post => Engagement.attach(post));
+    }
+  },
+  {
+    version: 7,
+    description: 'Add indexes for the export filters',
+    migrate(db, transaction, postsDB) {
+      postsDB.ensureIndex(transaction, 'posts', 'platformCompany', ['platform', 'company']);
+      postsDB.ensureIndex(transaction, 'posts', 'postType', 'postType');
+      postsDB.ensureIndex(transaction, 'posts', 'reactions', 'engagement.reactions');
+      postsDB.ensureIndex(transaction, 'posts', 'views', 'engagement.views');
+    }
+  },
+  {
+    version: 8,
+    description: 'Track when posts last changed, and keep a log of exports',
+    migrate(db, transaction, postsDB) {
+      if (!db.objectStoreNames.contains('exports')) {
+        db.createObjectStore('exports', { keyPath: 'id' });
+      }
+      postsDB.ensureIndex(transaction, 'exports', 'scope', 'scope');
+      postsDB.ensureIndex(transaction, 'posts', 'updatedAt', 'updatedAt');
+      return postsDB.backfill(transaction, 'posts', post => {
+        if (post.updatedAt) return null;
+        post.updatedAt = post.lastSeenAt || post.crawledAt || new Date().toISOString();
+        return post;
+      });
+    }
+  },
+  {
+    version: 9,
+    description: 'Normalize timestamps stored as the text the page showed',
+    migrate(db, transaction, postsDB) {
+      // The text is kept as timestampRaw, and relative times ("2w") resolve
+      // against when the post was crawled, as they did for the crawler
+      return postsDB.backfill(transaction, 'posts', post => {
+        if (post.timestampPrecision !== undefined) return null;
+        const previous = { ...post };
+        Object.assign(post, Timestamps.normalize(post.timestamp, post.crawledAt || new Date()));
+        return PostsDB.touch(post, previous);
+      });
+    }
+  },
+  {
+    version: 10,
+    description: 'Clear metrics stored as placeholders for counts the page did not show',
+    // Turns stored zeros into null, so keep a backup of the counts as they were
+    lossy: true,
+    migrate(db, transaction, postsDB) {
+      // 'NA' and the zeros filled in for missing counts become null. A count the
+      // crawler read has a metricsExact entry; Twitter bookmarks were only ever
+      // a 1/0 flag for the button, so without metricsExact they are cleared too.
+      return postsDB.backfill(transaction, 'posts', post => {
+        if (!post.metrics || !PostsDB.PLACEHOLDER_METRIC_PLATFORMS.includes(post.platform)) return null;
+        const previous = { ...post, metrics: { ...post.metrics } };
+        let cleared = false;
+        Object.keys(post.metrics).forEach(key => {
+          const unread = post.metricsExact
+            ? post.metricsExact[key] === undefined
+            : post.platform === 'twitter' && key === 'bookmarks';
+          if (post.metrics[key] !== null && (typeof post.metrics[key] !== 'number' || unread)) {
+            post.metrics[key] = null;
+            cleared = true;
+          }
+        });
+        return cleared ? PostsDB.touch(Engagement.attach(post), previous) : null;
+      });
     }
   }
+];
 
-  // Extract company/profile name from current page
-  extractCompanyName() {
-    try {
-      // For Twitter/X - try different methods to get profile name
-      if (window.location.hostname.includes('x.com') || window.location.hostname.includes('twitter.com')) {
-        // Method 1: From URL path (e.g., /Routific -> Routific)
-        const pathMatch = window.location.pathname.match(/^\/([^\/]+)/);
-        if (pathMatch && pathMatch[1] && pathMatch[1] !== 'home' && pathMatch[1] !== 'search') {
-          return pathMatch[1];
-        }
-        
-        // Method 2: From page title
-        const titleMatch = document.title.match(/^(.+?)\s*(?:\(.*?\))?\s*(?:\/|on|•|Twitter|X)/);
-        if (titleMatch && titleMatch[1]) {
-          return titleMatch[1].replace(/[^a-zA-Z0-9_]/g, '');
-        }
-        
-        // Method 3: From profile name in DOM
-        const profileName = document.querySelector('[data-testid="UserName"] span');
-        if (profileName && profileName.textContent) {
-          return profileName.textContent.replace(/[^a-zA-Z0-9_]/g, '');
-        }
+// Platforms whose crawlers stored placeholders before migration 10
+PostsDB.PLACEHOLDER_METRIC_PLATFORMS = ['twitter', 'tiktok', 'instagram'];
+
+// Post about to be stored, with `updatedAt` set to now when it is new or differs
+// from `previous` in more than when and where it was seen. Incremental exports
+// pick up posts by `updatedAt`.
+PostsDB.touch = function(post, previous) {
+  const comparable = record => JSON.stringify(record, (key, value) => PostsDB.UNTRACKED_FIELDS.includes(key) ? undefined : value);
+  const unchanged = previous && previous.updatedAt && comparable(post) === comparable(previous);
+  post.updatedAt = unchanged ? previous.updatedAt : new Date().toISOString();
+  return post;
+};
+PostsDB.UNTRACKED_FIELDS = ['crawledAt', 'lastSeenAt', 'updatedAt', 'extractedAt', 'sourceUrl'];
+
+// Export filters. Every field is optional; 'all' or empty means any:
+//   platform, company       exact match
+//   noPlatform              true for posts without a platform (e.g. imported ones)
+//   dateField, from, to     'crawled' (crawledAt) or 'posted' (timestamp) between two
+//                           YYYY-MM-DD dates, both included (UTC)
+//   author                  author handle, with or without @, or part of the author name
+//   text, textRegex         text or title containing `text`, or matching it as a regex
+//   postType                the post's `postType`
+//   flag                    'isRetweet', 'isReply' or 'isSponsored'
+//   minLikes, minViews      engagement.reactions / engagement.views at least this
+//   since                   new or changed at or after this ISO time (`updatedAt`)
+PostsDB.FLAGS = ['isRetweet', 'isReply', 'isSponsored'];
+
+// The filter fields in use, by criterion
+PostsDB.filterCriteria = function(filter = {}) {
+  const set = value => value !== undefined && value !== null && value !== '' && value !== 'all';
+  const criteria = [];
+  if (set(filter.platform)) criteria.push('platform');
+  if (set(filter.company)) criteria.push('company');
+  if (filter.noPlatform === true) criteria.push('noPlatform');
+  if (set(filter.from) || set(filter.to)) criteria.push('date');
+  if (set(filter.author)) criteria.push('author');
+  if (set(filter.text)) criteria.push('text');
+  if (set(filter.postType)) criteria.push('postType');
+  if (set(filter.flag)) criteria.push('flag');
+  if (set(filter.minLikes) && Number.isFinite(Number(filter.minLikes))) criteria.push('minLikes');
+  if (set(filter.minViews) && Number.isFinite(Number(filter.minViews))) criteria.push('minViews');
+  if (set(filter.since)) criteria.push('since');
+  return criteria;
+};
+
+// Indexes that can narrow a filter down, with the criteria each range decides
+PostsDB.indexCandidates = function(filter = {}) {
+  const criteria = PostsDB.filterCriteria(filter);
+  const candidates = [];
+  if (criteria.includes('platform') && criteria.includes('company')) {
+    candidates.push({ index: 'platformCompany', range: IDBKeyRange.only([filter.platform, filter.company]), criteria: ['platform', 'company'] });
+  } else if (criteria.includes('platform')) {
+    candidates.push({ index: 'platform', range: IDBKeyRange.only(filter.platform), criteria: ['platform'] });
+  } else if (criteria.includes('company')) {
+    candidates.push({ index: 'company', range: IDBKeyRange.only(filter.company), criteria: ['company'] });
+  }
+  if (criteria.includes('date')) {
+    const [from, to] = PostsDB.dateBounds(filter);
+    const range = from && to ? IDBKeyRange.bound(from, to) : from ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to);
+    candidates.push({ index: filter.dateField === 'posted' ? 'timestamp' : 'crawledAt', range: range, criteria: ['date'] });
+  }
+  if (criteria.includes('postType')) {
+    candidates.push({ index: 'postType', range: IDBKeyRange.only(filter.postType), criteria: ['postType'] });
+  }
+  if (criteria.includes('minLikes')) {
+    candidates.push({ index: 'reactions', range: IDBKeyRange.lowerBound(Number(filter.minLikes)), criteria: ['minLikes'] });
+  }
+  if (criteria.includes('minViews')) {
+    candidates.push({ index: 'views', range: IDBKeyRange.lowerBound(Number(filter.minViews)), criteria: ['minViews'] });
+  }
+  if (criteria.includes('since')) {
+    candidates.push({ index: 'updatedAt', range: IDBKeyRange.lowerBound(filter.since), criteria: ['since'] });
+  }
+  return candidates;
+};
+
+// ISO timestamp bounds of the date range; the end date includes its whole day
+PostsDB.dateBounds = function(filter) {
+  return [filter.from || null, filter.to ? `${filter.to}\uffff` : null];
+};
+
+// Predicate for an export filter. Throws if `text` is an invalid regex.
+PostsDB.exportFilter = function(filter = {}) {
+  const criteria = PostsDB.filterCriteria(filter);
+  const tests = [];
+  if (criteria.includes('platform')) tests.push(post => post.platform === filter.platform);
+  if (criteria.includes('company')) tests.push(post => post.company === filter.company);
+  if (criteria.includes('noPlatform')) tests.push(post => !post.platform);
+  if (criteria.includes('date')) {
+    const [from, to] = PostsDB.dateBounds(filter);
+    const field = filter.dateField === 'posted' ? 'timestamp' : 'crawledAt';
+    tests.push(post => typeof post[field] === 'string' && (!from || post[field] >= from) && (!to || post[field] <= to));
+  }
+  if (criteria.includes('author')) {
+    const query = String(filter.author).trim().replace(/^@/, '').toLowerCase();
+    tests.push(post => {
+      const handle = String(post.author?.handle || '').replace(/^@/, '').toLowerCase();
+      const name = String(post.author?.name || '').toLowerCase();
+      return handle === query || name.includes(query);
+    });
+  }
+  if (criteria.includes('text')) {
+    const matchText = filter.textRegex
+      ? (pattern => text => pattern.test(text))(new RegExp(filter.text, 'i'))
+      : (query => text => text.toLowerCase().includes(query))(String(filter.text).toLowerCase());
+    tests.push(post => matchText(post.text || '') || (!!post.title && matchText(post.title)));
+  }
+  if (criteria.includes('postType')) tests.push(post => post.postType === filter.postType);
+  if (criteria.includes('flag')) tests.push(post => post[filter.flag] === true);
+  if (criteria.includes('minLikes')) tests.push(post => (post.engagement?.reactions ?? -1) >= Number(filter.minLikes));
+  if (criteria.includes('minViews')) tests.push(post => (post.engagement?.views ?? -1) >= Number(filter.minViews));
+  if (criteria.includes('since')) tests.push(post => typeof post.updatedAt === 'string' && post.updatedAt >= filter.since);
+  return post => tests.every(test => test(post));
+};
+
+// Short description of the criteria beyond platform and company, e.g. for a report header
+PostsDB.describeFilter = function(filter = {}) {
+  const criteria = PostsDB.filterCriteria(filter);
+  const parts = [];
+  if (criteria.includes('date')) {
+    parts.push(`${filter.dateField === 'posted' ? 'posted' : 'crawled'} ${filter.from || '…'} – ${filter.to || '…'}`);
+  }
+  if (criteria.includes('author')) parts.push(`author ${filter.author}`);
+  if (criteria.includes('text')) parts.push(filter.textRegex ? `text matching /${filter.text}/` : `text containing "${filter.text}"`);
+  if (criteria.includes('postType')) parts.push(`type ${filter.postType}`);
+  if (criteria.includes('flag')) parts.push({ isRetweet: 'retweets', isReply: 'replies', isSponsored: 'sponsored' }[filter.flag] || filter.flag);
+  if (criteria.includes('minLikes')) parts.push(`≥ ${filter.minLikes} likes`);
+  if (criteria.includes('minViews')) parts.push(`≥ ${filter.minViews} views`);
+  if (criteria.includes('since')) parts.push(`new or changed since ${filter.since}`);
+  return parts;
+};
+
+// Identifies what a filter selects, ignoring `since`; incremental exports continue
+// from the last export with the same key
+PostsDB.filterKey = function(filter = {}) {
+  const criteria = PostsDB.filterCriteria(filter);
+  const key = {};
+  if (criteria.includes('platform')) key.platform = filter.platform;
+  if (criteria.includes('company')) key.company = filter.company;
+  if (criteria.includes('date')) {
+    key.dateField = filter.dateField === 'posted' ? 'posted' : 'crawled';
+    key.from = filter.from || null;
+    key.to = filter.to || null;
+  }
+  if (criteria.includes('author')) key.author = filter.author;
+  if (criteria.includes('text')) {
+    key.text = filter.text;
+    key.textRegex = !!filter.textRegex;
+  }
+  if (criteria.includes('postType')) key.postType = filter.postType;
+  if (criteria.includes('flag')) key.flag = filter.flag;
+  if (criteria.includes('minLikes')) key.minLikes = Number(filter.minLikes);
+  if (criteria.includes('minViews')) key.minViews = Number(filter.minViews);
+  return JSON.stringify(key);
+};
+
+// Key range covering every snapshot of one post ([postId, capturedAt] keys;
+// arrays sort after strings, so [postId, []] is past any timestamp)
+PostsDB.snapshotRange = function(postId) {
+  return IDBKeyRange.bound([postId], [postId, []]);
+};
+
+// Methods the background service worker exposes to content scripts and the popup
+PostsDB.REMOTE_METHODS = [
+  'addPost',
+  'updatePost',
+  'mergePost',
+  'recordSighting',
+  'getMetricSnapshots',
+  'getPost',
+  'getPostByPermalink',
+  'getAllPosts',
+  'getPostsByPlatform',
+  'getPostsByCompany',
+  'getPostsByPlatformAndCompany',
+  'getAvailableCompanies',
+  'getAvailablePlatforms',
+  'getAvailablePostTypes',
+  'getPostCount',
+  'countPosts',
+  'getLastExport',
+  'deletePost',
+  'clearAllPosts',
+  'importPosts',
+  'exportData',
+  'exportFilteredData'
+];
+
+// Message-based proxy used by content scripts and the popup. The real database
+// lives in the background service worker so posts from every site end up in one
+// store instead of one IndexedDB per site origin.
+class PostsDBClient {
+  constructor() {
+    this.dbName = 'SocialMediaCrawler';
+    this.initPromise = null;
+    console.log('[PostsDBClient] Constructor called');
+  }
+
+  async init() {
+    if (!this.initPromise) {
+      this.initPromise = this.importLegacyOriginPosts().catch(error => {
+        console.warn('[PostsDBClient] Legacy post import failed:', error);
+        this.initPromise = null;
+      });
+    }
+    return this.initPromise;
+  }
+
+  // Forward a PostsDB call to the background service worker
+  call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      try {
+        chrome.runtime.sendMessage({ action: 'postsDB', method: method, args: args }, (response) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+            return;
+          }
+          if (!response || !response.success) {
+            reject(new Error(response?.error || `PostsDB.${method} failed`));
+            return;
+          }
+          resolve(response.result);
+        });
+      } catch (error) {
+        // Extension context invalidated (extension reloaded while the page stayed open)
+        reject(error);
       }
-      
-      // For LinkedIn
-      if (window.location.hostname.includes('linkedin.com')) {
-        // From URL or page title
-        const titleMatch = document.title.match(/^(.+?)\s*[\|\-]/);
-        if (titleMatch && titleMatch[1]) {
-          return titleMatch[1].replace(/[^a-zA-Z0-9_]/g, '');
+    });
+  }
+
+  // Posts crawled before the database moved to the background were stored under
+  // the site's own origin. Copy them into the shared store once, then drop the old copy.
+  async importLegacyOriginPosts() {
+    if (!window.location.protocol.startsWith('http') || !indexedDB.databases) {
+      return 0;
+    }
+    
+    const databases = await indexedDB.databases();
+    if (!databases.some(info => info.name === this.dbName)) {
+      return 0;
+    }
+    
+    const legacyPosts = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('posts')) {
+          db.close();
+          resolve([]);
+          return;
         }
-      }
-      
-      return null;
-    } catch (error) {
-      console.warn('[PostsDB] Error extracting company name:', error);
-      return null;
+        const getAll = db.transaction(['posts'], 'readonly').objectStore('posts').getAll();
+        getAll.onsuccess = () => {
+          db.close();
+          resolve(getAll.result);
+        };
+        getAll.onerror = () => {
+          db.close();
+          reject(getAll.error);
+        };
+      };
+    });
+    
+    console.log(`[PostsDBClient] Moving ${legacyPosts.length} posts from ${window.location.hostname} into the shared database`);
+    for (const post of legacyPosts) {
+      await this.addPost(post);
     }
+    
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(this.dbName);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => resolve();
+    });
+    
+    return legacyPosts.length;
   }
 }
 
-// Create global instance
-if (!window.postsDB) {
-  window.postsDB = new PostsDB();
+PostsDB.REMOTE_METHODS.forEach(method => {
+  PostsDBClient.prototype[method] = function(...args) {
+    return this.call(method, ...args);
+  };
+});
+
+// Create global instance: the service worker owns the database, extension pages
+// and content scripts get the proxy. Outside the extension (no chrome.runtime)
+// fall back to a page-local database.
+if (typeof window === 'undefined') {
+  self.postsDB = new PostsDB();
+} else if (!window.postsDB) {
+  const hasExtensionRuntime = typeof chrome !== 'undefined' && !!chrome.runtime?.id;
+  window.postsDB = hasExtensionRuntime ? new PostsDBClient() : new PostsDB();
 }
\ No newline at end of file
@@ -0,0 +1,74 @@
+// Cross-platform engagement: every platform names its counts differently (Twitter
+// `retweets`, LinkedIn `reposts`, TikTok `collects`, Reddit `score`), so each stored
+// post also gets an `engagement` object with the same five counts everywhere:
+// reactions, comments, reshares, views and saves. The platform's own `metrics`
+// are kept as they are. A count the platform doesn't show is null, not 0, so
+// averages across networks aren't dragged down by counts that were never there.
+class Engagement {
+  // Canonical engagement for a stored post, from its metrics and audience
+  static compute(post) {
+    const fields = Engagement.FIELDS[post.platform] || Engagement.FIELDS.default;
+    const metrics = post.metrics || {};
+    const engagement = {};
+    let exact = true;
+
+    Object.entries(fields).forEach(([name, keys]) => {
+      const present = keys.filter(key => typeof metrics[key] === 'number' && Number.isFinite(metrics[key]));
+      engagement[name] = present.length > 0 ? present.reduce((sum, key) => sum + metrics[key], 0) : null;
+      if (present.some(key => post.metricsExact && post.metricsExact[key] === false)) exact = false;
+    });
+
+    // Interactions; views are reach, not engagement
+    const interactions = ['reactions', 'comments', 'reshares', 'saves']
+      .filter(name => engagement[name] !== null);
+    engagement.total = interactions.length > 0
+      ? interactions.reduce((sum, name) => sum + engagement[name], 0)
+      : null;
+
+    // Rate per view where the platform shows views, otherwise per follower
+    const followers = Engagement.followersOf(post);
+    engagement.followers = followers;
+    engagement.rate = null;
+    engagement.rateBasis = null;
+    if (engagement.total !== null && engagement.views > 0) {
+      engagement.rate = Engagement.round(engagement.total / engagement.views);
+      engagement.rateBasis = 'views';
+    } else if (engagement.total !== null && followers > 0) {
+      engagement.rate = Engagement.round(engagement.total / followers);
+      engagement.rateBasis = 'followers';
+    }
+
+    engagement.exact = exact;
+    return engagement;
+  }
+
+  // The author's own follower count when the site reported it, otherwise that of
+  // the profile or page the post was crawled from
+  static followersOf(post) {
+    const candidates = [post.author && post.author.followers, post.companyFollowers];
+    const followers = candidates.find(value => typeof value === 'number' && value > 0);
+    return followers === undefined ? null : followers;
+  }
+
+  static round(rate) {
+    return Math.round(rate * 1e6) / 1e6;
+  }
+
+  // Post with its engagement (re)computed, for storing
+  static attach(post) {
+    if (!post) return post;
+    post.engagement = Engagement.compute(post);
+    return post;
+  }
+}
+
+// Canonical count -> the platform metrics it is the sum of
+Engagement.FIELDS = {
+  twitter: { reactions: ['likes'], comments: ['replies'], reshares: ['retweets', 'quotes'], views: ['views'], saves: ['bookmarks'] },
+  linkedin: { reactions: ['reactions'], comments: ['comments'], reshares: ['reposts'], views: ['impressions'], saves: [] },
+  facebook: { reactions: ['likes'], comments: ['comments'], reshares: ['shares'], views: ['views'], saves: [] },
+  instagram: { reactions: ['likes'], comments: ['comments'], reshares: [], views: ['views'], saves: [] },
+  reddit: { reactions: ['score'], comments: ['comments'], reshares: [], views: [], saves: [] },
+  tiktok: { reactions: ['likes'], comments: ['comments'], reshares: ['shares'], views: ['views'], saves: ['collects'] },
+  default: { reactions: ['likes'], comments: ['comments'], reshares: ['shares'], views: ['views'], saves: [] }
+};
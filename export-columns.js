@@ -0,0 +1,251 @@
+// Export columns: which post fields become CSV and XLSX columns. A column is
+// { header, path }, where `path` reads a value from the stored post:
+//
+//   author.name          nested fields
+//   media.images[0]      an array element
+//   media.images[*].url  a field of every element
+//   hashtags|join        followed by filters: join, join(sep), count, first, last, json
+//
+// Arrays are joined with "; ", and objects with a `url` become that URL. Other
+// objects are written as JSON. Column sets are kept as named presets in
+// chrome.storage.local, and can be shared with a team as a file.
+class ExportColumns {
+  // Parse one line of the column chooser: "Header = path" or just "path"
+  static parseLine(line) {
+    const separator = line.indexOf('=');
+    const header = separator >= 0 ? line.slice(0, separator).trim() : '';
+    const path = (separator >= 0 ? line.slice(separator + 1) : line).trim();
+    if (!path) return null;
+    return { header: header || path, path: path };
+  }
+
+  static parseText(text) {
+    return String(text || '').split('\n').map(line => ExportColumns.parseLine(line)).filter(Boolean);
+  }
+
+  static toText(columns) {
+    return columns.map(column => column.header === column.path ? column.path : `${column.header} = ${column.path}`).join('\n');
+  }
+
+  // Throws with a message for the user if the columns can't be exported
+  static validate(columns) {
+    if (!Array.isArray(columns) || columns.length === 0) {
+      throw new Error('Choose at least one column');
+    }
+    columns.forEach((column, index) => {
+      if (!column || typeof column.path !== 'string' || !column.path.trim()) {
+        throw new Error(`Column ${index + 1} needs a field path`);
+      }
+      ExportColumns.compile(column.path);
+    });
+  }
+
+  // "media.images[*].url|join(, )" -> { steps: ['media', 'images', '*', 'url'], filters: [{ name: 'join', arg: ', ' }] }
+  static compile(path) {
+    if (ExportColumns.compiled.has(path)) return ExportColumns.compiled.get(path);
+
+    // A "|" inside a filter's parentheses is part of its argument
+    const [fieldPath, ...filterParts] = path.split(/\|(?![^(]*\))/);
+    const steps = [];
+    fieldPath.trim().split('.').forEach(part => {
+      const match = part.match(/^([^[\]]*)((?:\[(?:\d+|\*)\])*)$/);
+      if (!match || (!match[1] && !match[2])) {
+        throw new Error(`Invalid field path "${path}"`);
+      }
+      if (match[1]) steps.push(match[1]);
+      (match[2].match(/\d+|\*/g) || []).forEach(index => steps.push(index === '*' ? '*' : Number(index)));
+    });
+
+    const filters = filterParts.map(part => {
+      const match = part.trim().match(/^(\w+)(?:\((.*)\))?$/);
+      if (!match || !ExportColumns.FILTERS[match[1]]) {
+        throw new Error(`Unknown filter "${part.trim()}" in "${path}"`);
+      }
+      return { name: match[1], arg: match[2] };
+    });
+
+    const compiled = { steps: steps, filters: filters };
+    ExportColumns.compiled.set(path, compiled);
+    return compiled;
+  }
+
+  // Value of a column for one post: a string or number, or undefined when the post
+  // doesn't have the field
+  static value(post, path) {
+    const { steps, filters } = ExportColumns.compile(path);
+    let values = [post];
+    let many = false;
+    steps.forEach(step => {
+      if (step === '*') {
+        values = values.flatMap(value => Array.isArray(value) ? value : []);
+        many = true;
+      } else {
+        values = values.map(value => value === null || value === undefined ? undefined : value[step]);
+      }
+    });
+
+    let value = many ? values.filter(item => item !== undefined && item !== null) : values[0];
+    filters.forEach(filter => {
+      value = ExportColumns.FILTERS[filter.name](value, filter.arg);
+    });
+    return ExportColumns.cell(value);
+  }
+
+  static cell(value) {
+    if (value === null || value === undefined) return undefined;
+    if (typeof value === 'number' || typeof value === 'string') return value;
+    if (typeof value === 'boolean') return value ? 'true' : 'false';
+    if (Array.isArray(value)) {
+      return value.map(item => ExportColumns.cell(item)).filter(item => item !== undefined && item !== '').join('; ');
+    }
+    if (typeof value.url === 'string') return value.url;
+    return JSON.stringify(value);
+  }
+
+  static hasExtensionStorage() {
+    try {
+      return typeof chrome !== 'undefined' && !!(chrome.runtime?.id && chrome.storage?.local);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Built-in presets with the presets saved in this browser laid over them
+  static async getPresets() {
+    const presets = { ...ExportColumns.PRESETS };
+    if (ExportColumns.hasExtensionStorage()) {
+      const result = await chrome.storage.local.get(ExportColumns.STORAGE_KEY);
+      Object.assign(presets, result[ExportColumns.STORAGE_KEY] || {});
+    }
+    return presets;
+  }
+
+  static async savePreset(name, columns) {
+    name = String(name || '').trim();
+    if (!name) {
+      throw new Error('A column preset needs a name');
+    }
+    ExportColumns.validate(columns);
+    if (!ExportColumns.hasExtensionStorage()) {
+      throw new Error('Column presets can only be saved in the extension');
+    }
+
+    const result = await chrome.storage.local.get(ExportColumns.STORAGE_KEY);
+    const saved = result[ExportColumns.STORAGE_KEY] || {};
+    saved[name] = {
+      name: name,
+      columns: columns.map(column => ({ header: column.header || column.path, path: column.path })),
+      savedAt: new Date().toISOString()
+    };
+    await chrome.storage.local.set({ [ExportColumns.STORAGE_KEY]: saved });
+    return saved[name];
+  }
+
+  // Built-in presets can't be deleted
+  static async deletePreset(name) {
+    if (!ExportColumns.hasExtensionStorage()) return;
+    const result = await chrome.storage.local.get(ExportColumns.STORAGE_KEY);
+    const saved = result[ExportColumns.STORAGE_KEY] || {};
+    delete saved[name];
+    await chrome.storage.local.set({ [ExportColumns.STORAGE_KEY]: saved });
+  }
+
+  // The preset the column chooser last had selected
+  static async getSelectedName() {
+    if (!ExportColumns.hasExtensionStorage()) return ExportColumns.DEFAULT_PRESET;
+    const result = await chrome.storage.local.get(ExportColumns.SELECTED_KEY);
+    return result[ExportColumns.SELECTED_KEY] || ExportColumns.DEFAULT_PRESET;
+  }
+
+  static async setSelectedName(name) {
+    if (!ExportColumns.hasExtensionStorage()) return;
+    await chrome.storage.local.set({ [ExportColumns.SELECTED_KEY]: name });
+  }
+
+  // Presets from a shared file: one preset, or { presets: [...] }
+  static async importPresets(data) {
+    const presets = Array.isArray(data?.presets) ? data.presets : [data];
+    const imported = [];
+    for (const preset of presets) {
+      if (!preset || typeof preset.name !== 'string') {
+        throw new Error('A column preset needs a "name"');
+      }
+      imported.push(await ExportColumns.savePreset(preset.name, preset.columns));
+    }
+    return imported;
+  }
+}
+
+ExportColumns.compiled = new Map(); // path -> compiled steps and filters
+ExportColumns.STORAGE_KEY = 'exportColumnPresets';
+ExportColumns.SELECTED_KEY = 'exportColumnPreset';
+ExportColumns.DEFAULT_PRESET = 'Default';
+ExportColumns.FILTERS = {
+  join: (value, separator) => Array.isArray(value)
+    ? value.map(item => ExportColumns.cell(item)).filter(item => item !== undefined && item !== '').join(separator ?? '; ')
+    : value,
+  count: (value) => Array.isArray(value) ? value.length : (value === null || value === undefined ? 0 : 1),
+  first: (value) => Array.isArray(value) ? value[0] : value,
+  last: (value) => Array.isArray(value) ? value[value.length - 1] : value,
+  json: (value) => value === undefined ? undefined : JSON.stringify(value)
+};
+ExportColumns.PRESETS = {
+  // The columns exports have always had
+  Default: {
+    name: 'Default',
+    builtIn: true,
+    columns: [
+      { header: 'ID', path: 'id' },
+      { header: 'Platform', path: 'platform' },
+      { header: 'Company', path: 'company' },
+      { header: 'Author Name', path: 'author.name' },
+      { header: 'Author Handle', path: 'author.handle' },
+      { header: 'Text', path: 'text' },
+      { header: 'Timestamp', path: 'timestamp' },
+      { header: 'Timestamp Raw', path: 'timestampRaw' },
+      { header: 'URL', path: 'url' },
+      { header: 'Source URL', path: 'sourceUrl' },
+      { header: 'Crawled At', path: 'crawledAt' },
+      { header: 'Reactions', path: 'engagement.reactions' },
+      { header: 'Comments', path: 'engagement.comments' },
+      { header: 'Reshares', path: 'engagement.reshares' },
+      { header: 'Views', path: 'engagement.views' },
+      { header: 'Saves', path: 'engagement.saves' },
+      { header: 'Engagement Rate', path: 'engagement.rate' },
+      { header: 'Rate Basis', path: 'engagement.rateBasis' },
+      { header: 'Suggested Filename', path: 'suggestedFilename' },
+      { header: 'Actual Filename', path: 'actualFilename' },
+      { header: 'Download Method', path: 'downloadMethod' }
+    ]
+  },
+  // Default plus the platform-specific fields, flattened
+  'All fields': {
+    name: 'All fields',
+    builtIn: true,
+    columns: null // filled in below
+  }
+};
+ExportColumns.PRESETS['All fields'].columns = ExportColumns.PRESETS.Default.columns.concat([
+  { header: 'Title', path: 'title' },
+  { header: 'Post Type', path: 'postType' },
+  { header: 'Permalink', path: 'permalink' },
+  { header: 'Author Followers', path: 'author.followers' },
+  { header: 'Company Followers', path: 'companyFollowers' },
+  { header: 'Hashtags', path: 'hashtags|join' },
+  { header: 'Mentions', path: 'mentions|join' },
+  { header: 'Links', path: 'links[*].url|join' },
+  { header: 'Images', path: 'media.images|join' },
+  { header: 'Videos', path: 'media.videos|join' },
+  { header: 'Reactions Breakdown', path: 'reactions|json' },
+  { header: 'Subreddit', path: 'subreddit' },
+  { header: 'Flair', path: 'flair' },
+  { header: 'Transcript', path: 'transcript' },
+  { header: 'Music', path: 'music.name' },
+  { header: 'Music Author', path: 'music.author' },
+  { header: 'Video URL', path: 'videoUrl' },
+  { header: 'Video Duration', path: 'videoDuration' },
+  { header: 'Location', path: 'location' },
+  { header: 'Replies', path: 'replies[*].text|join( | )' },
+  { header: 'Metrics', path: 'metrics|json' },
+  { header: 'Selector Pack', path: 'selectorPack' }
+]);
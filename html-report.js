@@ -0,0 +1,194 @@
+// HTML report export: one self-contained page of post cards (avatar, author, text,
+// date and engagement) for sharing with people who don't open spreadsheets.
+// Written card by card like the other export formats. Avatars are embedded as
+// data URLs when the image host allows it; otherwise the card links the image and
+// shows the author's initials if it fails to load. A per-platform summary is
+// written after the last card, and shown above the cards.
+class HtmlReport {
+  constructor(postExport) {
+    this.postExport = postExport;
+    this.avatars = new Map(); // avatar URL -> src to use
+    this.summary = {}; // platform -> { posts, reactions, comments, reshares, views, rates }
+  }
+
+  header(postExport) {
+    const { platform, company } = postExport.filter;
+    const scope = [
+      platform !== 'all' ? HtmlReport.platformLabel(platform) : 'All platforms',
+      company !== 'all' ? company : 'all companies',
+      ...PostsDB.describeFilter(postExport.filter)
+    ].join(' · ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Social media posts report</title>
+<style>${HtmlReport.STYLES}</style>
+</head>
+<body>
+<main class="report">
+<header class="report-header">
+<h1>Social media posts</h1>
+<p>${HtmlReport.escape(scope)} · ${postExport.total.toLocaleString('en-US')} posts · generated ${HtmlReport.escape(new Date().toLocaleString('en-US'))}</p>
+</header>
+<section class="cards">
+`;
+  }
+
+  async row(post) {
+    const engagement = post.engagement || Engagement.compute(post);
+    this.addToSummary(post.platform, engagement);
+
+    const author = post.author || {};
+    const name = author.name || author.handle || post.company || 'Unknown';
+    // Only web links; a stored javascript: URL must not become a clickable href
+    const link = [post.permalink, post.url].find(candidate => candidate && /^https?:/.test(candidate));
+    const date = post.timestamp ? new Date(post.timestamp) : null;
+    const metrics = HtmlReport.METRICS
+      .filter(([key]) => engagement[key] !== null && engagement[key] !== undefined)
+      .map(([key, label]) => `<span><b>${engagement[key].toLocaleString('en-US')}</b> ${label}</span>`);
+    if (engagement.rate !== null) {
+      metrics.push(`<span title="Engagement per ${engagement.rateBasis === 'views' ? 'view' : 'follower'}"><b>${(engagement.rate * 100).toFixed(2)}%</b> rate</span>`);
+    }
+
+    return `<article class="card platform-${HtmlReport.escape(post.platform || 'unknown')}">
+<div class="card-author">${await this.avatarHtml(author.avatar, name)}<div><div class="name">${HtmlReport.escape(name)}</div><div class="meta">${HtmlReport.escape([author.handle, HtmlReport.platformLabel(post.platform)].filter(Boolean).join(' · '))}</div></div></div>
+${post.title ? `<h2>${HtmlReport.escape(post.title)}</h2>\n` : ''}<p class="text">${HtmlReport.escape(post.text || '')}</p>
+<div class="metrics">${metrics.join('')}</div>
+<div class="card-footer">${date && !isNaN(date) ? `<time datetime="${HtmlReport.escape(post.timestamp)}">${HtmlReport.escape(date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }))}</time>` : HtmlReport.escape(post.timestampRaw || '')}${link ? ` <a href="${HtmlReport.escape(link)}" target="_blank" rel="noopener">View post</a>` : ''}</div>
+</article>
+`;
+  }
+
+  footer() {
+    const rows = Object.entries(this.summary).map(([platform, totals]) => {
+      const averageRate = totals.rates.length > 0
+        ? `${((totals.rates.reduce((sum, rate) => sum + rate, 0) / totals.rates.length) * 100).toFixed(2)}%`
+        : '–';
+      return `<tr><td>${HtmlReport.escape(HtmlReport.platformLabel(platform))}</td><td>${totals.posts.toLocaleString('en-US')}</td>` +
+        `<td>${totals.reactions.toLocaleString('en-US')}</td><td>${totals.comments.toLocaleString('en-US')}</td>` +
+        `<td>${totals.reshares.toLocaleString('en-US')}</td><td>${totals.views.toLocaleString('en-US')}</td><td>${averageRate}</td></tr>`;
+    }).join('\n');
+
+    return `</section>
+<section class="summary">
+<table>
+<thead><tr><th>Platform</th><th>Posts</th><th>Reactions</th><th>Comments</th><th>Reshares</th><th>Views</th><th>Avg. rate</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</section>
+</main>
+</body>
+</html>
+`;
+  }
+
+  addToSummary(platform, engagement) {
+    const totals = this.summary[platform] || (this.summary[platform] = {
+      posts: 0, reactions: 0, comments: 0, reshares: 0, views: 0, rates: []
+    });
+    totals.posts++;
+    ['reactions', 'comments', 'reshares', 'views'].forEach(key => {
+      totals[key] += engagement[key] || 0;
+    });
+    if (engagement.rate !== null) totals.rates.push(engagement.rate);
+  }
+
+  async avatarHtml(url, name) {
+    const initials = HtmlReport.escape(name.split(/\s+/).map(word => word[0]).filter(Boolean).slice(0, 2).join('').toUpperCase() || '?');
+    if (!url || !/^(https?:|data:)/.test(url)) {
+      return `<span class="avatar initials">${initials}</span>`;
+    }
+
+    // The initials take the image's place if a linked avatar stops loading
+    const src = await this.embedAvatar(url);
+    return `<img class="avatar" src="${HtmlReport.escape(src)}" alt="" onerror="this.nextElementSibling.hidden = false; this.remove();">` +
+      `<span class="avatar initials" hidden>${initials}</span>`;
+  }
+
+  // Data URL for an avatar, or the URL itself when the host doesn't allow reading it
+  async embedAvatar(url) {
+    if (this.avatars.has(url)) return this.avatars.get(url);
+
+    let src = url;
+    if (this.avatars.size < HtmlReport.MAX_EMBEDDED_AVATARS && !url.startsWith('data:')) {
+      try {
+        const response = await fetch(url, { credentials: 'omit' });
+        const blob = response.ok ? await response.blob() : null;
+        if (blob && blob.type.startsWith('image/') && blob.size <= HtmlReport.MAX_AVATAR_BYTES) {
+          const bytes = new Uint8Array(await blob.arrayBuffer());
+          src = `data:${blob.type};base64,${PostExport.toBase64(bytes)}`;
+        }
+      } catch (error) {
+        // Cross-origin image without CORS headers; link it instead
+      }
+    }
+    this.avatars.set(url, src);
+    return src;
+  }
+
+  static platformLabel(platform) {
+    return HtmlReport.PLATFORM_LABELS[platform] || platform || 'Unknown';
+  }
+
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+HtmlReport.MAX_EMBEDDED_AVATARS = 500;
+HtmlReport.MAX_AVATAR_BYTES = 64 * 1024;
+HtmlReport.PLATFORM_LABELS = {
+  twitter: 'X/Twitter',
+  linkedin: 'LinkedIn',
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  reddit: 'Reddit',
+  tiktok: 'TikTok'
+};
+HtmlReport.METRICS = [
+  ['reactions', 'reactions'],
+  ['comments', 'comments'],
+  ['reshares', 'reshares'],
+  ['views', 'views'],
+  ['saves', 'saves']
+];
+HtmlReport.STYLES = `
+  body { margin: 0; background: #f3f4f6; color: #111827; font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+  .report { display: flex; flex-direction: column; max-width: 1100px; margin: 0 auto; padding: 24px; }
+  .report-header { order: -2; }
+  .report-header h1 { margin: 0 0 4px; font-size: 24px; }
+  .report-header p { margin: 0 0 16px; color: #6b7280; }
+  .summary { order: -1; margin-bottom: 24px; overflow-x: auto; }
+  .summary table { width: 100%; border-collapse: collapse; background: #fff; border-radius: 8px; overflow: hidden; }
+  .summary th, .summary td { padding: 8px 12px; text-align: right; border-bottom: 1px solid #e5e7eb; }
+  .summary th:first-child, .summary td:first-child { text-align: left; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(320px, 1fr)); gap: 16px; }
+  .card { display: flex; flex-direction: column; gap: 10px; padding: 16px; background: #fff; border-radius: 10px; border-top: 4px solid #9ca3af; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.06); }
+  .platform-twitter { border-top-color: #111827; }
+  .platform-linkedin { border-top-color: #0a66c2; }
+  .platform-facebook { border-top-color: #1877f2; }
+  .platform-instagram { border-top-color: #e1306c; }
+  .platform-reddit { border-top-color: #ff4500; }
+  .platform-tiktok { border-top-color: #25f4ee; }
+  .card-author { display: flex; align-items: center; gap: 10px; }
+  .avatar { width: 40px; height: 40px; border-radius: 50%; object-fit: cover; flex-shrink: 0; }
+  .initials { display: inline-flex; align-items: center; justify-content: center; background: #e5e7eb; color: #374151; font-weight: 600; }
+  .initials[hidden] { display: none; }
+  .name { font-weight: 600; }
+  .meta, .card-footer { color: #6b7280; font-size: 12px; }
+  .card h2 { margin: 0; font-size: 15px; }
+  .text { margin: 0; white-space: pre-wrap; overflow-wrap: anywhere; flex: 1; }
+  .metrics { display: flex; flex-wrap: wrap; gap: 4px 12px; font-size: 13px; color: #374151; }
+  .card-footer { display: flex; justify-content: space-between; }
+  .card-footer a { color: #2563eb; text-decoration: none; }
+`;
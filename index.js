@@ -1 +1,508 @@
-console.log('Happy developing ✨')
+// Headless crawl runner: drives the extension's crawler classes in Chromium with
+// Puppeteer, so crawls can run from cron without the popup or a browser window.
+//
+//   node index.js --url https://x.com/someprofile --max-posts 100 --out posts.ndjson
+//   node index.js --url fixtures/twitter-profile.html --platform twitter --out fixture.json
+//
+// A --url that isn't http(s) is a local HTML fixture. Its directory is served on
+// 127.0.0.1 (IndexedDB needs a real origin), so the crawlers can be run offline.
+//
+//   node index.js --check [--update]
+//
+// runs every extractor over the saved pages listed in fixtures/fixtures.json and
+// diffs the result against the fixture's .expected.json. The check needs no
+// browser: the pages are loaded in jsdom, and the crawler scripts run in its vm
+// context with `chrome` and `indexedDB` stubbed.
+// Puppeteer and jsdom are dependencies of the runner, not of the extension:
+// `npm install` first.
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = __dirname;
+
+const CRAWLER_CLASSES = {
+  twitter: 'TwitterCrawler',
+  linkedin: 'LinkedInCrawler',
+  reddit: 'RedditCrawler',
+  facebook: 'FacebookCrawler',
+  instagram: 'InstagramCrawler',
+  tiktok: 'TikTokCrawler'
+};
+
+// Registrable domain(s) of each platform's hosts in manifest.json
+const PLATFORM_DOMAINS = {
+  twitter: ['twitter.com', 'x.com'],
+  linkedin: ['linkedin.com'],
+  reddit: ['reddit.com'],
+  facebook: ['facebook.com'],
+  instagram: ['instagram.com'],
+  tiktok: ['tiktok.com']
+};
+
+// Every crawl needs a way to end; same default as the batch queue
+const DEFAULT_MAX_MINUTES = 15;
+const WATCHDOG_GRACE_MS = 60 * 1000;
+const IDLE_CHECK_MS = 5000;
+const DEFAULT_IDLE_SECONDS = 30;
+
+// Fields that change on every extraction, left out of fixture comparisons
+const VOLATILE_FIELDS = ['crawledAt', 'extractedAt'];
+const MAX_DIFFERENCES_SHOWN = 20;
+// Relative and year-less dates in fixtures resolve against this "now", in UTC
+const FIXTURE_NOW = '2024-06-20T12:00:00.000Z';
+const FIXTURE_TIMEZONE = 'UTC';
+
+const USAGE = `Usage: node index.js --url <url|fixture.html> [options]
+       node index.js --check [--fixtures <fixtures.json>] [--update]
+
+Options:
+  --platform <name>      twitter, linkedin, reddit, facebook, instagram or tiktok
+                         (detected from the URL when omitted; required for fixtures)
+  --max-posts <n>        stop after n new posts
+  --max-minutes <n>      stop after n minutes (default ${DEFAULT_MAX_MINUTES} when no other condition is set)
+  --since <date>         stop once posts are older than this date
+  --max-known <n>        stop after n already-stored posts in a row
+  --idle-seconds <n>     stop when nothing changes for n seconds (default ${DEFAULT_IDLE_SECONDS})
+  --out <file>           .ndjson for one post per line, anything else for JSON (default crawl-<platform>-<time>.json)
+  --user-data-dir <dir>  Chromium profile to keep the database between runs
+  --network              also read exact counts from the site's API responses (X, LinkedIn, TikTok)
+  --headful              show the browser window
+  --verbose              print the page's console output
+
+Fixture check:
+  --check                extract every fixture and diff it against its .expected.json
+  --fixtures <file>      fixture list (default fixtures/fixtures.json)
+  --update               record the .expected.json files from the current extractors
+  --verbose              print the pages' console output`;
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const key = arg.substring(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (['headful', 'verbose', 'help', 'check', 'update', 'network'].includes(key)) {
+      options[key] = true;
+    } else if (i + 1 < argv.length) {
+      options[key] = argv[++i];
+    } else {
+      throw new Error(`Missing value for ${arg}`);
+    }
+  }
+  return options;
+}
+
+// Same mapping as CrawlQueue.detectPlatform: only the manifest's hosts, matched
+// exactly; null means no crawler for the URL
+function detectPlatform(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  const origins = readManifest().host_permissions.map(pattern => new URL(pattern).origin);
+  if (!origins.includes(parsed.origin)) return null;
+
+  const host = parsed.hostname;
+  return Object.keys(PLATFORM_DOMAINS).find(platform =>
+    PLATFORM_DOMAINS[platform].some(domain => host === domain || host.endsWith(`.${domain}`))
+  ) || null;
+}
+
+function readStopConditions(options) {
+  const numberValue = (value) => {
+    const number = parseInt(value, 10);
+    return number > 0 ? number : null;
+  };
+  const conditions = {
+    maxPosts: numberValue(options.maxPosts),
+    since: options.since || null,
+    maxMinutes: numberValue(options.maxMinutes),
+    maxConsecutiveKnown: numberValue(options.maxKnown)
+  };
+  if (!Object.values(conditions).some(Boolean)) {
+    conditions.maxMinutes = DEFAULT_MAX_MINUTES;
+  }
+  return conditions;
+}
+
+function readManifest() {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+}
+
+// The extension's content scripts minus content.js, which needs chrome.runtime
+function crawlerScripts() {
+  return readManifest().content_scripts[0].js
+    .map(file => file.trim())
+    .filter(file => file !== 'content.js');
+}
+
+// Serve a fixture's directory on a free local port
+function serveFixture(filePath) {
+  const fixturePath = path.resolve(filePath);
+  const directory = path.dirname(fixturePath);
+  const contentTypes = { '.html': 'text/html', '.js': 'text/javascript', '.css': 'text/css', '.json': 'application/json' };
+
+  const server = http.createServer((request, response) => {
+    const requested = path.join(directory, decodeURIComponent(new URL(request.url, 'http://localhost').pathname));
+    if (!requested.startsWith(directory) || !fs.existsSync(requested) || fs.statSync(requested).isDirectory()) {
+      response.writeHead(404);
+      response.end('Not found');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': contentTypes[path.extname(requested)] || 'application/octet-stream' });
+    fs.createReadStream(requested).pipe(response);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}/${encodeURIComponent(path.basename(fixturePath))}`;
+      resolve({ server, url });
+    });
+  });
+}
+
+function writeResults(outPath, result) {
+  if (outPath.endsWith('.ndjson')) {
+    fs.writeFileSync(outPath, result.posts.map(post => JSON.stringify(post)).join('\n') + (result.posts.length ? '\n' : ''));
+  } else {
+    fs.writeFileSync(outPath, JSON.stringify(result, null, 2));
+  }
+}
+
+function loadPuppeteer() {
+  try {
+    return require('puppeteer');
+  } catch (error) {
+    throw new Error('Puppeteer is not installed. Run `npm install` next to index.js.');
+  }
+}
+
+function loadJsdom() {
+  try {
+    return require('jsdom');
+  } catch (error) {
+    throw new Error('jsdom is not installed. Run `npm install` next to index.js.');
+  }
+}
+
+// Bundled selector packs by platform; the extension reads them through the background
+function readSelectorPacks() {
+  const directory = path.join(ROOT, 'selectors');
+  const packs = {};
+  fs.readdirSync(directory).filter(file => file.endsWith('.json')).forEach(file => {
+    const pack = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+    packs[pack.platform] = pack;
+  });
+  return packs;
+}
+
+async function injectCrawlerScripts(page) {
+  await page.evaluate((packs) => { window.__selectorPacks = packs; }, readSelectorPacks());
+  for (const file of crawlerScripts()) {
+    await page.addScriptTag({ path: path.join(ROOT, file) });
+  }
+}
+
+// Tests pass a stand-in for `puppeteer` so no browser is launched
+async function runCrawl(options, puppeteer = loadPuppeteer()) {
+
+  const isRemote = /^https?:\/\//.test(options.url);
+  const platform = options.platform || (isRemote ? detectPlatform(options.url) : null);
+  if (!CRAWLER_CLASSES[platform]) {
+    throw new Error(`No crawler for platform "${platform}". Pass --platform for fixtures and unknown hosts.`);
+  }
+  const stopConditions = readStopConditions(options);
+  const idleMs = (parseInt(options.idleSeconds, 10) || DEFAULT_IDLE_SECONDS) * 1000;
+
+  const fixture = isRemote ? null : await serveFixture(options.url);
+  const targetUrl = fixture ? fixture.url : options.url;
+  const browser = await puppeteer.launch({
+    headless: !options.headful,
+    userDataDir: options.userDataDir || undefined
+  });
+
+  try {
+    const page = await browser.newPage();
+    // The crawler classes are added as page scripts, which a site's CSP would block
+    await page.setBypassCSP(true);
+    await page.setViewport({ width: 1280, height: 900 });
+    if (options.verbose) {
+      page.on('console', message => console.log(`[Page] ${message.text()}`));
+    }
+
+    // The crawler reports crawlerStopped through notifyBackground; route it here
+    let resolveStopped;
+    const stopped = new Promise(resolve => { resolveStopped = resolve; });
+    await page.exposeFunction('__crawlerNotify', (message) => {
+      if (message && message.action === 'crawlerStopped') {
+        resolveStopped(message);
+      }
+    });
+
+    // Same scripts the extension registers when network capture is on; both run in
+    // the page world here, which the postMessage hand-off doesn't mind
+    if (options.network) {
+      for (const file of ['network-hook.js', 'network-capture.js']) {
+        await page.evaluateOnNewDocument(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+      }
+    }
+
+    console.log(`[Runner] Opening ${targetUrl}`);
+    await page.goto(targetUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+    await injectCrawlerScripts(page);
+
+    const startedAt = new Date().toISOString();
+    await page.evaluate(async (className, conditions) => {
+      // Top-level classes of the injected scripts are globals, but not window properties
+      const crawler = new (eval(className))();
+      crawler.notifyBackground = (message) => window.__crawlerNotify(message);
+      window.__headlessCrawler = crawler;
+      crawler.createControlPanel();
+      await crawler.startCrawling(conditions);
+    }, CRAWLER_CLASSES[platform], stopConditions);
+    console.log(`[Runner] Crawling ${platform} with`, stopConditions);
+
+    // Nothing in the crawler notices the end of a feed, so stop once the page stops changing
+    let lastProgress = null;
+    let lastChangeAt = Date.now();
+    const idleTimer = setInterval(async () => {
+      const progress = await page.evaluate(() => JSON.stringify({
+        scrollY: Math.round(window.scrollY),
+        height: document.documentElement.scrollHeight,
+        processed: window.__headlessCrawler.sessionStats?.countedPosts.size || 0
+      })).catch(() => null);
+      if (progress !== lastProgress) {
+        lastProgress = progress;
+        lastChangeAt = Date.now();
+      } else if (Date.now() - lastChangeAt >= idleMs) {
+        page.evaluate(() => window.__headlessCrawler.stopCrawling('reached the end of the page')).catch(() => {});
+      }
+    }, IDLE_CHECK_MS);
+
+    // Watchdog in case the page hangs and the crawler never reports back
+    const watchdogMs = (stopConditions.maxMinutes || DEFAULT_MAX_MINUTES * 4) * 60 * 1000 + WATCHDOG_GRACE_MS;
+    let watchdogTimer;
+    const watchdog = new Promise(resolve => {
+      watchdogTimer = setTimeout(() => resolve({ reason: 'timed out', stats: null }), watchdogMs);
+    });
+
+    const outcome = await Promise.race([stopped, watchdog]);
+    clearInterval(idleTimer);
+    clearTimeout(watchdogTimer);
+    console.log(`[Runner] Crawler stopped: ${outcome.reason}`);
+
+    // Posts saved or seen in this session, as stored (merged with earlier crawls)
+    const posts = await page.evaluate(async () => {
+      const crawler = window.__headlessCrawler;
+      const allPosts = await window.postsDB.getAllPosts();
+      return allPosts.filter(post => crawler.sightedPosts.has(post.id));
+    });
+
+    return {
+      platform: platform,
+      url: options.url,
+      startedAt: startedAt,
+      finishedAt: new Date().toISOString(),
+      stopConditions: stopConditions,
+      stopReason: outcome.reason,
+      stats: outcome.stats || null,
+      posts: posts
+    };
+  } finally {
+    await browser.close();
+    if (fixture) {
+      fixture.server.close();
+    }
+  }
+}
+
+// Drop fields that change on every run, at any depth
+function stripVolatile(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripVolatile);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      if (!VOLATILE_FIELDS.includes(key)) {
+        result[key] = stripVolatile(value[key]);
+      }
+    });
+    return result;
+  }
+  return value;
+}
+
+// Leaf values by path, e.g. { '[0].metrics.likes': 310 }
+function flatten(value, prefix = '', leaves = {}) {
+  if (Array.isArray(value) && value.length > 0) {
+    value.forEach((item, index) => flatten(item, `${prefix}[${index}]`, leaves));
+  } else if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+    Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, leaves));
+  } else {
+    leaves[prefix] = value;
+  }
+  return leaves;
+}
+
+function diffPosts(expected, actual) {
+  const expectedLeaves = flatten(expected);
+  const actualLeaves = flatten(actual);
+  const paths = [...new Set([...Object.keys(expectedLeaves), ...Object.keys(actualLeaves)])].sort();
+
+  return paths
+    .filter(leafPath => JSON.stringify(expectedLeaves[leafPath]) !== JSON.stringify(actualLeaves[leafPath]))
+    .map(leafPath => {
+      const describe = (leaves) => leafPath in leaves ? JSON.stringify(leaves[leafPath]) : '(missing)';
+      return `${leafPath}: expected ${describe(expectedLeaves)}, got ${describe(actualLeaves)}`;
+    });
+}
+
+// What the extension provides around its content scripts. Without an extension
+// id, selector packs come from window.__selectorPacks and PostsDB stays
+// page-local; the extractors never store anything, so opening IndexedDB fails.
+function extensionStubs() {
+  return {
+    chrome: {
+      runtime: {
+        id: undefined,
+        sendMessage: async () => undefined,
+        onMessage: { addListener() {} }
+      },
+      storage: {
+        local: { get: async () => ({}), set: async () => {}, remove: async () => {} }
+      }
+    },
+    indexedDB: {
+      open() {
+        throw new Error('IndexedDB is not available outside the extension');
+      },
+      databases: async () => []
+    }
+  };
+}
+
+// A saved page in jsdom under its real URL (so location-based logic behaves as on
+// the site), with the extension's content scripts run in it. The page's own
+// scripts don't run and nothing is fetched. Returns { window, evaluate }, where
+// evaluate(code) runs code in the page, e.g. to reach its top-level classes.
+function loadPage(url, html, options = {}) {
+  const { JSDOM, VirtualConsole } = loadJsdom();
+  const virtualConsole = new VirtualConsole();
+  if (options.verbose) {
+    virtualConsole.sendTo(console);
+  }
+  const dom = new JSDOM(html, { url: url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole: virtualConsole });
+  Object.assign(dom.window, extensionStubs());
+  dom.window.__selectorPacks = readSelectorPacks();
+
+  const context = dom.getInternalVMContext();
+  for (const file of crawlerScripts()) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: path.join(ROOT, file) });
+  }
+  return { window: dom.window, evaluate: (code) => vm.runInContext(code, context) };
+}
+
+// Run the platform's extractor over each post container of a fixture
+async function extractFixture(fixture, html, options) {
+  const page = loadPage(fixture.url, html, options);
+  try {
+    const crawler = new (page.evaluate(CRAWLER_CLASSES[fixture.platform]))();
+    crawler.timestampReference = FIXTURE_NOW;
+    await crawler.loadSelectorPack();
+    const elements = Array.from(page.window.document.querySelectorAll(crawler.getSelectors().postContainer));
+    const extracted = [];
+    for (const element of elements) {
+      const postData = await crawler.extractPostData(element);
+      if (postData) extracted.push(postData);
+    }
+    // Same shape as the JSON written to disk (NaN -> null, no undefined)
+    return stripVolatile(JSON.parse(JSON.stringify(extracted)));
+  } finally {
+    page.window.close();
+  }
+}
+
+// Snapshot-style check. Expectations are only ever written by --update, so a
+// fixture without one fails until its recorded output has been reviewed.
+async function checkFixtures(options) {
+  const listPath = path.resolve(options.fixtures || path.join(ROOT, 'fixtures', 'fixtures.json'));
+  const fixtures = JSON.parse(fs.readFileSync(listPath, 'utf8'));
+  process.env.TZ = FIXTURE_TIMEZONE;
+  let failed = 0;
+
+  for (const fixture of fixtures) {
+    if (!CRAWLER_CLASSES[fixture.platform]) {
+      throw new Error(`${fixture.file}: no crawler for platform "${fixture.platform}"`);
+    }
+    const htmlPath = path.join(path.dirname(listPath), fixture.file);
+    const expectedPath = htmlPath.replace(/\.html$/, '.expected.json');
+    const posts = await extractFixture(fixture, fs.readFileSync(htmlPath, 'utf8'), options);
+
+    if (options.update) {
+      fs.writeFileSync(expectedPath, JSON.stringify(posts, null, 2) + '\n');
+      console.log(`[Check] ${fixture.file}: recorded ${posts.length} posts in ${path.basename(expectedPath)}`);
+      continue;
+    }
+    if (!fs.existsSync(expectedPath)) {
+      failed++;
+      console.log(`[Check] ${fixture.file}: no ${path.basename(expectedPath)}; record one with --update and review it`);
+      continue;
+    }
+
+    const differences = diffPosts(JSON.parse(fs.readFileSync(expectedPath, 'utf8')), posts);
+    if (differences.length === 0) {
+      console.log(`[Check] ${fixture.file}: ok (${posts.length} posts)`);
+      continue;
+    }
+
+    failed++;
+    console.log(`[Check] ${fixture.file}: ${differences.length} fields differ`);
+    differences.slice(0, MAX_DIFFERENCES_SHOWN).forEach(difference => console.log(`  ${difference}`));
+    if (differences.length > MAX_DIFFERENCES_SHOWN) {
+      console.log(`  ... and ${differences.length - MAX_DIFFERENCES_SHOWN} more`);
+    }
+  }
+
+  if (options.update) return;
+  console.log(`[Check] ${fixtures.length - failed}/${fixtures.length} fixtures match`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.check) {
+    await checkFixtures(options);
+    return;
+  }
+  if (options.help || !options.url) {
+    console.log(USAGE);
+    process.exitCode = options.help ? 0 : 1;
+    return;
+  }
+
+  const result = await runCrawl(options);
+  const outPath = options.out || `crawl-${result.platform}-${result.startedAt.replace(/[:.]/g, '-')}.json`;
+  writeResults(outPath, result);
+  console.log(`[Runner] Wrote ${result.posts.length} posts to ${outPath}`);
+}
+
+// Tests load the extension's scripts through loadPage, and drive the runner
+// through parseArgs, runCrawl and writeResults, without running the CLI
+if (require.main === module) {
+  main().catch(error => {
+    console.error('[Runner] Crawl failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { loadPage, parseArgs, runCrawl, writeResults };
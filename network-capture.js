@@ -0,0 +1,263 @@
+// Network capture, the content-script side of network-hook.js.
+// Parses the site's own API responses into post records keyed by the platform's
+// post id (tweet id, LinkedIn activity id, TikTok video id). The crawlers merge a
+// record into the post they extracted from the DOM: its exact counts replace the
+// rounded "1.2K" ones, and its text, author and time fill fields the DOM missed.
+// Loaded at document_start, before the crawlers, so the first page of the feed
+// is not missed.
+class NetworkCapture {
+  constructor() {
+    this.records = new Map(); // `${platform}:${id}` -> record
+    this.responseCount = 0;
+    this.messageListener = null;
+  }
+
+  listen() {
+    this.messageListener = (event) => {
+      if (event.source !== window || !event.data || event.data.source !== NetworkCapture.MESSAGE_SOURCE) return;
+      this.ingest(event.data.url, event.data.body);
+    };
+    window.addEventListener('message', this.messageListener);
+  }
+
+  static detectPlatform(url) {
+    if (/\/i\/api\/graphql\//.test(url)) return 'twitter';
+    if (/\/voyager\/api\//.test(url)) return 'linkedin';
+    if (/tiktok\.com\/api\//.test(url)) return 'tiktok';
+    return null;
+  }
+
+  ingest(url, body) {
+    const platform = NetworkCapture.detectPlatform(url);
+    const parser = {
+      twitter: NetworkCapture.parseTwitter,
+      linkedin: NetworkCapture.parseLinkedIn,
+      tiktok: NetworkCapture.parseTikTok
+    }[platform];
+    if (!parser || !body) return;
+
+    let records;
+    try {
+      records = parser(body);
+    } catch (error) {
+      console.warn(`[NetworkCapture] Could not parse ${url}:`, error);
+      return;
+    }
+
+    this.responseCount++;
+    records.forEach(record => {
+      const key = `${platform}:${record.id}`;
+      // A later response (e.g. TweetDetail after the timeline) has fresher counts
+      const existing = this.records.get(key);
+      this.records.delete(key);
+      this.records.set(key, existing ? NetworkCapture.combine(existing, record) : record);
+    });
+
+    // Oldest records go first; the crawler only needs the ones near the viewport
+    while (this.records.size > NetworkCapture.MAX_RECORDS) {
+      this.records.delete(this.records.keys().next().value);
+    }
+    if (records.length > 0) {
+      console.log(`[NetworkCapture] ${records.length} ${platform} posts from ${url.split('?')[0]}`);
+    }
+  }
+
+  get(platform, id) {
+    return id ? this.records.get(`${platform}:${id}`) || null : null;
+  }
+
+  static combine(older, newer) {
+    return {
+      ...older,
+      ...newer,
+      author: { ...older.author, ...newer.author },
+      metrics: { ...older.metrics, ...newer.metrics }
+    };
+  }
+
+  // Every object in a response, depth first; API payloads nest posts at varying depths
+  static walk(value, visit) {
+    const stack = [value];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (!current || typeof current !== 'object') continue;
+      if (!Array.isArray(current)) visit(current);
+      Object.values(current).forEach(child => {
+        if (child && typeof child === 'object') stack.push(child);
+      });
+    }
+  }
+
+  static toNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  }
+
+  // Drop undefined fields, so combining and merging never overwrite with nothing
+  static compact(object) {
+    Object.keys(object).forEach(key => {
+      if (object[key] === undefined) delete object[key];
+    });
+    return object;
+  }
+
+  // Tweet objects in GraphQL timelines: { rest_id, legacy: { full_text, ... }, core, views }
+  static parseTwitter(body) {
+    const records = [];
+    NetworkCapture.walk(body, (node) => {
+      if (typeof node.rest_id !== 'string' || !node.legacy || node.legacy.full_text === undefined) return;
+
+      const legacy = node.legacy;
+      const user = node.core?.user_results?.result || {};
+      records.push({
+        id: node.rest_id,
+        text: node.note_tweet?.note_tweet_results?.result?.text || legacy.full_text,
+        timestamp: legacy.created_at ? new Date(legacy.created_at).toISOString() : undefined,
+        author: NetworkCapture.compact({
+          name: user.legacy?.name || user.core?.name,
+          handle: user.legacy?.screen_name || user.core?.screen_name,
+          avatar: user.legacy?.profile_image_url_https || user.avatar?.image_url,
+          followers: NetworkCapture.toNumber(user.legacy?.followers_count)
+        }),
+        metrics: NetworkCapture.compact({
+          replies: NetworkCapture.toNumber(legacy.reply_count),
+          retweets: NetworkCapture.toNumber(legacy.retweet_count),
+          likes: NetworkCapture.toNumber(legacy.favorite_count),
+          bookmarks: NetworkCapture.toNumber(legacy.bookmark_count),
+          quotes: NetworkCapture.toNumber(legacy.quote_count),
+          views: NetworkCapture.toNumber(node.views?.count)
+        }),
+        extra: NetworkCapture.compact({
+          lang: legacy.lang,
+          isRetweet: !!legacy.retweeted_status_result,
+          isReply: !!legacy.in_reply_to_status_id_str
+        })
+      });
+    });
+    return records;
+  }
+
+  // Voyager responses are normalized: posts and their counts are separate entities
+  // in `included`, linked by the activity urn
+  static parseLinkedIn(body) {
+    const byActivity = new Map();
+    const recordFor = (urn) => {
+      const match = (urn || '').match(/urn:li:activity:(\d+)/);
+      if (!match) return null;
+      if (!byActivity.has(match[1])) {
+        byActivity.set(match[1], { id: match[1], author: {}, metrics: {} });
+      }
+      return byActivity.get(match[1]);
+    };
+
+    NetworkCapture.walk(body, (node) => {
+      const type = node.$type || '';
+      if (/SocialActivityCounts$/.test(type)) {
+        const record = recordFor(node.entityUrn || node.urn);
+        if (!record) return;
+        Object.assign(record.metrics, NetworkCapture.compact({
+          reactions: NetworkCapture.toNumber(node.numLikes),
+          comments: NetworkCapture.toNumber(node.numComments),
+          reposts: NetworkCapture.toNumber(node.numShares),
+          shares: NetworkCapture.toNumber(node.numShares),
+          impressions: NetworkCapture.toNumber(node.numImpressions)
+        }));
+        if (Array.isArray(node.reactionTypeCounts)) {
+          record.reactions = {};
+          node.reactionTypeCounts.forEach(({ reactionType, count }) => {
+            const name = NetworkCapture.LINKEDIN_REACTIONS[reactionType];
+            if (name) record.reactions[name] = count;
+          });
+        }
+      } else if (/\.Update$/.test(type) || /UpdateV2$/.test(type)) {
+        const record = recordFor(node.metadata?.backendUrn || node.entityUrn || node.urn);
+        if (!record) return;
+        const text = node.commentary?.text?.text || node.commentary?.text;
+        if (typeof text === 'string') record.text = text;
+        Object.assign(record.author, NetworkCapture.compact({
+          name: node.actor?.name?.text,
+          title: node.actor?.description?.text
+        }));
+      }
+    });
+    return Array.from(byActivity.values());
+  }
+
+  // Item lists: { itemList: [{ id, desc, createTime, author, stats, statsV2 }] }
+  static parseTikTok(body) {
+    const records = [];
+    NetworkCapture.walk(body, (node) => {
+      if (typeof node.id !== 'string' || !/^\d+$/.test(node.id) || !(node.stats || node.statsV2) || !node.author) return;
+
+      // statsV2 holds the same counts as strings, exact past 2^31
+      const stats = { ...node.stats, ...node.statsV2 };
+      records.push({
+        id: node.id,
+        text: node.desc,
+        timestamp: node.createTime ? new Date(Number(node.createTime) * 1000).toISOString() : undefined,
+        author: NetworkCapture.compact({
+          name: node.author.nickname || node.author.uniqueId,
+          handle: node.author.uniqueId,
+          avatar: node.author.avatarThumb,
+          followers: NetworkCapture.toNumber(node.authorStats?.followerCount)
+        }),
+        metrics: NetworkCapture.compact({
+          likes: NetworkCapture.toNumber(stats.diggCount),
+          comments: NetworkCapture.toNumber(stats.commentCount),
+          shares: NetworkCapture.toNumber(stats.shareCount),
+          views: NetworkCapture.toNumber(stats.playCount),
+          collects: NetworkCapture.toNumber(stats.collectCount)
+        }),
+        extra: NetworkCapture.compact({
+          videoDuration: NetworkCapture.toNumber(node.video?.duration)
+        })
+      });
+    });
+    return records;
+  }
+
+  // Merge a record into DOM-extracted post data. Counts and times come from the
+  // network; text and author only fill what the DOM left empty.
+  static mergeInto(postData, record) {
+    postData.metrics = { ...postData.metrics, ...record.metrics };
+    postData.metricsExact = { ...postData.metricsExact };
+    Object.keys(record.metrics || {}).forEach(metric => { postData.metricsExact[metric] = true; });
+    if (record.reactions) {
+      postData.reactions = { ...postData.reactions, ...record.reactions };
+    }
+
+    if (!postData.text && record.text) postData.text = record.text;
+    // The API's time is exact; the DOM's may be an estimate from "2h" or "3-14"
+    if (record.timestamp && postData.timestampPrecision !== 'second') {
+      postData.timestamp = record.timestamp;
+      postData.timestampPrecision = 'second';
+    }
+    postData.author = postData.author || {};
+    Object.entries(record.author || {}).forEach(([key, value]) => {
+      if (!postData.author[key]) postData.author[key] = value;
+    });
+    Object.entries(record.extra || {}).forEach(([key, value]) => {
+      if (postData[key] === undefined || postData[key] === '' || postData[key] === 0) postData[key] = value;
+    });
+
+    postData.dataSources = [...new Set([...(postData.dataSources || ['dom']), 'network'])];
+    return postData;
+  }
+}
+
+NetworkCapture.MESSAGE_SOURCE = 'posts-scraper-network';
+NetworkCapture.MAX_RECORDS = 2000;
+NetworkCapture.LINKEDIN_REACTIONS = {
+  LIKE: 'like',
+  PRAISE: 'celebrate',
+  APPRECIATION: 'support',
+  EMPATHY: 'love',
+  INTEREST: 'insightful',
+  ENTERTAINMENT: 'funny'
+};
+
+if (!window.networkCapture) {
+  window.networkCapture = new NetworkCapture();
+  window.networkCapture.listen();
+}
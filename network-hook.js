@@ -0,0 +1,54 @@
+// Network hook, run in the page's own JavaScript world (MAIN) at document_start.
+// Wraps fetch and XMLHttpRequest so the JSON the site loads for its own feed
+// (Twitter GraphQL, LinkedIn voyager, TikTok item lists) is passed on to the
+// content scripts with window.postMessage; network-capture.js parses it there.
+// Registered only while network capture is enabled in the popup.
+(() => {
+  if (window.__postsScraperNetworkHook) return;
+  window.__postsScraperNetworkHook = true;
+
+  const MESSAGE_SOURCE = 'posts-scraper-network';
+  const URL_PATTERNS = [
+    /\/i\/api\/graphql\/[^\/]+\/(TweetDetail|UserTweets|UserTweetsAndReplies|UserMedia|HomeTimeline|HomeLatestTimeline|SearchTimeline|ListLatestTweetsTimeline|TweetResultByRestId)\b/,
+    /\/voyager\/api\//,
+    /\/api\/(post|recommend|repost|favorite|search\/item)\/item_list\b/,
+    /\/api\/item\/detail\b/
+  ];
+
+  const isWanted = (url) => URL_PATTERNS.some(pattern => pattern.test(url || ''));
+
+  const forward = (url, text) => {
+    try {
+      window.postMessage({ source: MESSAGE_SOURCE, url: url, body: JSON.parse(text) }, window.location.origin);
+    } catch (error) {
+      // Not JSON (LinkedIn also serves protobuf); nothing to read
+    }
+  };
+
+  const originalFetch = window.fetch;
+  window.fetch = function(...args) {
+    const promise = originalFetch.apply(this, args);
+    const url = args[0] instanceof Request ? args[0].url : String(args[0]);
+    if (isWanted(url)) {
+      promise.then(response => {
+        // Read a copy so the page still gets an unread body
+        response.clone().text().then(text => forward(response.url || url, text)).catch(() => {});
+      }).catch(() => {});
+    }
+    return promise;
+  };
+
+  const originalOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function(method, url, ...rest) {
+    if (isWanted(String(url))) {
+      this.addEventListener('load', () => {
+        if (this.responseType === '' || this.responseType === 'text') {
+          forward(this.responseURL || String(url), this.responseText);
+        } else if (this.responseType === 'json' && this.response) {
+          forward(this.responseURL || String(url), JSON.stringify(this.response));
+        }
+      });
+    }
+    return originalOpen.call(this, method, url, ...rest);
+  };
+})();
@@ -0,0 +1,17 @@
+// Offscreen document, opened by the background service worker when it needs a
+// blob: URL (see PostsDB.downloadFromOffscreenDocument). The worker sends a file's
+// parts over a port and gets back the URL of a Blob holding them.
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== 'offscreenBlob') return;
+
+  let parts = [];
+  port.onMessage.addListener(message => {
+    if (message.done) {
+      const url = URL.createObjectURL(new Blob(parts, { type: message.type }));
+      parts = [];
+      port.postMessage({ url: url });
+    } else {
+      parts.push(new Blob([message.part]));
+    }
+  });
+});
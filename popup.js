@@ -100,14 +100,14 @@ document.addEventListener('DOMContentLoaded', async function() {
         statusDiv.innerHTML = '<div class="icon">1️⃣</div>Loading database...';
         await chrome.scripting.executeScript({
           target: { tabId: tabId },
-          files: ['db.js']
+          files: ['engagement.js', 'timestamps.js', 'db.js', 'export-columns.js', 'post-export.js', 'post-import.js', 'xlsx-writer.js', 'html-report.js']
         });
         await new Promise(resolve => setTimeout(resolve, 500));
         
         statusDiv.innerHTML = '<div class="icon">2️⃣</div>Loading base crawler...';
         await chrome.scripting.executeScript({
           target: { tabId: tabId },
-          files: ['crawlers/base-crawler.js']
+          files: ['selector-packs.js', 'crawlers/base-crawler.js']
         });
         await new Promise(resolve => setTimeout(resolve, 500));
         
@@ -137,6 +137,12 @@ document.addEventListener('DOMContentLoaded', async function() {
         });
         await new Promise(resolve => setTimeout(resolve, 300));
         
+        await chrome.scripting.executeScript({
+          target: { tabId: tabId },
+          files: ['crawlers/instagram-crawler.js']
+        });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        
         statusDiv.innerHTML = '<div class="icon">4️⃣</div>Loading content script...';
         await chrome.scripting.executeScript({
           target: { tabId: tabId },
@@ -162,4 +168,245 @@ document.addEventListener('DOMContentLoaded', async function() {
       }
     });
   });
-});
\ No newline at end of file
+});
+// Active crawls, batch queue and scheduled jobs all run in the background service
+// worker; the popup only edits them and shows progress
+document.addEventListener('DOMContentLoaded', function() {
+  const sessionListElement = document.getElementById('sessionList');
+  const sessionSummaryDiv = document.getElementById('sessionSummary');
+  
+  function renderSessions(sessions) {
+    if (!sessions) return;
+    
+    const running = sessions.filter(session => session.status === 'running');
+    sessionSummaryDiv.textContent = running.length === 0
+      ? 'No crawls running'
+      : `${running.length} crawl${running.length === 1 ? '' : 's'} running`;
+    
+    sessionListElement.innerHTML = '';
+    sessions.forEach(session => {
+      const li = document.createElement('li');
+      let page = session.url || `Tab ${session.tabId}`;
+      try {
+        const url = new URL(session.url);
+        page = url.hostname + url.pathname;
+      } catch (error) {
+        // Keep the raw value
+      }
+      li.textContent = `${session.status === 'running' ? '▶️' : '⏹️'} ${session.platform || 'unknown'} · ${page}`;
+      
+      const details = document.createElement('div');
+      details.className = 'outcome';
+      const minutes = Math.round(((session.stoppedAt || Date.now()) - session.startTime) / 60000);
+      details.textContent = `${session.newPosts} new / ${session.processedPosts} processed · ${minutes} min` +
+        (session.stopReason ? ` · ${session.stopReason}` : '');
+      li.appendChild(details);
+      
+      if (session.status === 'running') {
+        const actions = document.createElement('div');
+        actions.className = 'job-actions';
+        const stopButton = document.createElement('button');
+        stopButton.className = 'secondary-btn';
+        stopButton.textContent = 'Stop';
+        stopButton.addEventListener('click', () => {
+          stopButton.disabled = true;
+          sendSessionAction({ action: 'stopSession', tabId: session.tabId });
+        });
+        actions.appendChild(stopButton);
+        li.appendChild(actions);
+      }
+      
+      sessionListElement.appendChild(li);
+    });
+  }
+  
+  function sendSessionAction(message) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Session request failed:', chrome.runtime.lastError.message);
+        return;
+      }
+      renderSessions(response?.sessions);
+    });
+  }
+  
+  const urlsInput = document.getElementById('queueUrls');
+  const summaryDiv = document.getElementById('queueSummary');
+  const listElement = document.getElementById('queueList');
+  const statusIcons = { pending: '⏳', opening: '🔄', running: '▶️', done: '✅', failed: '❌', skipped: '⏭️' };
+  
+  function renderQueue(queue) {
+    if (!queue) return;
+    
+    const counts = {};
+    queue.items.forEach(item => {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+    });
+    summaryDiv.textContent = queue.items.length === 0
+      ? 'Queue is empty'
+      : `${queue.running ? 'Running' : 'Paused'} · ${counts.done || 0} done, ${counts.failed || 0} failed, ${counts.pending || 0} pending`;
+    
+    listElement.innerHTML = '';
+    queue.items.forEach(item => {
+      const li = document.createElement('li');
+      let outcome = '';
+      if (item.result?.error) {
+        outcome = item.result.error;
+      } else if (item.result?.reason) {
+        const newPosts = item.result.stats?.newPosts;
+        outcome = `${item.result.reason}${newPosts !== undefined ? ` · ${newPosts} new posts` : ''}`;
+      }
+      li.textContent = `${statusIcons[item.status] || ''} ${item.url}`;
+      if (outcome) {
+        const outcomeSpan = document.createElement('div');
+        outcomeSpan.className = 'outcome';
+        outcomeSpan.textContent = outcome;
+        li.appendChild(outcomeSpan);
+      }
+      listElement.appendChild(li);
+    });
+  }
+  
+  function sendQueueAction(message) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Queue request failed:', chrome.runtime.lastError.message);
+        return;
+      }
+      renderQueue(response?.queue);
+    });
+  }
+  
+  function readUrls() {
+    return urlsInput.value.split('\n').filter(url => url.trim().length > 0);
+  }
+  
+  function readStopConditions() {
+    const numberValue = (id) => {
+      const value = parseInt(document.getElementById(id).value, 10);
+      return value > 0 ? value : null;
+    };
+    return {
+      maxPosts: numberValue('queueMaxPosts'),
+      since: document.getElementById('queueSince').value || null,
+      maxMinutes: numberValue('queueMaxMinutes'),
+      maxConsecutiveKnown: numberValue('queueMaxKnown')
+    };
+  }
+  
+  document.getElementById('queueAdd').addEventListener('click', () => {
+    const urls = readUrls();
+    if (urls.length === 0) return;
+    
+    sendQueueAction({ action: 'queueAdd', urls: urls, stopConditions: readStopConditions() });
+    urlsInput.value = '';
+  });
+  
+  document.getElementById('queueStart').addEventListener('click', () => sendQueueAction({ action: 'queueStart' }));
+  document.getElementById('queuePause').addEventListener('click', () => sendQueueAction({ action: 'queuePause' }));
+  document.getElementById('queueClear').addEventListener('click', () => sendQueueAction({ action: 'queueClear' }));
+  
+  // Scheduled jobs reuse the URL list and stop conditions above
+  const jobListElement = document.getElementById('jobList');
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  
+  function renderJobs(jobs) {
+    if (!jobs) return;
+    
+    jobListElement.innerHTML = '';
+    jobs.forEach(job => {
+      const li = document.createElement('li');
+      const days = job.schedule.days.length > 0 ? job.schedule.days.map(day => dayNames[day]).join(', ') : 'Daily';
+      li.textContent = `${job.running ? '▶️' : '🗓️'} ${job.name} · ${days} ${job.schedule.time} · ${job.urls.length} URLs`;
+      
+      const details = document.createElement('div');
+      details.className = 'outcome';
+      const lastRun = job.lastRun
+        ? `Last: ${job.lastRun.status || 'skipped'} ${new Date(job.lastRun.finishedAt || job.lastRun.skippedAt).toLocaleString()}`
+        : 'Never run';
+      const nextRun = job.nextRunAt ? ` · Next: ${new Date(job.nextRunAt).toLocaleString()}` : '';
+      details.textContent = lastRun + nextRun + (job.lastRun?.error ? ` · ${job.lastRun.error}` : '');
+      li.appendChild(details);
+      
+      const actions = document.createElement('div');
+      actions.className = 'job-actions';
+      const runButton = document.createElement('button');
+      runButton.className = 'secondary-btn';
+      runButton.textContent = 'Run now';
+      runButton.disabled = job.running;
+      runButton.addEventListener('click', () => sendJobAction({ action: 'jobRunNow', jobId: job.id }));
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'secondary-btn';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', () => sendJobAction({ action: 'jobDelete', jobId: job.id }));
+      actions.append(runButton, deleteButton);
+      li.appendChild(actions);
+      
+      jobListElement.appendChild(li);
+    });
+  }
+  
+  function sendJobAction(message) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Job request failed:', chrome.runtime.lastError.message);
+        return;
+      }
+      if (response && !response.success) {
+        alert(response.error);
+        return;
+      }
+      renderJobs(response?.jobs);
+    });
+  }
+  
+  document.getElementById('jobSave').addEventListener('click', () => {
+    const urls = readUrls();
+    if (urls.length === 0) {
+      alert('Enter the URLs to crawl first');
+      return;
+    }
+    
+    const day = document.getElementById('jobDay').value;
+    sendJobAction({
+      action: 'jobSave',
+      job: {
+        name: document.getElementById('jobName').value.trim(),
+        urls: urls,
+        schedule: {
+          days: day === '' ? [] : [parseInt(day, 10)],
+          time: document.getElementById('jobTime').value || '09:00'
+        },
+        stopConditions: readStopConditions()
+      }
+    });
+    urlsInput.value = '';
+  });
+  
+  const networkCaptureInput = document.getElementById('networkCapture');
+  networkCaptureInput.addEventListener('change', () => {
+    chrome.runtime.sendMessage({ action: 'setNetworkCapture', enabled: networkCaptureInput.checked }, (response) => {
+      if (!response || !response.success) {
+        alert(`Could not change network capture: ${response?.error || 'no response'}`);
+        networkCaptureInput.checked = !networkCaptureInput.checked;
+      }
+    });
+  });
+  chrome.runtime.sendMessage({ action: 'getNetworkCapture' }, (response) => {
+    networkCaptureInput.checked = !!(response && response.enabled);
+  });
+  
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'sessionsUpdated') {
+      renderSessions(message.sessions);
+    } else if (message.action === 'queueUpdated') {
+      renderQueue(message.queue);
+    } else if (message.action === 'jobsUpdated') {
+      renderJobs(message.jobs);
+    }
+  });
+  
+  sendSessionAction({ action: 'getSessions' });
+  sendQueueAction({ action: 'getQueue' });
+  sendJobAction({ action: 'getJobs' });
+});
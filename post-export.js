@@ -0,0 +1,402 @@
+// Streaming post export. Posts are read from IndexedDB a chunk at a time and each
+// chunk is written out as soon as it is serialized, so a database of tens of
+// thousands of posts never has to fit in one string. Formats: JSON, NDJSON, CSV,
+// XLSX (xlsx-writer.js) and an HTML report (html-report.js).
+//
+// PostExport runs next to the database (the background service worker, or the
+// page when it has a page-local database). The control panel calls
+// PostExport.save(), which pulls the chunks over a port and writes them to a file
+// picked with the File System Access API, or to Blob parts that are downloaded
+// at the end where that API isn't available.
+class PostExport {
+  constructor(postsDB, request = {}) {
+    this.postsDB = postsDB;
+    this.formatName = (request.format || 'json').toLowerCase();
+    this.format = PostExport.FORMATS[this.formatName];
+    if (!this.format) {
+      throw new Error('Unsupported export format');
+    }
+    // Platform and company, plus any other criteria of PostsDB.exportFilter
+    this.filter = {
+      ...request.filter,
+      platform: request.platformFilter || request.filter?.platform || 'all',
+      company: request.companyFilter || request.filter?.company || 'all'
+    };
+    // Snapshot history only fits the nested JSON layouts
+    this.includeHistory = !!request.options?.includeEngagementHistory && !!this.format.nested;
+    // Columns of the flat formats (CSV, XLSX); see export-columns.js
+    this.columns = request.options?.columns || ExportColumns.PRESETS[ExportColumns.DEFAULT_PRESET].columns;
+    ExportColumns.validate(this.columns);
+    // Only posts new or changed since the last incremental export of this filter
+    this.incremental = !!request.options?.incremental;
+    this.previousExport = null;
+    this.exportedAt = null;
+    this.newPosts = 0;
+    this.lastCrawledAt = null;
+    // Stateful formats (workbook, report) get their own writer; the rest are plain rows
+    this.writer = this.format.createWriter ? this.format.createWriter(this) : this.format;
+    this.total = 0;
+    this.processed = 0;
+    this.position = null; // where the next chunk starts, see PostsDB.readPostsAfter
+    this.started = false;
+    this.finished = false;
+  }
+
+  // Count the matching posts; the count names the file and drives the progress bar
+  async start() {
+    // Posts changed from here on go into the next incremental export, even if this
+    // one reads them too
+    this.exportedAt = new Date().toISOString();
+    if (this.incremental) {
+      this.previousExport = await this.postsDB.getLastExport(PostsDB.filterKey(this.filter));
+      if (this.previousExport) {
+        this.filter.since = this.previousExport.watermark;
+      }
+    }
+    this.total = await this.postsDB.countPosts(this.filter);
+    if (this.total > 0 && this.writer.start) {
+      await this.writer.start();
+    }
+    console.log(`[PostExport] Exporting ${this.total} posts as ${this.formatName}`);
+    return {
+      total: this.total,
+      filename: this.filename(),
+      type: this.format.type,
+      since: this.filter.since || null
+    };
+  }
+
+  // The next piece of the file (a string, or bytes for binary formats), or null
+  // once the end of the file has been written
+  async next() {
+    if (this.writer.next) return this.writer.next();
+    if (this.finished) return null;
+
+    let data = '';
+    if (!this.started) {
+      data += await this.writer.header(this);
+      this.started = true;
+    }
+
+    const chunk = await this.readChunk(this.filter, this.position);
+    this.position = chunk.position;
+    for (const post of chunk.posts) {
+      data += await this.writer.row(post, this.processed, this);
+      this.processed++;
+    }
+
+    if (chunk.done) {
+      data += await this.writer.footer(this);
+      this.finished = true;
+    }
+    return data;
+  }
+
+  async readChunk(filter, position) {
+    const chunk = await this.postsDB.readPostsAfter(position, PostExport.CHUNK_SIZE, filter, this.includeHistory);
+    chunk.posts.forEach(post => {
+      if (!this.filter.since || post.crawledAt >= this.filter.since) this.newPosts++;
+      if (post.crawledAt && (!this.lastCrawledAt || post.crawledAt > this.lastCrawledAt)) {
+        this.lastCrawledAt = post.crawledAt;
+      }
+    });
+    return chunk;
+  }
+
+  // Called once the file is saved. An incremental export is recorded, so the next
+  // one starts at its watermark, and its manifest is returned; otherwise null.
+  async finish(filename) {
+    if (!this.incremental) return null;
+
+    const previous = this.previousExport;
+    const { since, ...filter } = this.filter;
+    const manifest = {
+      id: `export_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`,
+      scope: PostsDB.filterKey(this.filter),
+      filter: filter,
+      format: this.formatName,
+      filename: filename || this.filename(),
+      previousExportId: previous ? previous.id : null,
+      // updatedAt: the posts new or changed in this window (from included);
+      // crawledAt: when the posts in the file were first crawled
+      range: {
+        updatedAt: { from: since || null, to: this.exportedAt },
+        crawledAt: { from: previous ? previous.range.crawledAt.to : null, to: this.lastCrawledAt || (previous ? previous.range.crawledAt.to : null) }
+      },
+      watermark: this.exportedAt,
+      posts: this.processed,
+      newPosts: this.newPosts,
+      changedPosts: this.processed - this.newPosts,
+      createdAt: new Date().toISOString()
+    };
+    await this.postsDB.recordExport(manifest);
+    console.log(`[PostExport] Recorded incremental export ${manifest.id} (${manifest.posts} posts, watermark ${manifest.watermark})`);
+    return manifest;
+  }
+
+  filename() {
+    const dateStr = new Date().toISOString().split('T')[0];
+    const { platform, company } = this.filter;
+    let filename = `social_media_posts_${dateStr}`;
+
+    if (platform !== 'all' && company !== 'all') {
+      filename = `${dateStr}_${company}_${platform}`;
+    } else if (platform !== 'all') {
+      filename = `${dateStr}_${platform}`;
+    } else if (company !== 'all') {
+      filename = `${dateStr}_${company}`;
+    }
+    if (this.filter.since) {
+      filename += '_delta';
+    }
+
+    return `${filename}_${this.total}posts.${this.format.extension}`;
+  }
+
+  // One post as cell values, one per column; shared by CSV and XLSX. A count the
+  // platform doesn't show stays empty.
+  static rowValues(post, columns) {
+    if (!post.engagement) {
+      post = { ...post, engagement: Engagement.compute(post) };
+    }
+    return columns.map(column => ExportColumns.value(post, column.path));
+  }
+
+  // RFC 4180: CRLF line ends, and fields with a comma, quote or line break are
+  // quoted, so multi-line text and replies stay in one cell
+  static csvLine(values) {
+    return values.map(value => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+  }
+
+  // Bytes can't cross chrome.runtime messaging, which is JSON; they travel as base64
+  static toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  static fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  // Serve exports to the control panel over ports named PostExport.PORT_NAME. The
+  // page asks for each chunk with `next` once it has written the previous one, so
+  // chunks never pile up faster than the file is written.
+  static serve(port, postsDB) {
+    let postExport = null;
+    port.onMessage.addListener(async (message) => {
+      try {
+        if (message.type === 'start') {
+          postExport = new PostExport(postsDB, message.request);
+          port.postMessage(await postExport.start());
+        } else if (message.type === 'finish' && postExport) {
+          port.postMessage({ manifest: await postExport.finish(message.filename) });
+        } else if (message.type === 'next' && postExport) {
+          const data = await postExport.next();
+          if (data === null) {
+            port.postMessage({ done: true });
+          } else if (data instanceof Uint8Array) {
+            port.postMessage({ data: PostExport.toBase64(data), encoding: 'base64', processed: postExport.processed });
+          } else {
+            port.postMessage({ data: data, processed: postExport.processed });
+          }
+        }
+      } catch (error) {
+        console.error('[PostExport] Export failed:', error);
+        port.postMessage({ error: error.message });
+      }
+    });
+  }
+
+  // Where the chunks come from: the background over a port, or the page's own
+  // database when it has one (outside the extension)
+  static openSource(request) {
+    if (typeof PostsDBClient === 'undefined' || !(window.postsDB instanceof PostsDBClient)) {
+      const postExport = new PostExport(window.postsDB, request);
+      return {
+        start: () => postExport.start(),
+        next: async () => {
+          const data = await postExport.next();
+          return data === null ? null : { data: data, processed: postExport.processed };
+        },
+        finish: (filename) => postExport.finish(filename),
+        close: () => {}
+      };
+    }
+
+    const port = chrome.runtime.connect({ name: PostExport.PORT_NAME });
+    let pending = null;
+    port.onMessage.addListener((message) => {
+      const reply = pending;
+      pending = null;
+      if (!reply) return;
+      if (message.error) {
+        reply.reject(new Error(message.error));
+      } else {
+        reply.resolve(message);
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      if (pending) pending.reject(new Error('The export was interrupted'));
+      pending = null;
+    });
+    const ask = (message) => new Promise((resolve, reject) => {
+      pending = { resolve, reject };
+      port.postMessage(message);
+    });
+
+    return {
+      start: () => ask({ type: 'start', request: request }),
+      next: async () => {
+        const reply = await ask({ type: 'next' });
+        if (reply.done) return null;
+        return reply.encoding === 'base64' ? { ...reply, data: PostExport.fromBase64(reply.data) } : reply;
+      },
+      finish: async (filename) => (await ask({ type: 'finish', filename: filename })).manifest,
+      close: () => port.disconnect()
+    };
+  }
+
+  // Where the chunks go. Returns null when the user cancels the save dialog.
+  static async openSink(filename, type, extension) {
+    if (typeof window.showSaveFilePicker === 'function') {
+      try {
+        const handle = await window.showSaveFilePicker({
+          suggestedName: filename,
+          types: [{ description: `${extension.toUpperCase()} export`, accept: { [type]: [`.${extension}`] } }]
+        });
+        const writable = await handle.createWritable();
+        return {
+          filename: handle.name,
+          write: (data) => writable.write(data),
+          close: () => writable.close(),
+          abort: () => writable.abort()
+        };
+      } catch (error) {
+        if (error.name === 'AbortError') return null;
+        // E.g. the click's user activation ran out while counting posts
+        console.warn('[PostExport] Save dialog unavailable, downloading instead:', error.message);
+      }
+    }
+
+    // One Blob per chunk: the browser keeps Blob data outside the page's heap and
+    // can page it to disk, unlike one concatenated string
+    let parts = [];
+    return {
+      filename: filename,
+      write: async (data) => {
+        parts.push(new Blob([data], { type: type }));
+      },
+      close: async () => {
+        PostExport.download(filename, parts, type);
+        parts = [];
+      },
+      abort: async () => {
+        parts = [];
+      }
+    };
+  }
+
+  static download(filename, parts, type) {
+    const url = URL.createObjectURL(new Blob(parts, { type: type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Export to a file from the page. `onProgress({ processed, total })` is called
+  // after every chunk. Resolves null when no posts match ({ empty: true, since } for
+  // an incremental export with nothing new), { cancelled: true } when
+  // the save dialog was dismissed, otherwise { filename, processed, total }, plus
+  // the `manifest` of an incremental export, which is saved next to the file.
+  static async save(request, onProgress = () => {}) {
+    const source = PostExport.openSource(request);
+    let sink = null;
+    try {
+      const { total, filename, type, since } = await source.start();
+      if (total === 0) return since ? { empty: true, since: since } : null;
+
+      const extension = PostExport.FORMATS[(request.format || 'json').toLowerCase()].extension;
+      sink = await PostExport.openSink(filename, type, extension);
+      if (!sink) return { cancelled: true };
+
+      let processed = 0;
+      onProgress({ processed: processed, total: total });
+      let chunk;
+      while ((chunk = await source.next()) !== null) {
+        await sink.write(chunk.data);
+        processed = chunk.processed;
+        onProgress({ processed: processed, total: total });
+      }
+      await sink.close();
+
+      const manifest = await source.finish(sink.filename);
+      if (manifest) {
+        const manifestName = sink.filename.replace(/\.[^.]+$/, '') + '.manifest.json';
+        PostExport.download(manifestName, [JSON.stringify(manifest, null, 2)], 'application/json');
+      }
+      return { filename: sink.filename, processed: processed, total: total, manifest: manifest };
+    } catch (error) {
+      if (sink) await sink.abort().catch(() => {});
+      throw error;
+    } finally {
+      source.close();
+    }
+  }
+}
+
+PostExport.PORT_NAME = 'postsExport';
+PostExport.CHUNK_SIZE = 250; // posts per IndexedDB read and per message
+// Row formats provide header(), row(post, index, postExport) and footer(); createWriter()
+// formats produce their bytes themselves (see XlsxWriter, HtmlReport)
+PostExport.FORMATS = {
+  json: {
+    extension: 'json',
+    type: 'application/json',
+    nested: true,
+    header: () => '[\n',
+    // Same layout as JSON.stringify(posts, null, 2), one post at a time
+    row: (post, index) => (index > 0 ? ',\n' : '') + '  ' + JSON.stringify(post, null, 2).replace(/\n/g, '\n  '),
+    footer: () => '\n]\n'
+  },
+  // One post per line, for ingestion pipelines
+  ndjson: {
+    extension: 'ndjson',
+    type: 'application/x-ndjson',
+    nested: true,
+    header: () => '',
+    row: (post) => JSON.stringify(post) + '\n',
+    footer: () => ''
+  },
+  csv: {
+    extension: 'csv',
+    type: 'text/csv',
+    // The byte order mark tells Excel the file is UTF-8
+    header: (postExport) => '\uFEFF' + PostExport.csvLine(postExport.columns.map(column => column.header || column.path)),
+    row: (post, index, postExport) => PostExport.csvLine(PostExport.rowValues(post, postExport.columns)),
+    footer: () => ''
+  },
+  xlsx: {
+    extension: 'xlsx',
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    binary: true,
+    createWriter: (postExport) => new XlsxWriter(postExport)
+  },
+  html: {
+    extension: 'html',
+    type: 'text/html',
+    createWriter: (postExport) => new HtmlReport(postExport)
+  }
+};
@@ -0,0 +1,284 @@
+// Post import: reads our own JSON, NDJSON and CSV exports back into the database,
+// to restore a backup, move posts to another browser or merge a colleague's crawl.
+//
+// The file is parsed and checked against the post schema in the page, then sent
+// to the database in batches. PostsDB.importPosts() merges each post by `id`:
+// 'newest' keeps the metrics of whichever copy was seen last, 'existing' leaves
+// posts that are already stored alone. JSON keeps every field. CSV brings back
+// the columns that map onto a field (see export-columns.js); counts and lists of
+// links are skipped, and the engagement columns become the platform's metrics.
+// Posts from older versions are brought up to date on the way in: counts the
+// page didn't show ('NA') become null, and times stored as the page showed them
+// ("2w") are resolved the way database version 9 does for stored posts.
+class PostImport {
+  // { format, posts, rejected: [{ line, id, reason }] } for the text of an export file.
+  // `presets` name the CSV headers (see ExportColumns.getPresets). A JSON file
+  // that can't be read at all is a single rejection without a line.
+  static parse(text, filename = '', presets = ExportColumns.PRESETS) {
+    text = text.replace(/^\uFEFF/, '');
+    const extension = (filename.match(/\.([^.]+)$/) || [])[1]?.toLowerCase();
+    const trimmed = text.trimStart();
+
+    let format;
+    let records;
+    if (extension === 'csv' || (!extension && !/^[[{]/.test(trimmed))) {
+      format = 'csv';
+      records = PostImport.csvRecords(text, presets);
+    } else {
+      // A document that parses as a whole is JSON: an export, or the crawl
+      // runner's output with the posts under `posts`. Otherwise one post per line.
+      const { value, error } = PostImport.parseJson(text);
+      if (!error) {
+        format = 'json';
+        const list = Array.isArray(value) ? value : (value && Array.isArray(value.posts) ? value.posts : [value]);
+        records = list.map((post, index) => ({ line: index + 1, post: post }));
+      } else if (extension === 'json' || trimmed.startsWith('[')) {
+        return { format: 'json', posts: [], rejected: [{ line: null, id: null, reason: `Not valid JSON: ${error.message}` }] };
+      } else {
+        format = 'ndjson';
+        records = PostImport.ndjsonRecords(text);
+      }
+    }
+
+    const posts = [];
+    const rejected = [];
+    records.forEach(({ line, post, error }) => {
+      const reason = error || PostImport.validate(post);
+      if (reason) {
+        rejected.push({ line: line, id: post && typeof post.id === 'string' ? post.id : null, reason: reason });
+      } else {
+        posts.push(PostImport.normalize(post));
+      }
+    });
+    return { format: format, posts: posts, rejected: rejected };
+  }
+
+  // Why a record can't be stored as a post, or null when it can
+  static validate(post) {
+    if (!post || typeof post !== 'object' || Array.isArray(post)) return 'Not a post object';
+    if (typeof post.id !== 'string' || !post.id.trim()) return 'Missing "id"';
+    if (!PostImport.PLATFORMS.includes(post.platform)) return `Unknown platform "${post.platform}"`;
+    if (!PostImport.isDate(post.crawledAt)) return 'Missing or invalid "crawledAt"';
+
+    // A time that isn't a date is kept as timestampRaw by normalize()
+    if (post.timestamp !== undefined && post.timestamp !== null && typeof post.timestamp !== 'string') {
+      return 'Invalid "timestamp"';
+    }
+    for (const field of ['lastSeenAt', 'updatedAt']) {
+      if (post[field] !== undefined && post[field] !== null && !PostImport.isDate(post[field])) {
+        return `Invalid "${field}"`;
+      }
+    }
+    for (const field of ['text', 'company', 'url', 'permalink']) {
+      if (post[field] !== undefined && post[field] !== null && typeof post[field] !== 'string') {
+        return `"${field}" must be text`;
+      }
+    }
+    if (post.author !== undefined && (!post.author || typeof post.author !== 'object' || Array.isArray(post.author))) {
+      return '"author" must be an object';
+    }
+    if (post.metrics !== undefined) {
+      if (!post.metrics || typeof post.metrics !== 'object' || Array.isArray(post.metrics)) {
+        return '"metrics" must be an object';
+      }
+    }
+    if (post.engagementHistory !== undefined && !Array.isArray(post.engagementHistory)) {
+      return '"engagementHistory" must be a list';
+    }
+    return null;
+  }
+
+  static isDate(value) {
+    return typeof value === 'string' && !isNaN(Date.parse(value));
+  }
+
+  // The post as it is stored: derived fields are recomputed by the database
+  static normalize(post) {
+    const { engagement, ...stored } = post;
+    if (!stored.company) stored.company = 'unknown';
+
+    // Anything but a count ('NA' from older TikTok crawls) means not shown
+    if (stored.metrics) {
+      stored.metrics = { ...stored.metrics };
+      Object.keys(stored.metrics).forEach(key => {
+        if (!(typeof stored.metrics[key] === 'number' && Number.isFinite(stored.metrics[key]))) {
+          stored.metrics[key] = null;
+        }
+      });
+    }
+
+    // Posts from before timestamps were normalized, or times that aren't dates
+    if (stored.timestamp && (stored.timestampPrecision === undefined || !PostImport.isDate(stored.timestamp))) {
+      Object.assign(stored, Timestamps.normalize(stored.timestamp, stored.crawledAt));
+    }
+
+    // A CSV export only has the cross-platform counts; put them back under the
+    // platform's own metric names
+    if (!stored.metrics && engagement) {
+      const fields = Engagement.FIELDS[stored.platform] || Engagement.FIELDS.default;
+      stored.metrics = {};
+      Object.entries(fields).forEach(([name, keys]) => {
+        if (keys.length > 0 && typeof engagement[name] === 'number') {
+          stored.metrics[keys[0]] = engagement[name];
+        }
+      });
+    }
+    return stored;
+  }
+
+  static parseJson(text) {
+    try {
+      return { value: JSON.parse(text), error: null };
+    } catch (error) {
+      return { value: undefined, error: error };
+    }
+  }
+
+  static ndjsonRecords(text) {
+    const records = [];
+    text.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push({ line: index + 1, post: JSON.parse(line) });
+      } catch (error) {
+        records.push({ line: index + 1, error: 'Not valid JSON' });
+      }
+    });
+    return records;
+  }
+
+  // CSV rows as posts, mapping each header to a field path: a header of a column
+  // preset, or a field path itself
+  static csvRecords(text, presets) {
+    const [header, ...rows] = PostImport.parseCsv(text);
+    if (!header) return [];
+
+    const paths = {};
+    Object.values(presets).forEach(preset => {
+      preset.columns.forEach(column => {
+        paths[column.header] = column.path;
+      });
+    });
+    const setters = header.map(name => PostImport.columnSetter(paths[name.trim()] || name.trim()));
+
+    return rows
+      .map((row, index) => ({ line: index + 2, row: row }))
+      .filter(({ row }) => row.some(cell => cell !== ''))
+      .map(({ line, row }) => {
+        const post = {};
+        row.forEach((cell, column) => {
+          if (cell !== '' && setters[column]) setters[column](post, cell);
+        });
+        return { line: line, post: post };
+      });
+  }
+
+  // Function that writes one CSV cell back onto a post, or null for columns that
+  // can't be reversed (counts, first/last, wildcards)
+  static columnSetter(path) {
+    let compiled;
+    try {
+      compiled = ExportColumns.compile(path);
+    } catch (error) {
+      return null;
+    }
+    const { steps, filters } = compiled;
+    if (steps.length === 0 || steps.some(step => step === '*')) return null;
+    if (filters.length > 1 || (filters.length === 1 && !['join', 'json'].includes(filters[0].name))) return null;
+
+    const filter = filters[0];
+    const fieldPath = steps.join('.');
+    return (post, cell) => {
+      let value = cell;
+      if (filter?.name === 'json') {
+        try {
+          value = JSON.parse(cell);
+        } catch (error) {
+          return;
+        }
+      } else if (filter?.name === 'join') {
+        value = cell.split(filter.arg ?? '; ');
+      } else if (PostImport.NUMBER_PATHS.some(prefix => fieldPath === prefix || fieldPath.startsWith(`${prefix}.`))) {
+        value = Number(cell);
+        if (!Number.isFinite(value)) return;
+      } else if (PostImport.BOOLEAN_FIELDS.includes(fieldPath)) {
+        value = cell === 'true';
+      }
+
+      // Numeric steps are array positions
+      let target = post;
+      steps.slice(0, -1).forEach((step, index) => {
+        if (target[step] === undefined) {
+          target[step] = typeof steps[index + 1] === 'number' ? [] : {};
+        }
+        target = target[step];
+      });
+      target[steps[steps.length - 1]] = value;
+    };
+  }
+
+  // RFC 4180 fields: quoted fields may hold commas, quotes ("") and line breaks
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // Import a file from the page into window.postsDB. `onProgress({ processed, total })`
+  // is called after every batch. Resolves { format, added, updated, kept, rejected }.
+  static async run(file, strategy = 'newest', onProgress = () => {}) {
+    const { format, posts, rejected } = PostImport.parse(await file.text(), file.name, await ExportColumns.getPresets());
+    const report = { format: format, added: 0, updated: 0, kept: 0, rejected: rejected };
+    console.log(`[PostImport] ${file.name}: ${posts.length} posts to import as ${format}, ${rejected.length} rejected`);
+
+    onProgress({ processed: 0, total: posts.length });
+    for (let i = 0; i < posts.length; i += PostImport.BATCH_SIZE) {
+      const result = await window.postsDB.importPosts(posts.slice(i, i + PostImport.BATCH_SIZE), strategy);
+      report.added += result.added;
+      report.updated += result.updated;
+      report.kept += result.kept;
+      report.rejected.push(...result.rejected);
+      onProgress({ processed: Math.min(i + PostImport.BATCH_SIZE, posts.length), total: posts.length });
+    }
+    return report;
+  }
+}
+
+PostImport.BATCH_SIZE = 250; // posts per database transaction and per message
+PostImport.STRATEGIES = ['newest', 'existing'];
+PostImport.PLATFORMS = Object.keys(Engagement.FIELDS).filter(platform => platform !== 'default');
+// CSV columns read back as numbers or booleans; everything else stays text
+PostImport.NUMBER_PATHS = ['engagement', 'metrics', 'author.followers', 'companyFollowers', 'videoDuration'];
+PostImport.BOOLEAN_FIELDS = ['isRetweet', 'isReply', 'isSponsored', 'isNSFW', 'isSpoiler', 'isLocked', 'isStickied', 'downloaded'];
@@ -0,0 +1,145 @@
+// Selector packs: the CSS selectors each crawler uses, kept in versioned JSON files
+// (selectors/<platform>.json) instead of code, so a fix for a DOM change can be
+// shared as a file and imported from the control panel.
+//
+// A pack is { platform, version, description, selectors }. A selector value is a
+// string or an array of fallbacks, tried as one CSS selector list. An imported pack
+// only needs the keys it changes; everything else comes from the bundled pack.
+class SelectorPacks {
+  // Bundled pack for a platform. The headless runner provides packs up front;
+  // in the extension the background reads the packaged file.
+  static async loadBundled(platform) {
+    if (typeof window !== 'undefined' && window.__selectorPacks && window.__selectorPacks[platform]) {
+      return window.__selectorPacks[platform];
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'getSelectorPack', platform: platform });
+    if (!response || !response.success) {
+      throw new Error(response?.error || `No bundled selector pack for ${platform}`);
+    }
+    return response.pack;
+  }
+
+  static hasExtensionStorage() {
+    try {
+      return typeof chrome !== 'undefined' && !!(chrome.runtime?.id && chrome.storage?.local);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static async getImported() {
+    if (!SelectorPacks.hasExtensionStorage()) return {};
+    const result = await chrome.storage.local.get(SelectorPacks.STORAGE_KEY);
+    return result[SelectorPacks.STORAGE_KEY] || {};
+  }
+
+  // The pack in use: the bundled pack with an imported pack laid over it
+  static async load(platform) {
+    const bundled = await SelectorPacks.loadBundled(platform);
+    const imported = (await SelectorPacks.getImported())[platform];
+    if (!imported) {
+      return { ...bundled, source: 'bundled' };
+    }
+
+    return {
+      ...imported,
+      selectors: SelectorPacks.merge(bundled.selectors, imported.selectors),
+      bundledVersion: bundled.version,
+      source: 'imported'
+    };
+  }
+
+  static merge(base, override) {
+    const merged = { ...base };
+    Object.entries(override || {}).forEach(([key, value]) => {
+      const isGroup = value && typeof value === 'object' && !Array.isArray(value);
+      merged[key] = isGroup ? SelectorPacks.merge(base[key] || {}, value) : value;
+    });
+    return merged;
+  }
+
+  // Selectors in the shape the crawlers use: fallback arrays become one selector list
+  static resolve(selectors) {
+    const resolved = {};
+    Object.entries(selectors).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        resolved[key] = value.join(', ');
+      } else if (value && typeof value === 'object') {
+        resolved[key] = SelectorPacks.resolve(value);
+      } else {
+        resolved[key] = value;
+      }
+    });
+    return resolved;
+  }
+
+  // Throws with a message for the user if the pack can't be used for `platform`
+  static validate(pack, platform) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      throw new Error('A selector pack must be a JSON object');
+    }
+    if (pack.platform !== platform) {
+      throw new Error(`This pack is for "${pack.platform}", not ${platform}`);
+    }
+    if (typeof pack.version !== 'string' || !pack.version.trim()) {
+      throw new Error('A selector pack needs a "version"');
+    }
+    if (!pack.selectors || typeof pack.selectors !== 'object' || Array.isArray(pack.selectors)) {
+      throw new Error('A selector pack needs a "selectors" object');
+    }
+
+    const checkGroup = (group, prefix) => {
+      Object.entries(group).forEach(([key, value]) => {
+        const name = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          checkGroup(value, name);
+          return;
+        }
+        const candidates = Array.isArray(value) ? value : [value];
+        if (candidates.length === 0 || candidates.some(candidate => typeof candidate !== 'string' || !candidate.trim())) {
+          throw new Error(`Selector "${name}" must be a string or a list of strings`);
+        }
+        // Let the browser parse it, so a typo is reported now rather than mid-crawl
+        try {
+          document.createDocumentFragment().querySelector(candidates.join(', '));
+        } catch (error) {
+          throw new Error(`Selector "${name}" is not valid CSS: ${candidates.join(', ')}`);
+        }
+      });
+    };
+    checkGroup(pack.selectors, '');
+  }
+
+  static async importPack(pack, platform) {
+    SelectorPacks.validate(pack, platform);
+    if (!SelectorPacks.hasExtensionStorage()) {
+      throw new Error('Selector packs can only be imported in the extension');
+    }
+
+    const imported = await SelectorPacks.getImported();
+    imported[platform] = {
+      platform: pack.platform,
+      version: pack.version,
+      description: pack.description || '',
+      selectors: pack.selectors,
+      importedAt: new Date().toISOString()
+    };
+    await chrome.storage.local.set({ [SelectorPacks.STORAGE_KEY]: imported });
+  }
+
+  // Go back to the bundled pack
+  static async reset(platform) {
+    if (!SelectorPacks.hasExtensionStorage()) return;
+    const imported = await SelectorPacks.getImported();
+    delete imported[platform];
+    await chrome.storage.local.set({ [SelectorPacks.STORAGE_KEY]: imported });
+  }
+
+  // Recorded on each post, e.g. "twitter@1.0.0"
+  static id(pack) {
+    return pack ? `${pack.platform}@${pack.version}` : null;
+  }
+}
+
+SelectorPacks.STORAGE_KEY = 'selectorPacks';
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadPage } = require('../index.js');
+
+// chrome.runtime as seen from an extension page, with the ports it opens recorded
+function connectableRuntime(window) {
+  const ports = [];
+  window.chrome.runtime.id = 'extension-id';
+  window.chrome.runtime.connect = ({ name }) => {
+    const port = { name: name, messages: [], disconnected: false };
+    port.postMessage = (message) => port.messages.push(JSON.parse(JSON.stringify(message)));
+    port.disconnect = () => { port.disconnected = true; };
+    port.onDisconnect = { addListener() {} };
+    ports.push(port);
+    return port;
+  };
+  return ports;
+}
+
+test('checkpoints go to the background, never into the site\'s storage', async () => {
+  const page = loadPage('https://x.com/fixtureco', '<!DOCTYPE html><body></body>');
+  const ports = connectableRuntime(page.window);
+  const crawler = new (page.evaluate('TwitterCrawler'))();
+  crawler.notifyBackground = () => {};
+  try {
+    crawler.isRunning = true;
+    crawler.beginSession({ maxPosts: 10 });
+    crawler.lastProcessedPost = { id: 'twitter_1', timestamp: null };
+    crawler.saveCheckpoint();
+    crawler.stopCrawling();
+
+    assert.strictEqual(page.window.localStorage.length, 0);
+    assert.strictEqual(ports.length, 1);
+    assert.strictEqual(ports[0].name, 'crawlCheckpoints');
+    const [saved, cleared] = ports[0].messages;
+    assert.strictEqual(saved.key, 'crawlCheckpoint:twitter:https://x.com/fixtureco');
+    assert.strictEqual(saved.checkpoint.lastPostId, 'twitter_1');
+    assert.deepStrictEqual(cleared, { key: saved.key, checkpoint: null });
+    assert.strictEqual(ports[0].disconnected, true);
+  } finally {
+    page.window.close();
+  }
+});
+
+test('a checkpoint planted in the site\'s storage is not resumed', async () => {
+  const page = loadPage('https://x.com/fixtureco', '<!DOCTYPE html><body></body>');
+  connectableRuntime(page.window);
+  page.window.chrome.storage.local.get = async () => ({});
+  page.window.localStorage.setItem('crawlCheckpoint:twitter:https://x.com/fixtureco', JSON.stringify({ lastPostId: 'planted', savedAt: Date.now() }));
+  const crawler = new (page.evaluate('TwitterCrawler'))();
+  try {
+    assert.strictEqual(await crawler.loadCheckpoint(), null);
+  } finally {
+    page.window.close();
+  }
+});
+
+test('the background only writes checkpoint keys sent over the port', async () => {
+  const page = loadPage('https://example.com/', '<!DOCTYPE html><body></body>');
+  page.evaluate(fs.readFileSync(path.join(__dirname, '..', 'crawl-sessions.js'), 'utf8'));
+  const writes = [];
+  page.window.chrome.storage.local.set = async (items) => { writes.push(['set', ...Object.keys(items)]); };
+  page.window.chrome.storage.local.remove = async (key) => { writes.push(['remove', key]); };
+  let listener;
+  const port = { onMessage: { addListener: (callback) => { listener = callback; } } };
+  try {
+    page.evaluate('CrawlSessions').serveCheckpoints(port);
+    listener({ key: 'crawlCheckpoint:twitter:https://x.com/a', checkpoint: { savedAt: 1 } });
+    listener({ key: 'crawlJobs', checkpoint: [] });
+    listener({ key: 'crawlCheckpoint:twitter:https://x.com/a', checkpoint: null });
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.deepStrictEqual(writes, [
+      ['set', 'crawlCheckpoint:twitter:https://x.com/a'],
+      ['remove', 'crawlCheckpoint:twitter:https://x.com/a']
+    ]);
+  } finally {
+    page.window.close();
+  }
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadPage } = require('../index.js');
+
+const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+
+test('queued URLs get a crawler only on the manifest\'s hosts', () => {
+  const page = loadPage('https://x.com/', '<!DOCTYPE html><body></body>');
+  page.window.chrome.runtime.getManifest = () => manifest;
+  page.evaluate(fs.readFileSync(path.join(__dirname, '..', 'crawl-queue.js'), 'utf8'));
+  const CrawlQueue = page.evaluate('CrawlQueue');
+  try {
+    assert.strictEqual(CrawlQueue.detectPlatform('https://x.com/fixtureco'), 'twitter');
+    assert.strictEqual(CrawlQueue.detectPlatform('https://www.linkedin.com/company/fixtureco/posts/'), 'linkedin');
+    assert.strictEqual(CrawlQueue.detectPlatform('https://old.reddit.com/r/fixtureco/'), 'reddit');
+    assert.strictEqual(CrawlQueue.detectPlatform('https://www.netflix.com/browse'), null);
+    assert.strictEqual(CrawlQueue.detectPlatform('https://linkedin.com.evil.io/company/fixtureco'), null);
+    assert.strictEqual(CrawlQueue.detectPlatform('https://mobile.twitter.com/fixtureco'), null);
+    assert.strictEqual(CrawlQueue.detectPlatform('http://x.com/fixtureco'), null);
+    assert.strictEqual(CrawlQueue.detectPlatform('not a url'), null);
+  } finally {
+    page.window.close();
+  }
+});
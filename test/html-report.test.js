@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('../index.js');
+
+test('a post link that is not http(s) is left out of the report card', async () => {
+  const page = loadPage('https://example.com/', '<!DOCTYPE html><body></body>');
+  const report = new (page.evaluate('HtmlReport'))({});
+  const post = { platform: 'twitter', text: 'Launch day', author: { name: 'Fixture Co' } };
+  try {
+    const unsafe = await report.row({ ...post, permalink: 'javascript:alert(document.domain)' });
+    assert.ok(!unsafe.includes('href='));
+    assert.ok(!unsafe.includes('javascript:'));
+
+    const fallback = await report.row({ ...post, permalink: 'javascript:alert(1)', url: 'https://x.com/fixtureco/status/1' });
+    assert.ok(fallback.includes('<a href="https://x.com/fixtureco/status/1"'));
+  } finally {
+    page.window.close();
+  }
+});
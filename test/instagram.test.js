@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('../index.js');
+
+async function instagramPage(url, html) {
+  const page = loadPage(url, html);
+  const crawler = new (page.evaluate('InstagramCrawler'))();
+  await crawler.loadSelectorPack();
+  return { page, crawler };
+}
+
+test('reads metrics from their links and buttons in any UI language', async () => {
+  const { page, crawler } = await instagramPage('https://www.instagram.com/reel/C8abcDEFgh/', `<!DOCTYPE html><body><main>
+    <article>
+      <section><span role="button">12,3 Mio. Aufrufe</span></section>
+      <section><span>Gefällt <a href="/fixtureco/">fixtureco</a> und <a href="/reel/C8abcDEFgh/liked_by/">56 weiteren Personen</a></span></section>
+      <a href="/reel/C8abcDEFgh/comments/">Alle 78 Kommentare ansehen</a>
+    </article>
+  </main></body>`);
+  try {
+    const metrics = crawler.extractInstagramMetrics(page.window.document.querySelector('article'));
+    assert.deepStrictEqual({ ...metrics }, { likes: 57, comments: 78, views: 12300000 });
+  } finally {
+    page.window.close();
+  }
+});
+
+test('leaves counts the post does not show null', async () => {
+  const { page, crawler } = await instagramPage('https://www.instagram.com/p/C8abcDEFgh/', `<!DOCTYPE html><body><main>
+    <article><section><span role="button"><svg aria-label="Like"></svg></span></section></article>
+  </main></body>`);
+  try {
+    const metrics = crawler.extractInstagramMetrics(page.window.document.querySelector('article'));
+    assert.deepStrictEqual({ ...metrics }, { likes: null, comments: null, views: null });
+  } finally {
+    page.window.close();
+  }
+});
+
+// A profile grid whose tiles open the post dialog, which moves on with the right
+// arrow key, as on the site. The first post is an old pinned one.
+const POSTED = ['2023-01-01', '2024-06-10', '2024-05-20', '2024-04-01', '2024-03-01', '2024-02-01', '2024-01-01'];
+const shortcode = (index) => `C8post000${index}`;
+const GRID = `<!DOCTYPE html><body><main>
+  ${POSTED.map((date, index) => `<a href="/p/${shortcode(index)}/"><img alt="Post ${index}"></a>`).join('\n')}
+</main></body>`;
+
+function openDialogOnTileClick(window) {
+  const document = window.document;
+  let showing = -1;
+  const show = (index) => {
+    showing = index;
+    window.history.pushState({}, '', `/p/${shortcode(index)}/`);
+    document.querySelector('div[role="dialog"]')?.remove();
+    document.body.insertAdjacentHTML('beforeend', `<div role="dialog"><article>
+      <header><a href="/fixtureco/">fixtureco</a></header>
+      <ul><li><div><span dir="auto">Post ${index}</span></div></li></ul>
+      <a href="/p/${shortcode(index)}/"><time datetime="${POSTED[index]}T12:00:00.000Z"></time></a>
+    </article></div>`);
+  };
+  document.querySelector('main').addEventListener('click', event => {
+    event.preventDefault();
+    show(0);
+  });
+  document.addEventListener('keydown', event => {
+    if (event.key === 'ArrowRight' && showing >= 0 && showing < POSTED.length - 1) show(showing + 1);
+  });
+}
+
+test('walks a grid through the post dialog and stops at the date cutoff', async () => {
+  const { page, crawler } = await instagramPage('https://www.instagram.com/fixtureco/', GRID);
+  openDialogOnTileClick(page.window);
+  const saved = [];
+  const messages = [];
+  crawler.savePost = async (post) => {
+    saved.push(post);
+    return true;
+  };
+  crawler.notifyBackground = (message) => messages.push(message);
+  try {
+    crawler.isRunning = true;
+    crawler.beginSession({ since: '2024-05-01' });
+    // Posts are counted once their save resolves
+    for (let step = 0; step < 20 && crawler.isRunning; step++) {
+      crawler.autoScroll();
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    assert.strictEqual(crawler.isRunning, false);
+    assert.deepStrictEqual(saved.map(post => post.shortcode), POSTED.slice(0, 6).map((date, index) => shortcode(index)));
+    assert.strictEqual(saved[1].timestamp, '2024-06-10T12:00:00.000Z');
+    assert.strictEqual(saved[1].company, 'fixtureco');
+    assert.strictEqual(messages.find(message => message.action === 'crawlerStopped').reason, 'posts are older than 2024-05-01');
+  } finally {
+    crawler.stopCrawling();
+    page.window.close();
+  }
+});
+
+test('ends the dialog walk when the dialog is closed', async () => {
+  const { page, crawler } = await instagramPage('https://www.instagram.com/fixtureco/', GRID);
+  openDialogOnTileClick(page.window);
+  const messages = [];
+  crawler.savePost = () => {};
+  crawler.notifyBackground = (message) => messages.push(message);
+  try {
+    crawler.isRunning = true;
+    crawler.beginSession({ since: '2020-01-01' });
+    crawler.autoScroll();
+    crawler.autoScroll();
+    page.window.document.querySelector('div[role="dialog"]').remove();
+    for (let step = 0; step < 20 && crawler.isRunning; step++) {
+      crawler.autoScroll();
+    }
+
+    assert.strictEqual(crawler.isRunning, false);
+    assert.strictEqual(messages.find(message => message.action === 'crawlerStopped').reason, 'the post dialog was closed');
+  } finally {
+    crawler.stopCrawling();
+    page.window.close();
+  }
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('../index.js');
+
+const page = loadPage('https://example.com/', '<!DOCTYPE html><body></body>');
+const crawler = new (page.evaluate('BaseCrawler'))();
+// Copy out of the page's realm so deepStrictEqual compares plain objects
+const count = (text) => ({ ...crawler.parseCount(text) });
+
+test.after(() => page.window.close());
+
+test('reads exact counts with any grouping separator', () => {
+  assert.deepStrictEqual(count('1,234'), { value: 1234, exact: true });
+  assert.deepStrictEqual(count('1.234'), { value: 1234, exact: true });
+  assert.deepStrictEqual(count('1 234'), { value: 1234, exact: true });
+  assert.deepStrictEqual(count('42 likes'), { value: 42, exact: true });
+});
+
+test('scales abbreviated counts and marks them rounded', () => {
+  assert.deepStrictEqual(count('1.5M views'), { value: 1500000, exact: false });
+  assert.deepStrictEqual(count('3,4 k'), { value: 3400, exact: false });
+  assert.deepStrictEqual(count('2 lakh'), { value: 200000, exact: false });
+});
+
+test('applies single CJK units', () => {
+  assert.deepStrictEqual(count('1.2万'), { value: 12000, exact: false });
+  assert.deepStrictEqual(count('3億'), { value: 300000000, exact: false });
+  assert.deepStrictEqual(count('5천'), { value: 5000, exact: false });
+});
+
+test('multiplies stacked CJK units together', () => {
+  assert.deepStrictEqual(count('1.2千万'), { value: 12000000, exact: false });
+  assert.deepStrictEqual(count('3千萬'), { value: 30000000, exact: false });
+  assert.deepStrictEqual(count('1.5천만'), { value: 15000000, exact: false });
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('../index.js');
+
+const page = loadPage('https://example.com/', '<!DOCTYPE html><body></body>');
+const PostImport = page.evaluate('PostImport');
+const PostExport = page.evaluate('PostExport');
+
+test.after(() => page.window.close());
+
+// As stored by older versions: TikTok's 'NA' for counts the video page didn't
+// show, and a post time kept as the page showed it
+const TIKTOK_POST = {
+  id: 'tiktok_7380000000000000001',
+  platform: 'tiktok',
+  company: 'fixtureco',
+  text: 'Behind the scenes',
+  timestamp: '2024-06-18T09:30:00.000Z',
+  timestampRaw: '2024-06-18T09:30:00.000Z',
+  timestampPrecision: 'second',
+  crawledAt: '2024-06-20T12:00:00.000Z',
+  metrics: { likes: 310, comments: 12, shares: 'NA', views: 'NA', collects: 4 }
+};
+const LEGACY_POST = {
+  id: 'linkedin_7200000000000000001',
+  platform: 'linkedin',
+  company: 'fixtureco',
+  text: 'We are hiring',
+  timestamp: '2w',
+  crawledAt: '2024-06-20T12:00:00.000Z',
+  metrics: { reactions: 25, comments: 3, reposts: 1 }
+};
+
+// The text of an export of `posts` in `format`, written by PostExport itself
+async function exportPosts(posts, format) {
+  const postsDB = {
+    countPosts: async () => posts.length,
+    readPostsAfter: async () => ({ posts: posts, position: null, done: true })
+  };
+  const postExport = new PostExport(postsDB, { format: format });
+  await postExport.start();
+  let text = '';
+  for (let part = await postExport.next(); part !== null; part = await postExport.next()) {
+    text += part;
+  }
+  return text;
+}
+
+for (const format of ['json', 'ndjson']) {
+  test(`re-imports a ${format} export with a TikTok post and a legacy post`, async () => {
+    const text = await exportPosts([TIKTOK_POST, LEGACY_POST], format);
+    const result = PostImport.parse(text, `social_media_posts_2024-06-20_2posts.${format}`);
+
+    assert.strictEqual(result.format, format);
+    assert.strictEqual(result.rejected.length, 0);
+    assert.strictEqual(result.posts.length, 2);
+
+    const [tiktok, legacy] = result.posts;
+    assert.deepStrictEqual({ ...tiktok.metrics }, { likes: 310, comments: 12, shares: null, views: null, collects: 4 });
+    assert.strictEqual(tiktok.timestamp, '2024-06-18T09:30:00.000Z');
+
+    // Resolved against crawledAt, as database version 9 does
+    assert.strictEqual(legacy.timestamp, '2024-06-06T12:00:00.000Z');
+    assert.strictEqual(legacy.timestampRaw, '2w');
+    assert.strictEqual(legacy.timestampPrecision, 'week');
+  });
+}
+
+test('keeps a time that is not a date as timestampRaw', () => {
+  const text = JSON.stringify([{ ...LEGACY_POST, timestamp: 'sometime last spring' }]);
+  const { posts, rejected } = PostImport.parse(text, 'posts.json');
+
+  assert.strictEqual(rejected.length, 0);
+  assert.strictEqual(posts[0].timestamp, null);
+  assert.strictEqual(posts[0].timestampRaw, 'sometime last spring');
+  assert.strictEqual(posts[0].timestampPrecision, null);
+});
+
+test('reads the crawl runner output, with the posts under "posts"', () => {
+  const text = JSON.stringify({ platform: 'tiktok', startedAt: '2024-06-20T12:00:00.000Z', posts: [TIKTOK_POST] }, null, 2);
+  const { format, posts, rejected } = PostImport.parse(text, 'crawl-tiktok-2024-06-20T12-00-00-000Z.json');
+
+  assert.strictEqual(format, 'json');
+  assert.strictEqual(rejected.length, 0);
+  assert.deepStrictEqual(Array.from(posts, post => post.id), [TIKTOK_POST.id]);
+});
+
+test('rejects a JSON file that does not parse as a whole instead of throwing', () => {
+  const { format, posts, rejected } = PostImport.parse('[\n  {"id": "a",\n', 'posts.json');
+
+  assert.strictEqual(format, 'json');
+  assert.strictEqual(posts.length, 0);
+  assert.strictEqual(rejected.length, 1);
+  assert.strictEqual(rejected[0].line, null);
+  assert.match(rejected[0].reason, /^Not valid JSON/);
+});
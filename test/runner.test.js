@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, runCrawl, writeResults } = require('../index.js');
+
+// Stands in for puppeteer: the page's crawler stops as soon as it is started, and
+// the database holds `posts`, of which the crawler saw `sighted`
+function fakePuppeteer(posts, sighted) {
+  const calls = { launch: null, goto: null, scripts: [], crawl: null, closed: false };
+  const page = {
+    notify: null,
+    setBypassCSP: async () => {},
+    setViewport: async () => {},
+    on: () => {},
+    evaluateOnNewDocument: async () => {},
+    exposeFunction: async (name, callback) => { page.notify = callback; },
+    goto: async (url) => { calls.goto = url; },
+    addScriptTag: async ({ path: file }) => { calls.scripts.push(path.basename(file)); },
+    evaluate: async (fn, ...args) => {
+      if (typeof args[0] === 'string') {
+        // Starting the crawler class args[0] with stop conditions args[1]
+        calls.crawl = { className: args[0], stopConditions: args[1] };
+        setImmediate(() => page.notify({ action: 'crawlerStopped', reason: 'reached 2 new posts', stats: { newPosts: 2 } }));
+        return undefined;
+      }
+      if (fn.toString().includes('getAllPosts')) {
+        return posts.filter(post => sighted.includes(post.id));
+      }
+      return undefined;
+    }
+  };
+  const puppeteer = {
+    launch: async (launchOptions) => {
+      calls.launch = launchOptions;
+      return { newPage: async () => page, close: async () => { calls.closed = true; } };
+    }
+  };
+  return { puppeteer, calls };
+}
+
+const POSTS = [
+  { id: 'twitter_1', platform: 'twitter', text: 'Launch day' },
+  { id: 'twitter_2', platform: 'twitter', text: 'Thanks for coming' },
+  { id: 'twitter_3', platform: 'twitter', text: 'From an earlier crawl' }
+];
+
+test('the runner parses its options, crawls and writes the session\'s posts', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'runner-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const outPath = path.join(directory, 'posts.ndjson');
+
+  const options = parseArgs(['--url', 'https://x.com/fixtureco', '--max-posts', '2', '--since', '2024-06-01', '--out', outPath]);
+  assert.deepStrictEqual(options, { url: 'https://x.com/fixtureco', maxPosts: '2', since: '2024-06-01', out: outPath });
+
+  const { puppeteer, calls } = fakePuppeteer(POSTS, ['twitter_1', 'twitter_2']);
+  const result = await runCrawl(options, puppeteer);
+
+  assert.deepStrictEqual(calls.launch, { headless: true, userDataDir: undefined });
+  assert.strictEqual(calls.goto, 'https://x.com/fixtureco');
+  assert.ok(calls.scripts.includes('twitter-crawler.js'));
+  assert.strictEqual(calls.crawl.className, 'TwitterCrawler');
+  assert.strictEqual(calls.crawl.stopConditions.maxPosts, 2);
+  assert.strictEqual(calls.crawl.stopConditions.since, '2024-06-01');
+  assert.strictEqual(calls.closed, true);
+  assert.strictEqual(result.platform, 'twitter');
+  assert.strictEqual(result.stopReason, 'reached 2 new posts');
+
+  writeResults(options.out, result);
+  const lines = fs.readFileSync(outPath, 'utf8').split('\n');
+  assert.deepStrictEqual(lines.slice(0, -1).map(line => JSON.parse(line).id), ['twitter_1', 'twitter_2']);
+  assert.strictEqual(lines[lines.length - 1], '');
+
+  const jsonPath = path.join(directory, 'posts.json');
+  writeResults(jsonPath, result);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(jsonPath, 'utf8')).posts, result.posts);
+});
+
+test('the runner refuses a URL it has no crawler for before launching a browser', async () => {
+  const { puppeteer, calls } = fakePuppeteer([], []);
+  await assert.rejects(runCrawl(parseArgs(['--url', 'https://www.netflix.com/browse']), puppeteer), /No crawler for platform "null"/);
+  assert.strictEqual(calls.launch, null);
+  assert.throws(() => parseArgs(['--url']), /Missing value for --url/);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('../index.js');
+
+test('a new post is counted only once it has been saved', async () => {
+  const page = loadPage('https://x.com/fixtureco', '<!DOCTYPE html><body></body>');
+  const crawler = new (page.evaluate('TwitterCrawler'))();
+  crawler.notifyBackground = () => {};
+  try {
+    crawler.isRunning = true;
+    crawler.beginSession({ maxPosts: 10 });
+
+    crawler.savePost = async () => false;
+    assert.strictEqual(await crawler.recordNewPost({ id: 'twitter_1', text: 'Launch day' }), false);
+    assert.strictEqual(crawler.sessionStats.newPosts, 0);
+
+    // The failed post is counted when it is seen again and saved
+    crawler.savePost = async () => true;
+    assert.strictEqual(await crawler.recordNewPost({ id: 'twitter_1', text: 'Launch day' }), true);
+    assert.strictEqual(crawler.sessionStats.newPosts, 1);
+  } finally {
+    crawler.isRunning = false;
+    page.window.close();
+  }
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('../index.js');
+
+// A timeline tweet: reply and like counts, a retweet button left blank at zero,
+// and a bookmark button that never shows a count
+const TWEET = `<!DOCTYPE html><body>
+<article data-testid="tweet">
+  <div data-testid="User-Name"><div><div><span>Fixture Co</span></div><div><span>@fixtureco</span></div></div></div>
+  <a href="/fixtureco/status/1800000000000000001"><time datetime="2024-06-19T10:00:00.000Z">Jun 19</time></a>
+  <div data-testid="tweetText"><span>Shipping today</span></div>
+  <div role="group">
+    <button data-testid="reply"><span data-testid="app-text-transition-container"><span>4</span></span></button>
+    <button data-testid="retweet"><span data-testid="app-text-transition-container"><span></span></span></button>
+    <button data-testid="like"><span data-testid="app-text-transition-container"><span>1.2K</span></span></button>
+    <button data-testid="bookmark" aria-label="Bookmark"></button>
+  </div>
+</article>
+</body>`;
+
+test('a tweet without a bookmark count yields saves: null', async () => {
+  const page = loadPage('https://x.com/fixtureco', TWEET);
+  try {
+    const crawler = new (page.evaluate('TwitterCrawler'))();
+    await crawler.loadSelectorPack();
+    const post = await crawler.extractPostData(page.window.document.querySelector('article'));
+
+    assert.strictEqual(post.metrics.bookmarks, null);
+    assert.strictEqual(post.metrics.views, null);
+    assert.strictEqual(post.metrics.retweets, 0);
+    assert.strictEqual(post.metrics.likes, 1200);
+
+    const engagement = page.evaluate('Engagement').compute(post);
+    assert.strictEqual(engagement.saves, null);
+    assert.strictEqual(engagement.views, null);
+    assert.strictEqual(engagement.total, 1204);
+  } finally {
+    page.window.close();
+  }
+});
@@ -0,0 +1,159 @@
+// Post times: the text feeds show for when a post was made ("5h", "2 weeks ago",
+// "7月30日", "Mar 14") read into an ISO 8601 timestamp and the precision it was
+// given in. The crawlers normalize every post they extract; the database
+// normalizes posts stored before they did (see PostsDB.MIGRATIONS).
+class Timestamps {
+  // The post fields for the time a page shows: `timestamp` as ISO 8601 (null when
+  // the text can't be read), the text itself as `timestampRaw`, and the unit it
+  // was given in as `timestampPrecision` (second, minute, hour, day, week, month
+  // or year). Relative and partial dates are resolved against `reference`.
+  static normalize(raw, reference = new Date()) {
+    const timestampRaw = raw === undefined || raw === null ? '' : String(raw).trim();
+    const parsed = Timestamps.parse(timestampRaw, new Date(reference));
+    return {
+      timestamp: parsed ? parsed.date.toISOString() : null,
+      timestampRaw: timestampRaw,
+      timestampPrecision: parsed ? parsed.precision : null
+    };
+  }
+
+  // { date, precision } for a post time as the feeds show it, or null. Handles
+  // ISO dates; English and Chinese relative times ("5h", "2 weeks ago", "1d ago",
+  // "3小时前", "yesterday at 9:15", "昨天 12:30"); and absolute dates with or
+  // without a year ("2024年3月14日 下午3:05", "7月30日", "Mar 14", "3-14", "2024-6-1").
+  // Dates without a year that would lie in the future are taken as last year's.
+  static parse(text, now) {
+    if (text === undefined || text === null) return null;
+    const value = String(text).trim()
+      .replace(/\s*[•·]\s*(edited|已编辑|已編輯).*$/i, '')
+      .replace(/\s*[•·]\s*$/, '')
+      .replace(/\s+/g, ' ');
+    if (!value) return null;
+    const lower = value.toLowerCase();
+    
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) {
+      const parsed = Date.parse(value);
+      return isNaN(parsed) ? null : { date: new Date(parsed), precision: 'second' };
+    }
+    
+    if (/^(just now|now|刚刚|剛剛)$/.test(lower)) {
+      return { date: new Date(now), precision: 'minute' };
+    }
+    
+    const relative = lower.match(Timestamps.RELATIVE_TIME_PATTERN) || lower.match(Timestamps.RELATIVE_TIME_PATTERN_ZH);
+    if (relative) {
+      const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1], 10) : 1;
+      const unit = Timestamps.TIME_UNITS[relative[2]] || Timestamps.TIME_UNITS[relative[2].replace(/s$/, '')];
+      if (unit) {
+        return { date: Timestamps.shiftDate(now, unit, -amount), precision: unit };
+      }
+    }
+    
+    const time = Timestamps.readTimeOfDay(value);
+    const withTime = (date) => {
+      if (time) date.setHours(time.hours, time.minutes, 0, 0);
+      return { date: date, precision: time ? 'minute' : 'day' };
+    };
+    const day = (offset) => {
+      const date = new Date(now);
+      date.setHours(0, 0, 0, 0);
+      date.setDate(date.getDate() - offset);
+      return withTime(date);
+    };
+    
+    if (/^(today|今天)/.test(lower)) return day(0);
+    if (/^(yesterday|昨天)/.test(lower)) return day(1);
+    if (/^前天/.test(lower)) return day(2);
+    
+    // A date without a year is the most recent one that isn't in the future
+    const calendarDate = (year, month, dayOfMonth) => {
+      const date = new Date(year || now.getFullYear(), month - 1, dayOfMonth);
+      const result = withTime(date);
+      if (!year && result.date.getTime() > now.getTime() + 86400000) {
+        result.date.setFullYear(result.date.getFullYear() - 1);
+      }
+      return result;
+    };
+    
+    const chinese = value.match(/(?:(\d{4})\s*年\s*)?(\d{1,2})\s*月\s*(\d{1,2})\s*[日号號]/);
+    if (chinese) {
+      return calendarDate(chinese[1] && parseInt(chinese[1], 10), parseInt(chinese[2], 10), parseInt(chinese[3], 10));
+    }
+    
+    const numeric = value.match(/^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})\b/);
+    if (numeric) {
+      return calendarDate(parseInt(numeric[1], 10), parseInt(numeric[2], 10), parseInt(numeric[3], 10));
+    }
+    
+    // TikTok shows this year's dates as month-day
+    const monthDay = value.match(/^(\d{1,2})-(\d{1,2})$/);
+    if (monthDay) {
+      return calendarDate(null, parseInt(monthDay[1], 10), parseInt(monthDay[2], 10));
+    }
+    
+    // "Mar 14", "March 14, 2024", "Tuesday, July 30, 2024 at 3:45 PM", "14 March 2024"
+    const english = lower.replace(/^(mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\s+/, '');
+    const monthFirst = english.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(\d{4}))?/);
+    const dayFirst = english.match(/^(\d{1,2})\s+([a-z]{3})[a-z]*\.?(?:,?\s+(\d{4}))?/);
+    const monthName = monthFirst ? monthFirst[1] : (dayFirst ? dayFirst[2] : null);
+    const month = monthName ? Timestamps.MONTHS.indexOf(monthName) + 1 : 0;
+    if (month > 0) {
+      const dayOfMonth = parseInt(monthFirst ? monthFirst[2] : dayFirst[1], 10);
+      const year = monthFirst ? monthFirst[3] : dayFirst[3];
+      return calendarDate(year && parseInt(year, 10), month, dayOfMonth);
+    }
+    
+    // A bare time of day is today's, or yesterday's if that is still to come
+    if (time && /^(上午|下午|晚上|中午|凌晨|早上)?\s*\d{1,2}[:：]\d{2}\s*(am|pm)?$/i.test(value)) {
+      const result = day(0);
+      if (result.date.getTime() > now.getTime()) {
+        result.date.setDate(result.date.getDate() - 1);
+      }
+      return result;
+    }
+    
+    return null;
+  }
+
+  // Hours and minutes in "3:45 PM", "15:45" or "下午3:45", or null
+  static readTimeOfDay(value) {
+    const match = value.match(/(上午|下午|晚上|中午|凌晨|早上)?\s*(\d{1,2})[:：](\d{2})\s*(am|pm)?/i);
+    if (!match) return null;
+    
+    let hours = parseInt(match[2], 10);
+    const afternoon = (match[4] && match[4].toLowerCase() === 'pm') || ['下午', '晚上'].includes(match[1]) || (match[1] === '中午' && hours < 11);
+    const morning = (match[4] && match[4].toLowerCase() === 'am') || ['上午', '凌晨', '早上'].includes(match[1]);
+    if (afternoon && hours < 12) hours += 12;
+    if (morning && hours === 12) hours = 0;
+    return { hours: hours, minutes: parseInt(match[3], 10) };
+  }
+
+  // `now` moved by `amount` units; months and years follow the calendar
+  static shiftDate(now, unit, amount) {
+    const date = new Date(now);
+    if (unit === 'month') {
+      date.setMonth(date.getMonth() + amount);
+    } else if (unit === 'year') {
+      date.setFullYear(date.getFullYear() + amount);
+    } else {
+      const unitMs = { second: 1000, minute: 60000, hour: 3600000, day: 86400000, week: 604800000 }[unit];
+      date.setTime(date.getTime() + amount * unitMs);
+    }
+    return date;
+  }
+}
+
+// Relative times ("5h", "2 weeks ago", "3小时前") and the unit names they use.
+// "m" is minutes, as on X and LinkedIn; months are "mo".
+Timestamps.RELATIVE_TIME_PATTERN = /^(\d+|an?|one)\s*(s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|wks?|weeks?|mo|mos|months?|y|yrs?|years?)\b(\s+ago)?/;
+Timestamps.RELATIVE_TIME_PATTERN_ZH = /^(\d+)\s*(秒|分钟|分鐘|小时|小時|天|周|週|星期|个月|個月|年)前/;
+Timestamps.TIME_UNITS = {
+  s: 'second', sec: 'second', second: 'second', '秒': 'second',
+  m: 'minute', min: 'minute', minute: 'minute', '分钟': 'minute', '分鐘': 'minute',
+  h: 'hour', hr: 'hour', hour: 'hour', '小时': 'hour', '小時': 'hour',
+  d: 'day', day: 'day', '天': 'day',
+  w: 'week', wk: 'week', week: 'week', '周': 'week', '週': 'week', '星期': 'week',
+  mo: 'month', month: 'month', '个月': 'month', '個月': 'month',
+  y: 'year', yr: 'year', year: 'year', '年': 'year'
+};
+Timestamps.MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
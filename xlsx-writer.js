@@ -0,0 +1,363 @@
+// XLSX export: a workbook with one sheet per platform, written as a stream of
+// bytes so it can go through the same chunked export as the text formats.
+// An .xlsx file is a ZIP of XML parts. ZipStream writes the ZIP; each sheet is
+// filled by paging through that platform's posts and stays one contiguous entry.
+// Cells use inline strings, so no shared-strings table has to be held in memory.
+class XlsxWriter {
+  constructor(postExport) {
+    this.postExport = postExport;
+    this.zip = new ZipStream();
+    this.sheets = []; // { platform, name, count }
+    this.sheetIndex = -1;
+    this.rowNumber = 0;
+    this.position = null;
+    this.finished = false;
+  }
+
+  // One sheet per platform with matching posts, and an "unknown" sheet for posts
+  // without a platform, so every counted post is written
+  async start() {
+    const { postsDB, filter } = this.postExport;
+    const platforms = filter.platform !== 'all' ? [filter.platform] : await postsDB.getAvailablePlatforms();
+    for (const platform of platforms) {
+      const count = await postsDB.countPosts(XlsxWriter.sheetFilter(filter, platform));
+      if (count > 0) {
+        this.sheets.push({ platform: platform, name: XlsxWriter.sheetName(platform, this.sheets), count: count });
+      }
+    }
+    if (filter.platform === 'all') {
+      const count = await postsDB.countPosts(XlsxWriter.sheetFilter(filter, null));
+      if (count > 0) {
+        this.sheets.push({ platform: null, name: XlsxWriter.sheetName('unknown', this.sheets), count: count });
+      }
+    }
+  }
+
+  // The next bytes of the file, or null once the ZIP directory has been written
+  async next() {
+    if (this.finished) return null;
+
+    const parts = [];
+    if (this.sheetIndex === -1) {
+      for (const [name, xml] of Object.entries(this.packageParts())) {
+        parts.push(await this.zip.file(name, xml));
+      }
+      parts.push(await this.openSheet(0));
+    } else {
+      const sheet = this.sheets[this.sheetIndex];
+      const chunk = await this.postExport.readChunk(XlsxWriter.sheetFilter(this.postExport.filter, sheet.platform), this.position);
+      this.position = chunk.position;
+
+      const rows = chunk.posts.map(post => {
+        this.postExport.processed++;
+        return this.row(PostExport.rowValues(post, this.postExport.columns));
+      }).join('');
+      parts.push(await this.zip.write(XlsxWriter.encode(rows)));
+
+      if (chunk.done) {
+        parts.push(await this.zip.write(XlsxWriter.encode('</sheetData></worksheet>')));
+        parts.push(await this.zip.close());
+        if (this.sheetIndex + 1 < this.sheets.length) {
+          parts.push(await this.openSheet(this.sheetIndex + 1));
+        } else {
+          parts.push(this.zip.finish());
+          this.finished = true;
+        }
+      }
+    }
+    return ZipStream.concat(parts);
+  }
+
+  async openSheet(index) {
+    this.sheetIndex = index;
+    this.rowNumber = 0;
+    this.position = null;
+
+    const header = await this.zip.open(`xl/worksheets/sheet${index + 1}.xml`);
+    const start = XlsxWriter.encode(
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      `<worksheet xmlns="${XlsxWriter.MAIN_NS}">` +
+      // Keep the header row in view while scrolling
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      '<sheetData>' + this.row(this.postExport.columns.map(column => column.header || column.path), XlsxWriter.HEADER_STYLE)
+    );
+    return ZipStream.concat([header, await this.zip.write(start)]);
+  }
+
+  row(values, style) {
+    this.rowNumber++;
+    const styleAttribute = style ? ` s="${style}"` : '';
+    const cells = values.map((value, column) => {
+      const ref = `${XlsxWriter.columnName(column)}${this.rowNumber}`;
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${styleAttribute}><v>${value}</v></c>`;
+      }
+      // Excel refuses cells longer than 32767 characters
+      const text = XlsxWriter.escape(String(value).slice(0, XlsxWriter.MAX_CELL_CHARS));
+      return `<c r="${ref}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${text}</t></is></c>`;
+    }).join('');
+    return `<row r="${this.rowNumber}">${cells}</row>`;
+  }
+
+  // Everything but the sheets; written first, since the sheet list is known up front
+  packageParts() {
+    const prolog = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const sheetOverrides = this.sheets.map((sheet, index) =>
+      `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+    const sheetEntries = this.sheets.map((sheet, index) =>
+      `<sheet name="${XlsxWriter.escape(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+    ).join('');
+    const sheetRelationships = this.sheets.map((sheet, index) =>
+      `<Relationship Id="rId${index + 1}" Type="${XlsxWriter.REL_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    ).join('');
+
+    return {
+      '[Content_Types].xml': prolog +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheetOverrides + '</Types>',
+      '_rels/.rels': prolog +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${XlsxWriter.REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>',
+      'xl/workbook.xml': prolog +
+        `<workbook xmlns="${XlsxWriter.MAIN_NS}" xmlns:r="${XlsxWriter.REL_NS}">` +
+        `<sheets>${sheetEntries}</sheets></workbook>`,
+      'xl/_rels/workbook.xml.rels': prolog +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheetRelationships +
+        `<Relationship Id="rId${this.sheets.length + 1}" Type="${XlsxWriter.REL_NS}/styles" Target="styles.xml"/>` +
+        '</Relationships>',
+      // Style 1 is the bold header row
+      'xl/styles.xml': prolog +
+        `<styleSheet xmlns="${XlsxWriter.MAIN_NS}">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>'
+    };
+  }
+
+  // The export filter narrowed to one sheet's posts; a null platform selects the
+  // posts without one
+  static sheetFilter(filter, platform) {
+    return platform ? { ...filter, platform: platform } : { ...filter, platform: 'all', noPlatform: true };
+  }
+
+  // Sheet names: at most 31 characters, none of []:*?/\ and unique in the workbook
+  static sheetName(platform, existing) {
+    const base = (platform || 'posts').replace(/[\[\]:*?\/\\]/g, '_').slice(0, 31) || 'posts';
+    let name = base;
+    for (let suffix = 2; existing.some(sheet => sheet.name.toLowerCase() === name.toLowerCase()); suffix++) {
+      name = `${base.slice(0, 28)} ${suffix}`;
+    }
+    return name;
+  }
+
+  // 0 -> A, 25 -> Z, 26 -> AA
+  static columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  // XML text, minus the control characters XML can't carry at all
+  static escape(text) {
+    return text
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  static encode(text) {
+    return new TextEncoder().encode(text);
+  }
+}
+
+XlsxWriter.MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+XlsxWriter.REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+XlsxWriter.HEADER_STYLE = 1;
+XlsxWriter.MAX_CELL_CHARS = 32767;
+
+// Writes a ZIP archive one entry at a time without knowing sizes up front: each
+// entry's CRC and sizes follow its data in a data descriptor, and the central
+// directory at the end lists them all. Entries are deflated with the browser's
+// CompressionStream where available, otherwise stored.
+class ZipStream {
+  constructor(modified = new Date()) {
+    this.offset = 0;
+    this.entries = [];
+    this.current = null;
+    // MS-DOS date and time, local, to two seconds
+    this.dosTime = (modified.getHours() << 11) | (modified.getMinutes() << 5) | Math.floor(modified.getSeconds() / 2);
+    this.dosDate = ((Math.max(modified.getFullYear(), 1980) - 1980) << 9) | ((modified.getMonth() + 1) << 5) | modified.getDate();
+  }
+
+  // Local header for a new entry
+  async open(name) {
+    const nameBytes = new TextEncoder().encode(name);
+    const entry = {
+      nameBytes: nameBytes,
+      offset: this.offset,
+      method: typeof CompressionStream === 'function' ? 8 : 0,
+      crc: 0xffffffff,
+      size: 0,
+      compressedSize: 0,
+      output: []
+    };
+    if (entry.method === 8) {
+      const stream = new CompressionStream('deflate-raw');
+      entry.writer = stream.writable.getWriter();
+      const reader = stream.readable.getReader();
+      entry.reading = (async () => {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) return;
+          entry.output.push(value);
+        }
+      })();
+    }
+    this.current = entry;
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true); // version needed: 2.0
+    header.setUint16(6, ZipStream.FLAGS, true);
+    header.setUint16(8, entry.method, true);
+    header.setUint16(10, this.dosTime, true);
+    header.setUint16(12, this.dosDate, true);
+    // CRC and sizes (offsets 14-25) are zero here; they follow in the descriptor
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+    return this.emit(ZipStream.concat([new Uint8Array(header.buffer), nameBytes]));
+  }
+
+  // Compressed bytes that are ready so far for the open entry
+  async write(bytes) {
+    const entry = this.current;
+    entry.crc = ZipStream.crc32(bytes, entry.crc);
+    entry.size += bytes.length;
+    if (entry.method === 8) {
+      await entry.writer.write(bytes);
+    } else {
+      entry.output.push(bytes);
+    }
+    return this.drain();
+  }
+
+  // Rest of the open entry and its data descriptor
+  async close() {
+    const entry = this.current;
+    if (entry.method === 8) {
+      await entry.writer.close();
+      await entry.reading;
+    }
+    const data = this.drain();
+    entry.crc = (entry.crc ^ 0xffffffff) >>> 0;
+
+    const descriptor = new DataView(new ArrayBuffer(16));
+    descriptor.setUint32(0, 0x08074b50, true);
+    descriptor.setUint32(4, entry.crc, true);
+    descriptor.setUint32(8, entry.compressedSize, true);
+    descriptor.setUint32(12, entry.size, true);
+
+    this.entries.push(entry);
+    this.current = null;
+    return ZipStream.concat([data, this.emit(new Uint8Array(descriptor.buffer))]);
+  }
+
+  // A whole small entry at once
+  async file(name, text) {
+    const parts = [await this.open(name), await this.write(new TextEncoder().encode(text)), await this.close()];
+    return ZipStream.concat(parts);
+  }
+
+  // Central directory and end record, after the last entry
+  finish() {
+    const start = this.offset;
+    const records = this.entries.map(entry => {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014b50, true);
+      record.setUint16(4, 20, true); // made by: 2.0
+      record.setUint16(6, 20, true); // needed: 2.0
+      record.setUint16(8, ZipStream.FLAGS, true);
+      record.setUint16(10, entry.method, true);
+      record.setUint16(12, this.dosTime, true);
+      record.setUint16(14, this.dosDate, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.compressedSize, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      // Extra field, comment, disk number and attributes stay zero
+      record.setUint32(42, entry.offset, true);
+      return this.emit(ZipStream.concat([new Uint8Array(record.buffer), entry.nameBytes]));
+    });
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, this.offset - start, true);
+    end.setUint32(16, start, true);
+    return ZipStream.concat([...records, this.emit(new Uint8Array(end.buffer))]);
+  }
+
+  drain() {
+    const entry = this.current;
+    const data = ZipStream.concat(entry.output.splice(0));
+    entry.compressedSize += data.length;
+    return this.emit(data);
+  }
+
+  // Track the archive offset of everything handed out
+  emit(bytes) {
+    this.offset += bytes.length;
+    return bytes;
+  }
+
+  static concat(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      result.set(part, position);
+      position += part.length;
+    });
+    return result;
+  }
+
+  // Running CRC-32; start with 0xffffffff and xor the final value with it
+  static crc32(bytes, crc) {
+    const table = ZipStream.CRC_TABLE;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc >>> 0;
+  }
+
+  static buildCrcTable() {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  }
+}
+
+ZipStream.FLAGS = 0x0808; // sizes in a data descriptor, UTF-8 names
+ZipStream.CRC_TABLE = ZipStream.buildCrcTable();